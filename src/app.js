@@ -14,6 +14,13 @@ const path = require('path');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const productRoutes = require('./routes/products');
+const categoryRoutes = require('./routes/categories');
+const collectionRoutes = require('./routes/collections');
+const certificateRoutes = require('./routes/certificates');
+const seoRoutes = require('./routes/seo');
+const feedRoutes = require('./routes/feeds');
+const currencyRoutes = require('./routes/currencies');
+const sizeGuideRoutes = require('./routes/sizeGuides');
 const orderRoutes = require('./routes/orders');
 const cartRoutes = require('./routes/cart');
 const wishlistRoutes = require('./routes/wishlist');
@@ -111,6 +118,13 @@ app.use((req, res, next) => {
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/products', productRoutes);
+app.use('/api/v1/categories', categoryRoutes);
+app.use('/api/v1/collections', collectionRoutes);
+app.use('/api/v1/certificates', certificateRoutes);
+app.use('/api/v1/seo', seoRoutes);
+app.use('/api/v1/feeds', feedRoutes);
+app.use('/api/v1/currencies', currencyRoutes);
+app.use('/api/v1/size-guides', sizeGuideRoutes);
 app.use('/api/v1/orders', orderRoutes);
 app.use('/api/v1/cart', cartRoutes);
 app.use('/api/v1/wishlist', wishlistRoutes);
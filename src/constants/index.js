@@ -10,6 +10,20 @@ const TAX_RATES = {
     SGST: 0.015, // 1.5% SGST
 };
 
+// GST rate per price component, overridable with GST_RATE_<COMPONENT> env vars
+const envRate = (name, fallback) => {
+    const rate = parseFloat(process.env[name]);
+    return Number.isNaN(rate) ? fallback : rate;
+};
+
+const COMPONENT_TAX_RATES = {
+    metal: envRate('GST_RATE_METAL', 0.03), // 3% on metal value
+    making: envRate('GST_RATE_MAKING', 0.05), // 5% on making charges
+    wastage: envRate('GST_RATE_WASTAGE', 0.03), // taxed like metal
+    stone: envRate('GST_RATE_STONE', 0.03), // 3% on stones
+    other: envRate('GST_RATE_OTHER', 0.03), // fixed-price items and adjustments
+};
+
 // Shipping Configuration
 const SHIPPING = {
     FREE_THRESHOLD: 5000, // Free shipping above ₹5000
@@ -157,6 +171,23 @@ const IMAGE_CONFIG = {
     THUMBNAIL_SIZE: { width: 150, height: 150 },
     MEDIUM_SIZE: { width: 500, height: 500 },
     LARGE_SIZE: { width: 1200, height: 1200 },
+    RENDITION_FORMATS: ['webp', 'jpeg'], // every size is stored in each format
+    QUALITY: { webp: 80, jpeg: 82 },
+    ORIGINAL_QUALITY: 90, // JPEG/WebP originals re-encoded without their metadata
+    WATERMARK_PATH: process.env.IMAGE_WATERMARK_PATH || '', // PNG laid over watermarked uploads
+    WATERMARK_WIDTH_RATIO: 0.25, // watermark width relative to the rendition
+    WATERMARK_MIN_WIDTH: 400, // smaller renditions (thumbnails) are never watermarked
+};
+
+// Product video and 360° spin limits
+const MEDIA_CONFIG = {
+    VIDEO_MAX_SIZE: 50 * 1024 * 1024, // 50MB
+    VIDEO_MAX_DURATION: 30, // seconds
+    VIDEO_TYPES: ['video/mp4', 'video/quicktime'], // MP4 and MOV, whose duration can be read from the file
+    POSTER_MAX_SIZE: 5 * 1024 * 1024, // 5MB
+    SPIN_FRAME_MAX_SIZE: 2 * 1024 * 1024, // 2MB per frame
+    SPIN_MIN_FRAMES: 8,
+    SPIN_MAX_FRAMES: 72,
 };
 
 // Coupon Types
@@ -224,6 +255,10 @@ const RATE_LIMITS = {
         WINDOW_MS: 60 * 1000, // 1 minute
         MAX_REQUESTS: 60,
     },
+    NOTIFY_ME: {
+        WINDOW_MS: 60 * 60 * 1000, // 1 hour
+        MAX_REQUESTS: 10,
+    },
 };
 
 // Cache TTL (Time To Live)
@@ -234,6 +269,117 @@ const CACHE_TTL = {
     VERY_LONG: 86400, // 24 hours
 };
 
+// Search Configuration
+const SEARCH = {
+    PRICE_BUCKETS: [0, 5000, 10000, 25000, 50000, 100000, 250000], // ₹ boundaries for price facets
+    RATING_THRESHOLDS: [4, 3, 2, 1], // "n stars & up" facets
+    MAX_PAGE_SIZE: 60,
+    SUGGEST_LIMIT: 6,
+    SUGGEST_MIN_LENGTH: 2,
+    SUGGEST_MIN_SIMILARITY: 0.5, // share of the typed trigrams that must match
+    PURCHASE_WEIGHT: 5, // a purchase counts as this many views when ranking suggestions
+    POPULAR_QUERY_DAYS: 30,
+    POPULAR_QUERY_POOL: 500, // most frequent recent queries considered for suggestions
+    REPORT_LIMIT: 20,
+    CONVERSION_WINDOW_DAYS: 7, // a purchase within this many days of a search counts as a conversion
+};
+
+// Recommendation Configuration
+const RECOMMENDATIONS = {
+    AFFINITY_WINDOW_DAYS: 365, // orders considered for co-purchase affinity
+    MIN_CO_PURCHASES: 2, // pairs bought together fewer times are ignored
+    MAX_RELATED: 20, // affinities kept per product
+    LIMIT: 8,
+    EXCLUDED_ORDER_STATUSES: ['cancelled', 'returned', 'refunded'],
+    VIEW_HISTORY: 50, // most recent product views used for the "for you" feed
+    WISHLIST_WEIGHT: 3, // a wishlisted product counts as this many views
+    CATEGORY_WEIGHT: 3,
+    MATERIAL_WEIGHT: 2,
+    PRICE_BAND_WEIGHT: 1,
+    PRICE_BAND_MARGIN: 0.3, // price band is the average viewed price +/- this share
+    FOR_YOU_MAX: 48,
+    RECENTLY_VIEWED_MAX: 20, // distinct products kept in a user's viewing history
+};
+
+// Product comparison limits
+const PRODUCT_COMPARE = {
+    MIN_PRODUCTS: 2,
+    MAX_PRODUCTS: 4,
+};
+
+// Storefront links used in the sitemap and structured data
+const SEO = {
+    SITE_URL: process.env.FRONTEND_URL || 'http://localhost:5173',
+    PRODUCT_PATH: '/products',
+    CATEGORY_PATH: '/category',
+    COLLECTION_PATH: '/collections',
+    CURRENCY: 'INR',
+    JSON_LD_REVIEWS: 5, // latest approved reviews embedded in a product's JSON-LD
+    SITEMAP_TTL: CACHE_TTL.LONG, // seconds a generated sitemap is reused
+};
+
+// Google Merchant and Meta catalog feeds
+const PRODUCT_FEEDS = {
+    CHANNELS: ['google', 'meta'],
+    BRAND: process.env.FEED_BRAND || '', // used for products without a brand of their own
+    GOOGLE_PRODUCT_CATEGORY: 188, // Apparel & Accessories > Jewelry
+    TITLE_MAX: 150,
+    DESCRIPTION_MAX: 5000,
+    ADDITIONAL_IMAGES_MAX: 10,
+    MIN_IMAGE_SIZE: { google: 250, meta: 500 }, // shortest side of the main image, in pixels
+    STORAGE_PREFIX: 'feeds', // S3 folder of the generated files, served through the feed endpoints
+    TOKEN: process.env.PRODUCT_FEED_TOKEN || '', // when set, feed URLs need ?token=
+};
+
+// Back in stock requests. Guests confirm their email before they are emailed about a restock.
+const BACK_IN_STOCK = {
+    CONFIRMATION_TTL: 24 * 60 * 60 * 1000, // ms a confirmation link stays valid
+    MAX_PENDING_PER_EMAIL: 5, // unconfirmed requests an email can have at once
+};
+
+// Content languages: English lives in the fields themselves, other locales in translations
+const LOCALES = {
+    DEFAULT: 'en',
+    SUPPORTED: ['en', 'hi', 'bn', 'ta', 'te', 'mr', 'gu', 'kn', 'ml', 'pa'],
+    TRANSLATABLE_FIELDS: {
+        Product: ['name', 'shortDescription', 'description', 'metaTitle', 'metaDescription'],
+        Category: ['name', 'description', 'metaTitle', 'metaDescription'],
+        Banner: ['title', 'subheader', 'body', 'footer'],
+    },
+};
+
+// Display currencies. Prices are kept in INR and converted with admin-maintained rates.
+const CURRENCIES = {
+    BASE: 'INR',
+    SUPPORTED: ['USD', 'EUR', 'GBP', 'AED', 'SGD', 'AUD', 'CAD'],
+    ROUNDING_MODES: ['nearest', 'up', 'down'],
+    // Money fields that get a converted display price in responses
+    PRICE_FIELDS: [
+        'basePrice', 'sellingPrice', 'offerPrice', 'price', 'priceDelta',
+        'cartTotal', 'discountTotal', 'taxTotal', 'subtotal', 'discount', 'shippingCharge', 'tax', 'grandTotal',
+    ],
+    RATE_CACHE_TTL: CACHE_TTL.SHORT, // seconds exchange rates are reused before reloading
+};
+
+// Size charts. Each chart type lists its sizes in these systems; circumference and
+// one of the chain lengths are worked out when left empty.
+const SIZE_GUIDES = {
+    TYPES: ['ring', 'bangle', 'chain'],
+    SYSTEMS: {
+        ring: ['india', 'us', 'uk', 'eu', 'diameterMm', 'circumferenceMm'],
+        bangle: ['india', 'diameterMm', 'circumferenceMm'],
+        chain: ['lengthIn', 'lengthCm'],
+    },
+    CM_PER_INCH: 2.54,
+};
+
+// Metal purities that carry a per-gram rate
+const METAL_PURITIES = {
+    gold: ['14k', '18k', '22k', '24k'],
+    silver: ['925', '999'],
+    platinum: ['950', '999'],
+};
+
 // Timezone
 const TIMEZONE = {
     IST_OFFSET: 5.5 * 60 * 60 * 1000, // IST is UTC+5:30
@@ -241,6 +387,7 @@ const TIMEZONE = {
 
 module.exports = {
     TAX_RATES,
+    COMPONENT_TAX_RATES,
     SHIPPING,
     ORDER_STATUS,
     PAYMENT_STATUS,
@@ -258,6 +405,7 @@ module.exports = {
     DATE_FORMATS,
     EMAIL_TYPES,
     IMAGE_CONFIG,
+    MEDIA_CONFIG,
     COUPON_TYPES,
     REVIEW_STATUS,
     NOTIFICATION_TYPES,
@@ -266,4 +414,14 @@ module.exports = {
     RATE_LIMITS,
     CACHE_TTL,
     TIMEZONE,
+    METAL_PURITIES,
+    SEARCH,
+    RECOMMENDATIONS,
+    PRODUCT_COMPARE,
+    SEO,
+    PRODUCT_FEEDS,
+    BACK_IN_STOCK,
+    LOCALES,
+    CURRENCIES,
+    SIZE_GUIDES,
 };
@@ -0,0 +1,108 @@
+const BackInStockSubscription = require('../../models/BackInStockSubscription');
+const catchAsync = require('../../utils/catchAsync');
+const APIFeatures = require('../../utils/apiFeatures');
+
+// @desc    Demand for out-of-stock items: shoppers waiting per product and variant, most wanted first
+// @route   GET /api/v1/admin/back-in-stock/demand
+// @access  Private/Admin
+exports.getBackInStockDemand = catchAsync(async (req, res, next) => {
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const days = Math.max(Number(req.query.days) || 30, 1);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const [result] = await BackInStockSubscription.aggregate([
+    { $match: { status: { $in: ['active', 'notified'] } } },
+    {
+      $group: {
+        _id: { product: '$product', variant: '$variant' },
+        waiting: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
+        waitingUsers: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$status', 'active'] }, { $gt: ['$user', null] }] }, 1, 0] }
+        },
+        notifiedRecently: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$status', 'notified'] }, { $gte: ['$notifiedAt', since] }] }, 1, 0] }
+        },
+        firstRequestedAt: { $min: { $cond: [{ $eq: ['$status', 'active'] }, '$createdAt', null] } },
+        lastRequestedAt: { $max: { $cond: [{ $eq: ['$status', 'active'] }, '$createdAt', null] } }
+      }
+    },
+    { $match: { waiting: { $gt: 0 } } },
+    { $sort: { waiting: -1, firstRequestedAt: 1 } },
+    {
+      $facet: {
+        items: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              _id: 0,
+              product: '$_id.product',
+              variant: '$_id.variant',
+              waiting: 1,
+              waitingUsers: 1,
+              waitingGuests: { $subtract: ['$waiting', '$waitingUsers'] },
+              notifiedRecently: 1,
+              firstRequestedAt: 1,
+              lastRequestedAt: 1
+            }
+          }
+        ],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              items: { $sum: 1 },
+              waiting: { $sum: '$waiting' }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const items = await BackInStockSubscription.populate(result.items, [
+    { path: 'product', select: 'name sku slug status stockStatus stockQuantity' },
+    { path: 'variant', select: 'sku options stockStatus stockQuantity' }
+  ]);
+  const totals = result.totals[0] || { items: 0, waiting: 0 };
+
+  res.status(200).json({
+    status: 'success',
+    results: items.length,
+    total: totals.items,
+    data: {
+      waiting: totals.waiting,
+      notifiedSinceDays: days,
+      items
+    }
+  });
+});
+
+// @desc    Get back in stock subscriptions (?product=id, ?status=pending|active|notified|cancelled)
+// @route   GET /api/v1/admin/back-in-stock/subscriptions
+// @access  Private/Admin
+exports.getBackInStockSubscriptions = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(BackInStockSubscription.find(), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const subscriptions = await features.query
+    .populate('product', 'name sku slug stockStatus')
+    .populate('variant', 'sku options stockStatus')
+    .populate('user', 'firstName lastName email')
+    .sort('-createdAt');
+
+  const total = await BackInStockSubscription.countDocuments(features.filterQuery);
+
+  res.status(200).json({
+    status: 'success',
+    results: subscriptions.length,
+    total,
+    data: {
+      subscriptions
+    }
+  });
+});
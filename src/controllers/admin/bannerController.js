@@ -120,7 +120,14 @@ exports.updateBanner = catchAsync(async (req, res, next) => {
   Object.assign(banner, otherFields);
 
   if (images && Array.isArray(images)) {
-    banner.images = images;
+    // Keep the renditions of existing images sent back without them
+    const renditionsByUrl = new Map(
+      banner.images.map(img => [img.url, img.renditions ? img.renditions.toObject() : undefined])
+    );
+    banner.images = images.map(img => ({
+      ...img,
+      renditions: img.renditions || renditionsByUrl.get(img.url)
+    }));
   }
 
   await banner.save();
@@ -218,6 +225,8 @@ exports.uploadBannerImage = catchAsync(async (req, res, next) => {
   // Create new image object
   const newImage = {
     url: req.file.location, // S3 URL
+    renditions: req.file.renditions,
+    originalKey: req.file.originalKey,
     alt: req.body.alt || banner.name,
     isPrimary: req.body.isPrimary === 'true' || banner.images.length === 0,
     displayOrder: parseInt(req.body.displayOrder) || banner.images.length
@@ -119,7 +119,8 @@ exports.createCategory = catchAsync(async (req, res, next) => {
     metaKeywords,
     image, // This could be a URL string
     parentCategory,
-    categoryType = 'main' // Default to main category
+    categoryType = 'main', // Default to main category
+    sizeGuideType
   } = req.body;
   
   // Validate required fields
@@ -164,9 +165,13 @@ exports.createCategory = catchAsync(async (req, res, next) => {
   
   // Handle image upload if file was uploaded
   let imageUrl = image || 'default-category.jpg';
+  let imageRenditions;
+  let imageOriginalKey;
   if (req.file) {
-    // If file was uploaded via multer or similar middleware
-    imageUrl = `/uploads/categories/${req.file.filename}`;
+    // Stored on S3 with its renditions by the upload middleware
+    imageUrl = req.file.location;
+    imageRenditions = req.file.renditions;
+    imageOriginalKey = req.file.originalKey;
   }
   
   // Prepare category data
@@ -179,8 +184,11 @@ exports.createCategory = catchAsync(async (req, res, next) => {
     metaDescription: metaDescription || '',
     metaKeywords: parsedMetaKeywords,
     image: imageUrl,
+    imageRenditions,
+    imageOriginalKey,
     parentCategory: parentCategory || null,
     categoryType: parentCategory ? 'subcategory' : (categoryType || 'main'),
+    sizeGuideType: sizeGuideType || null,
     createdBy: req.user.id
   };
   
@@ -235,6 +243,16 @@ exports.updateCategory = catchAsync(async (req, res, next) => {
     }
   }
   
+  // Use the uploaded image; a new image URL drops the old renditions
+  if (req.file) {
+    req.body.image = req.file.location;
+    req.body.imageRenditions = req.file.renditions;
+    req.body.imageOriginalKey = req.file.originalKey;
+  } else if (req.body.image !== undefined) {
+    req.body.imageRenditions = null;
+    req.body.imageOriginalKey = null;
+  }
+  
   // Update category
   const category = await Category.findByIdAndUpdate(
     req.params.id,
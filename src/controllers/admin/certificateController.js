@@ -0,0 +1,319 @@
+const Certificate = require('../../models/Certificate');
+const Product = require('../../models/Product');
+const ProductGemstone = require('../../models/ProductGemstone');
+const AdminActivity = require('../../models/AdminActivity');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const APIFeatures = require('../../utils/apiFeatures');
+
+const CERTIFICATE_FIELDS = [
+  'certificateNumber', 'lab', 'labName', 'carat', 'color', 'clarity', 'cut',
+  'shape', 'measurements', 'issuedAt', 'expiresAt', 'status', 'notes'
+];
+
+// Helper function to point a gemstone at a certificate
+const linkGemstone = async (gemstoneId, certificate) => {
+  const gemstone = await ProductGemstone.findOne({ _id: gemstoneId, product: certificate.product });
+  if (!gemstone) return null;
+
+  gemstone.certificationNumber = certificate.certificateNumber;
+  gemstone.certificationAuthority = certificate.lab === 'other' ? certificate.labName : certificate.lab;
+  await gemstone.save();
+  return gemstone;
+};
+
+// Helper function to record who verified a certificate when its status becomes verified
+const applyStatusChange = (certificate, userId) => {
+  if (certificate.isModified('status') && certificate.status === 'verified') {
+    certificate.verifiedBy = userId;
+    certificate.verifiedAt = new Date();
+  }
+};
+
+// @desc    Get all certificates
+// @route   GET /api/v1/admin/certificates
+// @access  Private/Admin
+exports.getCertificates = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(Certificate.find(), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const certificates = await features.query
+    .populate('product', 'name sku slug')
+    .populate('verifiedBy', 'firstName lastName');
+
+  const total = await Certificate.countDocuments(features.filterQuery);
+
+  res.status(200).json({
+    status: 'success',
+    results: certificates.length,
+    total,
+    data: {
+      certificates
+    }
+  });
+});
+
+// @desc    Get products whose stones have no certificate on record
+// @route   GET /api/v1/admin/certificates/missing
+// @access  Private/Admin
+exports.getUncertifiedProducts = catchAsync(async (req, res, next) => {
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+  const stoneMatch = {};
+  if (req.query.type) {
+    stoneMatch.$expr = { $eq: [{ $toLower: '$type' }, String(req.query.type).toLowerCase()] };
+  }
+
+  const [result] = await ProductGemstone.aggregate([
+    { $match: stoneMatch },
+    {
+      $lookup: {
+        from: Certificate.collection.name,
+        let: { number: '$certificationNumber' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ['$certificateNumber', '$$number'] },
+              status: { $nin: ['rejected', 'revoked'] }
+            }
+          },
+          { $limit: 1 }
+        ],
+        as: 'certificate'
+      }
+    },
+    { $match: { 'certificate.0': { $exists: false } } },
+    {
+      $group: {
+        _id: '$product',
+        uncertifiedStones: {
+          $push: {
+            _id: '$_id',
+            name: '$name',
+            type: '$type',
+            carat: '$carat',
+            quantity: '$quantity',
+            certificationNumber: '$certificationNumber',
+            certificationAuthority: '$certificationAuthority'
+          }
+        }
+      }
+    },
+    {
+      $lookup: {
+        from: Product.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'product'
+      }
+    },
+    { $unwind: '$product' },
+    { $match: { 'product.isActive': { $ne: false } } },
+    {
+      $project: {
+        _id: 0,
+        product: {
+          _id: '$product._id',
+          name: '$product.name',
+          sku: '$product.sku',
+          slug: '$product.slug',
+          status: '$product.status'
+        },
+        uncertifiedStones: 1,
+        uncertifiedCount: { $size: '$uncertifiedStones' }
+      }
+    },
+    { $sort: { uncertifiedCount: -1, 'product.name': 1 } },
+    {
+      $facet: {
+        products: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const products = result ? result.products : [];
+
+  res.status(200).json({
+    status: 'success',
+    results: products.length,
+    total: result && result.total[0] ? result.total[0].count : 0,
+    data: {
+      products
+    }
+  });
+});
+
+// @desc    Get single certificate with the stones it covers
+// @route   GET /api/v1/admin/certificates/:id
+// @access  Private/Admin
+exports.getCertificate = catchAsync(async (req, res, next) => {
+  const certificate = await Certificate.findById(req.params.id)
+    .populate('product', 'name sku slug status')
+    .populate('verifiedBy', 'firstName lastName')
+    .populate('createdBy', 'firstName lastName');
+
+  if (!certificate) {
+    return next(new AppError('Certificate not found', 404));
+  }
+
+  const gemstones = await ProductGemstone.find({
+    product: certificate.product._id,
+    certificationNumber: certificate.certificateNumber
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      certificate,
+      gemstones
+    }
+  });
+});
+
+// @desc    Create certificate (multipart with an optional "file", or JSON)
+// @route   POST /api/v1/admin/certificates
+// @access  Private/Admin
+exports.createCertificate = catchAsync(async (req, res, next) => {
+  const product = await Product.findById(req.body.product);
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  const data = {};
+  CERTIFICATE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  const certificate = new Certificate({
+    ...data,
+    product: product._id,
+    createdBy: req.user.id
+  });
+
+  if (req.file) {
+    certificate.file = { url: req.file.location, mimeType: req.file.mimetype, size: req.file.size };
+  }
+  applyStatusChange(certificate, req.user.id);
+
+  await certificate.save();
+
+  let gemstone = null;
+  if (req.body.gemstone) {
+    gemstone = await linkGemstone(req.body.gemstone, certificate);
+    if (!gemstone) {
+      await Certificate.findByIdAndDelete(certificate._id);
+      return next(new AppError('Gemstone not found on this product', 404));
+    }
+  }
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'create',
+    entityType: 'Certificate',
+    entityId: certificate._id,
+    newState: certificate.toObject(),
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      certificate,
+      gemstone
+    }
+  });
+});
+
+// @desc    Update certificate (multipart with an optional "file", or JSON)
+// @route   PATCH /api/v1/admin/certificates/:id
+// @access  Private/Admin
+exports.updateCertificate = catchAsync(async (req, res, next) => {
+  const certificate = await Certificate.findById(req.params.id);
+  if (!certificate) {
+    return next(new AppError('Certificate not found', 404));
+  }
+
+  const previousState = certificate.toObject();
+
+  CERTIFICATE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) certificate[field] = req.body[field];
+  });
+  if (req.file) {
+    certificate.file = { url: req.file.location, mimeType: req.file.mimetype, size: req.file.size };
+  }
+  applyStatusChange(certificate, req.user.id);
+  certificate.updatedBy = req.user.id;
+  await certificate.save();
+
+  // Keep the stones that carried the old number linked
+  if (previousState.certificateNumber !== certificate.certificateNumber || previousState.lab !== certificate.lab) {
+    await ProductGemstone.updateMany(
+      { product: certificate.product, certificationNumber: previousState.certificateNumber },
+      {
+        certificationNumber: certificate.certificateNumber,
+        certificationAuthority: certificate.lab === 'other' ? certificate.labName : certificate.lab
+      }
+    );
+  }
+
+  if (req.body.gemstone) {
+    const gemstone = await linkGemstone(req.body.gemstone, certificate);
+    if (!gemstone) {
+      return next(new AppError('Gemstone not found on this product', 404));
+    }
+  }
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'update',
+    entityType: 'Certificate',
+    entityId: certificate._id,
+    previousState,
+    newState: certificate.toObject(),
+    changes: req.body,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      certificate
+    }
+  });
+});
+
+// @desc    Delete certificate
+// @route   DELETE /api/v1/admin/certificates/:id
+// @access  Private/Admin
+exports.deleteCertificate = catchAsync(async (req, res, next) => {
+  const certificate = await Certificate.findByIdAndDelete(req.params.id);
+
+  if (!certificate) {
+    return next(new AppError('Certificate not found', 404));
+  }
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'delete',
+    entityType: 'Certificate',
+    entityId: certificate._id,
+    previousState: certificate.toObject(),
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
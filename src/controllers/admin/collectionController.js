@@ -0,0 +1,243 @@
+const Collection = require('../../models/Collection');
+const Product = require('../../models/Product');
+const AdminActivity = require('../../models/AdminActivity');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const APIFeatures = require('../../utils/apiFeatures');
+
+const COLLECTION_FIELDS = [
+  'name', 'description', 'image', 'type', 'products', 'rules',
+  'defaultSort', 'displayOrder', 'isActive', 'metaTitle', 'metaDescription'
+];
+
+// Helper function to check that every product of a manual collection exists
+const findMissingProducts = async (productIds = []) => {
+  const uniqueIds = [...new Set(productIds.map(id => id.toString()))];
+  const found = await Product.find({ _id: { $in: uniqueIds } }).select('_id');
+  const foundIds = new Set(found.map(product => product._id.toString()));
+  return uniqueIds.filter(id => !foundIds.has(id));
+};
+
+// @desc    Get all collections
+// @route   GET /api/v1/admin/collections
+// @access  Private/Admin
+exports.getAllCollections = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(Collection.find(), req.query)
+    .filter()
+    .search()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const collections = await features.query
+    .populate('createdBy', 'firstName lastName');
+
+  const total = await Collection.countDocuments(features.filterQuery);
+
+  res.status(200).json({
+    status: 'success',
+    results: collections.length,
+    total,
+    data: {
+      collections
+    }
+  });
+});
+
+// @desc    Get single collection with its matching product count
+// @route   GET /api/v1/admin/collections/:id
+// @access  Private/Admin
+exports.getCollection = catchAsync(async (req, res, next) => {
+  const collection = await Collection.findById(req.params.id)
+    .populate({
+      path: 'products',
+      select: 'name sku slug sellingPrice offerPrice status stockStatus',
+      populate: { path: 'images', match: { isPrimary: true } }
+    })
+    .populate('rules.categories', 'name slug')
+    .populate('createdBy', 'firstName lastName');
+
+  if (!collection) {
+    return next(new AppError('Collection not found', 404));
+  }
+
+  const filter = collection.type === 'manual'
+    ? { _id: { $in: collection.products.map(product => product._id) } }
+    : collection.getProductFilter();
+
+  const [productCount, publishedCount] = await Promise.all([
+    Product.countDocuments(filter),
+    Product.countDocuments({ $and: [filter], ...Product.publishedFilter() })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      collection,
+      productCount,
+      publishedCount
+    }
+  });
+});
+
+// @desc    Create collection
+// @route   POST /api/v1/admin/collections
+// @access  Private/Admin
+exports.createCollection = catchAsync(async (req, res, next) => {
+  if (req.body.type !== 'smart' && Array.isArray(req.body.products)) {
+    const missing = await findMissingProducts(req.body.products);
+    if (missing.length > 0) {
+      return next(new AppError(`Products not found: ${missing.join(', ')}`, 404));
+    }
+  }
+
+  const data = {};
+  COLLECTION_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  const collection = await Collection.create({
+    ...data,
+    createdBy: req.user.id
+  });
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'create',
+    entityType: 'Collection',
+    entityId: collection._id,
+    newState: collection.toObject(),
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      collection
+    }
+  });
+});
+
+// @desc    Update collection
+// @route   PATCH /api/v1/admin/collections/:id
+// @access  Private/Admin
+exports.updateCollection = catchAsync(async (req, res, next) => {
+  const collection = await Collection.findById(req.params.id);
+  if (!collection) {
+    return next(new AppError('Collection not found', 404));
+  }
+
+  if (Array.isArray(req.body.products)) {
+    const missing = await findMissingProducts(req.body.products);
+    if (missing.length > 0) {
+      return next(new AppError(`Products not found: ${missing.join(', ')}`, 404));
+    }
+  }
+
+  const previousState = collection.toObject();
+
+  COLLECTION_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) collection[field] = req.body[field];
+  });
+  collection.updatedBy = req.user.id;
+  await collection.save();
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'update',
+    entityType: 'Collection',
+    entityId: collection._id,
+    previousState,
+    newState: collection.toObject(),
+    changes: req.body,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      collection
+    }
+  });
+});
+
+// @desc    Set the product order of a manual collection
+// @route   PATCH /api/v1/admin/collections/:id/products
+// @access  Private/Admin
+exports.reorderCollectionProducts = catchAsync(async (req, res, next) => {
+  const { products } = req.body;
+
+  if (!Array.isArray(products)) {
+    return next(new AppError('Products must be an array of product IDs in display order', 400));
+  }
+
+  const collection = await Collection.findById(req.params.id);
+  if (!collection) {
+    return next(new AppError('Collection not found', 404));
+  }
+
+  if (collection.type !== 'manual') {
+    return next(new AppError('Only manual collections have a product order', 400));
+  }
+
+  const missing = await findMissingProducts(products);
+  if (missing.length > 0) {
+    return next(new AppError(`Products not found: ${missing.join(', ')}`, 404));
+  }
+
+  const previousOrder = collection.products.map(id => id.toString());
+  collection.products = [...new Set(products.map(id => id.toString()))];
+  collection.updatedBy = req.user.id;
+  await collection.save();
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'update',
+    entityType: 'Collection',
+    entityId: collection._id,
+    previousState: { products: previousOrder },
+    newState: { products: collection.products },
+    metadata: { reorder: true },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      collection
+    }
+  });
+});
+
+// @desc    Delete collection
+// @route   DELETE /api/v1/admin/collections/:id
+// @access  Private/Admin
+exports.deleteCollection = catchAsync(async (req, res, next) => {
+  const collection = await Collection.findByIdAndDelete(req.params.id);
+
+  if (!collection) {
+    return next(new AppError('Collection not found', 404));
+  }
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'delete',
+    entityType: 'Collection',
+    entityId: collection._id,
+    previousState: collection.toObject(),
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
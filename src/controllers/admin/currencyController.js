@@ -0,0 +1,135 @@
+const Currency = require('../../models/Currency');
+const AdminActivity = require('../../models/AdminActivity');
+const CurrencyService = require('../../services/currencyService');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+
+// @desc    Get all currencies with their rates and rounding rules
+// @route   GET /api/v1/admin/currencies
+// @access  Private/Admin
+exports.getCurrencies = catchAsync(async (req, res, next) => {
+  const currencies = await Currency.find()
+    .populate('updatedBy', 'firstName lastName')
+    .sort('code');
+
+  res.status(200).json({
+    status: 'success',
+    results: currencies.length,
+    data: {
+      currencies
+    }
+  });
+});
+
+// @desc    Add a currency
+// @route   POST /api/v1/admin/currencies
+// @access  Private/Admin
+exports.createCurrency = catchAsync(async (req, res, next) => {
+  const currency = await Currency.create({
+    code: req.body.code,
+    name: req.body.name,
+    symbol: req.body.symbol,
+    rate: req.body.rate,
+    rounding: req.body.rounding,
+    isActive: req.body.isActive,
+    createdBy: req.user.id
+  });
+
+  CurrencyService.clearCache();
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'create',
+    entityType: 'Currency',
+    entityId: currency._id,
+    newState: currency.toObject(),
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      currency
+    }
+  });
+});
+
+// @desc    Update a currency's name, symbol, rate, rounding rule or status
+// @route   PATCH /api/v1/admin/currencies/:id
+// @access  Private/Admin
+exports.updateCurrency = catchAsync(async (req, res, next) => {
+  const currency = await Currency.findById(req.params.id);
+  if (!currency) {
+    return next(new AppError('Currency not found', 404));
+  }
+
+  const previousState = currency.toObject();
+
+  ['name', 'symbol', 'rate', 'isActive'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      currency[field] = req.body[field];
+    }
+  });
+  if (req.body.rounding) {
+    ['increment', 'mode'].forEach(field => {
+      if (req.body.rounding[field] !== undefined) {
+        currency.rounding[field] = req.body.rounding[field];
+      }
+    });
+  }
+  currency.updatedBy = req.user.id;
+  await currency.save();
+
+  CurrencyService.clearCache();
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'update',
+    entityType: 'Currency',
+    entityId: currency._id,
+    previousState,
+    newState: currency.toObject(),
+    changes: req.body,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      currency
+    }
+  });
+});
+
+// @desc    Delete a currency (orders already charged in it keep their amounts)
+// @route   DELETE /api/v1/admin/currencies/:id
+// @access  Private/Admin
+exports.deleteCurrency = catchAsync(async (req, res, next) => {
+  const currency = await Currency.findByIdAndDelete(req.params.id);
+
+  if (!currency) {
+    return next(new AppError('Currency not found', 404));
+  }
+
+  CurrencyService.clearCache();
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'delete',
+    entityType: 'Currency',
+    entityId: currency._id,
+    previousState: currency.toObject(),
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
@@ -0,0 +1,85 @@
+const ProductFeed = require('../../models/ProductFeed');
+const FeedService = require('../../services/feedService');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const { PRODUCT_FEEDS } = require('../../constants');
+
+// @desc    Get the status of each product feed
+// @route   GET /api/v1/admin/feeds
+// @access  Private/Admin
+exports.getFeeds = catchAsync(async (req, res, next) => {
+  const feeds = await ProductFeed.find()
+    .select('channel contentType size itemCount productCount generatedAt excluded')
+    .lean();
+
+  res.status(200).json({
+    status: 'success',
+    results: feeds.length,
+    data: {
+      feeds: feeds.map(({ excluded, ...feed }) => ({ ...feed, excludedCount: excluded.length }))
+    }
+  });
+});
+
+// @desc    Get published products left out of a feed and the reasons (?channel=google|meta, ?reason=)
+// @route   GET /api/v1/admin/feeds/excluded
+// @access  Private/Admin
+exports.getExcludedProducts = catchAsync(async (req, res, next) => {
+  const channel = req.query.channel || PRODUCT_FEEDS.CHANNELS[0];
+  if (!PRODUCT_FEEDS.CHANNELS.includes(channel)) {
+    return next(new AppError(`Channel must be one of: ${PRODUCT_FEEDS.CHANNELS.join(', ')}`, 400));
+  }
+
+  const feed = await ProductFeed.findOne({ channel }).select('excluded generatedAt');
+  if (!feed) {
+    return next(new AppError('This feed has not been generated yet', 404));
+  }
+
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+  const excluded = req.query.reason
+    ? feed.excluded.filter(entry => entry.reasons.includes(req.query.reason))
+    : feed.excluded;
+
+  const reasons = {};
+  feed.excluded.forEach(entry => {
+    entry.reasons.forEach(reason => {
+      reasons[reason] = (reasons[reason] || 0) + 1;
+    });
+  });
+
+  const products = excluded.slice((page - 1) * limit, page * limit);
+
+  res.status(200).json({
+    status: 'success',
+    results: products.length,
+    total: excluded.length,
+    data: {
+      channel,
+      generatedAt: feed.generatedAt,
+      reasons,
+      products
+    }
+  });
+});
+
+// @desc    Rebuild every product feed now
+// @route   POST /api/v1/admin/feeds/rebuild
+// @access  Private/Admin
+exports.rebuildFeeds = catchAsync(async (req, res, next) => {
+  const feeds = await FeedService.rebuildAll();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      feeds: feeds.map(feed => ({
+        channel: feed.channel,
+        itemCount: feed.itemCount,
+        productCount: feed.productCount,
+        excludedCount: feed.excluded.length,
+        generatedAt: feed.generatedAt
+      }))
+    }
+  });
+});
@@ -0,0 +1,236 @@
+const InventoryUnit = require('../../models/InventoryUnit');
+const Product = require('../../models/Product');
+const ProductVariant = require('../../models/ProductVariant');
+const AdminActivity = require('../../models/AdminActivity');
+const StockService = require('../../services/stockService');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const APIFeatures = require('../../utils/apiFeatures');
+
+const UNIT_FIELDS = ['huid', 'grossWeight', 'netWeight', 'notes'];
+
+// @desc    Get serialized pieces (filter by product, variant, status or huid)
+// @route   GET /api/v1/admin/inventory-units
+// @access  Private/Admin
+exports.getInventoryUnits = catchAsync(async (req, res, next) => {
+  const queryString = { ...req.query };
+  if (queryString.huid) queryString.huid = String(queryString.huid).trim().toUpperCase();
+
+  const features = new APIFeatures(InventoryUnit.find(), queryString)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const units = await features.query
+    .populate('product', 'name sku')
+    .populate('variant', 'sku options')
+    .populate('order', 'orderId status');
+
+  const total = await InventoryUnit.countDocuments(features.filterQuery);
+
+  res.status(200).json({
+    status: 'success',
+    results: units.length,
+    total,
+    data: {
+      units
+    }
+  });
+});
+
+// @desc    Add serialized pieces to a product (stock goes up by the number of pieces)
+// @route   POST /api/v1/admin/inventory-units
+// @access  Private/Admin
+exports.createInventoryUnits = catchAsync(async (req, res, next) => {
+  const { product: productId, variant: variantId, units } = req.body;
+
+  if (!Array.isArray(units) || units.length === 0) {
+    return next(new AppError('Please provide at least one piece', 400));
+  }
+
+  const product = await Product.findById(productId);
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  if (!product.isSerialized || product.productType === 'bundle') {
+    return next(new AppError('Enable piece tracking on this product before adding pieces', 400));
+  }
+
+  let variant = null;
+  if (variantId) {
+    variant = await ProductVariant.findOne({ _id: variantId, product: product._id });
+    if (!variant) {
+      return next(new AppError('Product variant not found', 404));
+    }
+  } else if (product.hasVariants) {
+    return next(new AppError('Please select the variant these pieces belong to', 400));
+  }
+
+  const docs = units.map(unit => {
+    const data = {};
+    UNIT_FIELDS.forEach(field => {
+      if (unit[field] !== undefined) data[field] = unit[field];
+    });
+    return new InventoryUnit({
+      ...data,
+      product: product._id,
+      variant: variant ? variant._id : null,
+      createdBy: req.user.id
+    });
+  });
+
+  // Check every piece before adding any, so stock and pieces stay in step
+  await Promise.all(docs.map(doc => doc.validate()));
+
+  const huids = docs.map(doc => doc.huid).filter(Boolean);
+  if (new Set(huids).size !== huids.length) {
+    return next(new AppError('The same HUID appears more than once', 400));
+  }
+  const taken = await InventoryUnit.find({ huid: { $in: huids } }).distinct('huid');
+  if (taken.length > 0) {
+    return next(new AppError(`HUIDs already registered: ${taken.join(', ')}`, 400));
+  }
+
+  const created = await InventoryUnit.insertMany(docs);
+
+  await StockService.updateStock(
+    product._id,
+    created.length,
+    'stock_in',
+    req.user.id,
+    null,
+    'Serialized pieces added',
+    created.map(unit => unit.huid).filter(Boolean).join(', '),
+    variant ? variant._id : null
+  );
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'create',
+    entityType: 'Stock',
+    newState: { units: created.map(unit => unit.toObject()) },
+    metadata: { product: product._id, variant: variant ? variant._id : null, count: created.length },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(201).json({
+    status: 'success',
+    results: created.length,
+    data: {
+      units: created
+    }
+  });
+});
+
+// @desc    Update a serialized piece; a returned piece can be put back on sale with status "available"
+// @route   PATCH /api/v1/admin/inventory-units/:id
+// @access  Private/Admin
+exports.updateInventoryUnit = catchAsync(async (req, res, next) => {
+  const unit = await InventoryUnit.findById(req.params.id);
+  if (!unit) {
+    return next(new AppError('Piece not found', 404));
+  }
+
+  const { status } = req.body;
+  const restock = status === 'available' && unit.status === 'returned';
+  if (status && status !== unit.status && !restock) {
+    return next(new AppError('The status of a piece follows its order; only returned pieces can be made available again', 400));
+  }
+
+  const previousState = unit.toObject();
+
+  UNIT_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) unit[field] = req.body[field];
+  });
+
+  if (restock) {
+    unit.status = 'available';
+    unit.order = undefined;
+    unit.orderItem = undefined;
+    unit.reservedAt = undefined;
+    unit.soldAt = undefined;
+    unit.returnedAt = undefined;
+  }
+
+  unit.updatedBy = req.user.id;
+  await unit.save();
+
+  if (restock) {
+    await StockService.updateStock(
+      unit.product,
+      1,
+      'return',
+      req.user.id,
+      null,
+      'Returned piece restocked',
+      unit.huid ? `HUID ${unit.huid}` : '',
+      unit.variant
+    );
+  }
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'update',
+    entityType: 'InventoryUnit',
+    entityId: unit._id,
+    previousState,
+    newState: unit.toObject(),
+    changes: req.body,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      unit
+    }
+  });
+});
+
+// @desc    Remove an available serialized piece (stock goes down by one)
+// @route   DELETE /api/v1/admin/inventory-units/:id
+// @access  Private/Admin
+exports.deleteInventoryUnit = catchAsync(async (req, res, next) => {
+  const unit = await InventoryUnit.findById(req.params.id);
+  if (!unit) {
+    return next(new AppError('Piece not found', 404));
+  }
+
+  if (unit.status !== 'available') {
+    return next(new AppError('Only available pieces can be removed', 400));
+  }
+
+  await StockService.updateStock(
+    unit.product,
+    1,
+    'stock_out',
+    req.user.id,
+    null,
+    'Serialized piece removed',
+    unit.huid ? `HUID ${unit.huid}` : '',
+    unit.variant
+  );
+  await unit.deleteOne();
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'delete',
+    entityType: 'InventoryUnit',
+    entityId: unit._id,
+    previousState: unit.toObject(),
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
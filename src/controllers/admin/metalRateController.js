@@ -0,0 +1,132 @@
+const MetalRate = require('../../models/MetalRate');
+const AdminActivity = require('../../models/AdminActivity');
+const MetalRateService = require('../../services/metalRateService');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const APIFeatures = require('../../utils/apiFeatures');
+
+// @desc    Get current metal rates
+// @route   GET /api/v1/admin/metal-rates
+// @access  Private/Admin
+exports.getCurrentMetalRates = catchAsync(async (req, res, next) => {
+  const rates = await MetalRate.getCurrentRates();
+
+  res.status(200).json({
+    status: 'success',
+    results: rates.length,
+    data: {
+      rates
+    }
+  });
+});
+
+// @desc    Get metal rate history
+// @route   GET /api/v1/admin/metal-rates/history
+// @access  Private/Admin
+exports.getMetalRateHistory = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(MetalRate.find(), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const rates = await features.query
+    .populate('createdBy', 'firstName lastName')
+    .sort('-createdAt');
+
+  const total = await MetalRate.countDocuments(features.filterQuery);
+
+  res.status(200).json({
+    status: 'success',
+    results: rates.length,
+    total,
+    data: {
+      rates
+    }
+  });
+});
+
+// @desc    Set metal rates and reprice metal-rate products
+// @route   POST /api/v1/admin/metal-rates
+// @access  Private/Admin
+exports.setMetalRates = catchAsync(async (req, res, next) => {
+  // Accept a single rate or { rates: [...] }
+  const entries = Array.isArray(req.body.rates) ? req.body.rates : [req.body];
+
+  if (entries.length === 0 || entries.some(entry => !entry.metal || !entry.purity || entry.ratePerGram === undefined)) {
+    return next(new AppError('Metal, purity and ratePerGram are required for every rate', 400));
+  }
+
+  const rates = await MetalRate.create(entries.map(entry => ({
+    metal: entry.metal,
+    purity: entry.purity,
+    ratePerGram: entry.ratePerGram,
+    source: entry.source || req.body.source,
+    notes: entry.notes || req.body.notes,
+    createdBy: req.user.id
+  })));
+
+  // Reprice products priced by the new rates
+  const repricing = {
+    updated: 0,
+    failed: []
+  };
+  for (const rate of rates) {
+    const result = await MetalRateService.repriceProducts(rate.metal, rate.purity);
+    repricing.updated += result.updated;
+    repricing.failed.push(...result.failed);
+  }
+
+  // Log admin activity
+  for (const rate of rates) {
+    await AdminActivity.logActivity({
+      adminUser: req.user.id,
+      action: 'create',
+      entityType: 'MetalRate',
+      entityId: rate._id,
+      newState: rate.toObject(),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      rates,
+      repricing
+    }
+  });
+});
+
+// @desc    Recalculate prices of metal-rate products from the current rates
+// @route   POST /api/v1/admin/metal-rates/reprice
+// @access  Private/Admin
+exports.repriceProducts = catchAsync(async (req, res, next) => {
+  const { metal, purity } = req.body;
+
+  const repricing = await MetalRateService.repriceProducts(metal, purity);
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'update',
+    entityType: 'Product',
+    metadata: {
+      reprice: true,
+      metal,
+      purity,
+      updated: repricing.updated,
+      failed: repricing.failed.length
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      repricing
+    }
+  });
+});
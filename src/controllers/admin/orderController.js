@@ -3,8 +3,12 @@ const OrderItem = require('../../models/OrderItem');
 const OrderAddress = require('../../models/OrderAddress');
 const User = require('../../models/User');
 const Product = require('../../models/Product');
+const ProductVariant = require('../../models/ProductVariant');
+const InventoryUnit = require('../../models/InventoryUnit');
 const AdminActivity = require('../../models/AdminActivity');
 const ShippingService = require('../../services/shippingService');
+const StockService = require('../../services/stockService');
+const PricingService = require('../../services/pricingService');
 const { emitOrderNotification } = require('../../sockets/orderSocket');
 const catchAsync = require('../../utils/catchAsync');
 const AppError = require('../../utils/appError');
@@ -14,6 +18,15 @@ const PDFDocument = require('pdfkit');
 // Initialize shipping service
 const shippingService = new ShippingService();
 
+// Invoice labels for price breakdown components
+const PRICE_COMPONENT_LABELS = {
+  metal: 'Metal',
+  making: 'Making',
+  wastage: 'Wastage',
+  stone: 'Stones',
+  other: 'Other'
+};
+
 // @desc    Get all orders (admin view)
 // @route   GET /api/v1/admin/orders
 // @access  Private/Admin
@@ -158,9 +171,8 @@ exports.updateOrderStatus = catchAsync(async (req, res, next) => {
     const orderItems = await OrderItem.find({ order: order._id });
     
     for (const item of orderItems) {
-      await Product.updateStock(
-        item.product,
-        item.quantity,
+      await StockService.updateOrderItemStock(
+        item,
         'stock_in',
         req.user.id,
         order._id,
@@ -405,29 +417,82 @@ exports.createManualOrder = catchAsync(async (req, res, next) => {
       return next(new AppError(`Product ${item.product} not found`, 404));
     }
     
-    if (product.stockQuantity < item.quantity) {
+    let variant = null;
+    if (item.variant) {
+      variant = await ProductVariant.findOne({ _id: item.variant, product: product._id, isActive: true });
+      if (!variant) {
+        return next(new AppError(`Variant ${item.variant} not found for ${product.name}`, 404));
+      }
+    } else if (product.hasVariants) {
+      return next(new AppError(`Please select a variant for ${product.name}`, 400));
+    }
+    
+    const availableStock = variant ? variant.stockQuantity : product.stockQuantity;
+    if (availableStock < item.quantity) {
       return next(new AppError(`Insufficient stock for ${product.name}`, 400));
     }
     
-    const price = product.isOnOffer ? product.offerPrice : product.sellingPrice;
+    // Pieces picked by HUID must be free pieces of this product
+    if (Array.isArray(item.huids) && item.huids.length > 0) {
+      if (!product.isSerialized || product.productType === 'bundle') {
+        return next(new AppError(`${product.name} is not tracked by piece`, 400));
+      }
+      const huids = [...new Set(item.huids.map(huid => String(huid).trim().toUpperCase()))];
+      const freeUnits = await InventoryUnit.countDocuments({
+        product: product._id,
+        variant: variant ? variant._id : null,
+        huid: { $in: huids },
+        status: 'available'
+      });
+      if (huids.length !== item.quantity || freeUnits !== item.quantity) {
+        return next(new AppError(`Select ${item.quantity} available HUID(s) for ${product.name}`, 400));
+      }
+    }
+    
+    const price = PricingService.getVariantPrice(product, variant);
     const itemTotal = price * item.quantity;
     subtotal += itemTotal;
     
     orderItems.push({
       product: product._id,
+      variant,
       name: product.name,
-      sku: product.sku,
+      sku: variant ? variant.sku : product.sku,
+      image: product.images?.[0]?.url,
       quantity: item.quantity,
       price,
+      priceBreakdown: PricingService.calculatePriceBreakdown(product, variant),
+      bundleComponents: await product.getBundleSnapshot(),
+      huids: Array.isArray(item.huids) ? item.huids : [],
       total: itemTotal
     });
   }
   
+  // A piece can only be picked once, so the same HUID may not appear on two items
+  const pickedHuids = orderItems.flatMap(item => item.huids.map(huid => String(huid).trim().toUpperCase()));
+  const repeatedHuid = pickedHuids.find((huid, index) => pickedHuids.indexOf(huid) !== index);
+  if (repeatedHuid) {
+    return next(new AppError(`HUID ${repeatedHuid} is selected more than once`, 400));
+  }
+  
+  // Serialized products need enough hallmarked pieces before any stock is taken
+  try {
+    await StockService.checkUnitAvailability(orderItems.map(item => ({
+      product: item.product,
+      variant: item.variant ? item.variant._id : null,
+      quantity: item.quantity,
+      bundleComponents: item.bundleComponents
+    })));
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+  
   // Calculate shipping charge
   const shippingCharge = calculateShippingCharge(shippingAddress.pincode, subtotal);
   
-  // Calculate tax (18% GST)
-  const tax = subtotal * 0.18;
+  // Calculate tax per price component
+  const taxBreakdown = PricingService.calculateTaxBreakdown(orderItems, subtotal);
+  const tax = taxBreakdown.tax;
   
   // Calculate grand total
   const grandTotal = subtotal + shippingCharge + tax;
@@ -438,6 +503,7 @@ exports.createManualOrder = catchAsync(async (req, res, next) => {
     subtotal,
     shippingCharge,
     tax,
+    taxBreakdown: taxBreakdown.components,
     grandTotal,
     currency: 'INR',
     paymentMethod,
@@ -448,27 +514,40 @@ exports.createManualOrder = catchAsync(async (req, res, next) => {
   });
   
   // Create order items
+  const stockTakenItems = [];
   for (const item of orderItems) {
-    await OrderItem.create({
+    const orderItem = await OrderItem.create({
       order: order._id,
       product: item.product,
+      variant: item.variant ? item.variant._id : null,
+      variantOptions: item.variant ? item.variant.options : undefined,
       quantity: item.quantity,
       price: item.price,
+      priceBreakdown: item.priceBreakdown,
       sku: item.sku,
       productName: item.name,
-      productImage: product.images?.[0]?.url
+      productImage: item.image,
+      bundleComponents: item.bundleComponents
     });
     
-    // Reduce stock
-    await Product.updateStock(
-      item.product,
-      item.quantity,
-      'stock_out',
-      req.user.id,
-      order._id,
-      'Manual order creation',
-      `Manual order ${order.orderId}`
-    );
+    // Reduce stock (bundles reduce each component) and reserve serialized pieces, the ones
+    // picked by HUID when given. Stock or pieces taken by another order since the checks
+    // above undo this order.
+    try {
+      await StockService.updateOrderItemStock(
+        orderItem,
+        'stock_out',
+        req.user.id,
+        order._id,
+        'Manual order creation',
+        `Manual order ${order.orderId}`
+      );
+      stockTakenItems.push(orderItem);
+      await StockService.allocateOrderItemUnits(orderItem, order._id, item.huids);
+    } catch (error) {
+      await StockService.rollbackOrder(order, stockTakenItems, req.user.id);
+      return next(new AppError(error.message, 400));
+    }
   }
   
   // Create order addresses
@@ -519,6 +598,63 @@ exports.createManualOrder = catchAsync(async (req, res, next) => {
   });
 });
 
+// @desc    Allocate specific serialized pieces (by HUID) to an order item
+// @route   PATCH /api/v1/admin/orders/:id/items/:itemId/units
+// @access  Private/Admin
+exports.allocateOrderItemUnits = catchAsync(async (req, res, next) => {
+  const { huids } = req.body;
+  
+  if (!Array.isArray(huids) || huids.length === 0) {
+    return next(new AppError('Please provide the HUIDs of the pieces to allocate', 400));
+  }
+  
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+  
+  if (!['pending', 'confirmed', 'processing'].includes(order.status)) {
+    return next(new AppError('Pieces can only be changed before the order ships', 400));
+  }
+  
+  const item = await OrderItem.findOne({ _id: req.params.itemId, order: order._id });
+  if (!item) {
+    return next(new AppError('Order item not found', 404));
+  }
+  
+  if (item.bundleComponents && item.bundleComponents.length > 0) {
+    return next(new AppError('Pieces of a bundle are allocated automatically', 400));
+  }
+  
+  const previousUnits = item.units.map(unit => unit.huid);
+  
+  try {
+    await StockService.reallocateOrderItemUnits(item, huids);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+  
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'update',
+    entityType: 'Order',
+    entityId: order._id,
+    previousState: { units: previousUnits },
+    newState: { units: item.units.map(unit => unit.huid) },
+    metadata: { orderId: order.orderId, orderItem: item._id },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      item
+    }
+  });
+});
+
 // @desc    Export orders to CSV/Excel
 // @route   GET /api/v1/admin/orders/export
 // @access  Private/Admin
@@ -619,9 +755,8 @@ exports.bulkUpdateOrders = catchAsync(async (req, res, next) => {
       const orderItems = await OrderItem.find({ order: orderId });
       
       for (const item of orderItems) {
-        await Product.updateStock(
-          item.product,
-          item.quantity,
+        await StockService.updateOrderItemStock(
+          item,
           'stock_in',
           req.user.id,
           orderId,
@@ -1029,6 +1164,46 @@ exports.generateInvoice = catchAsync(async (req, res, next) => {
     doc.text(`INR ${total.toFixed(2)}`, 470, y, { width: 90, align: 'right' });
     
     y += 20;
+
+    // Pieces of a bundle
+    if (item.bundleComponents && item.bundleComponents.length > 0) {
+      doc.fontSize(9);
+      item.bundleComponents.forEach(component => {
+        doc.text(`• ${component.productName} (${component.sku}) x ${component.quantity * qty}`, 60, y, { width: 400 });
+        y = doc.y + 2;
+      });
+      y += 4;
+      doc.fontSize(10);
+    }
+
+    // Hallmarked pieces sold
+    if (item.units && item.units.length > 0) {
+      const pieces = item.units
+        .map(unit => `HUID ${unit.huid || 'N/A'} (${unit.grossWeight}g gross / ${unit.netWeight}g net)`)
+        .join('  |  ');
+
+      doc.fontSize(8);
+      doc.text(pieces, 60, y, { width: 500 });
+      y = doc.y + 4;
+      doc.fontSize(10);
+    }
+
+    // Per-unit price breakdown
+    if (item.priceBreakdown && item.priceBreakdown.components.length > 0) {
+      const lines = item.priceBreakdown.components
+        .map(line => `${PRICE_COMPONENT_LABELS[line.component] || line.component}: INR ${line.amount.toFixed(2)} + GST ${(line.taxRate * 100).toFixed(1)}%`)
+        .join('  |  ');
+
+      doc.fontSize(8).fillColor('#666666');
+      doc.text(lines, 60, y, { width: 500 });
+      y = doc.y + 8;
+      doc.fontSize(10).fillColor('#000000');
+    }
+
+    if (y > 650) {
+      doc.addPage();
+      y = 50;
+    }
   });
 
   // Totals
@@ -1049,8 +1224,19 @@ exports.generateInvoice = catchAsync(async (req, res, next) => {
   doc.text(`INR ${order.shippingCharge.toFixed(2)}`, 470, y, { width: 90, align: 'right' });
   
   y += 15;
-  doc.text('Tax (GST):', 350, y, { width: 100, align: 'right' });
-  doc.text(`INR ${order.tax.toFixed(2)}`, 470, y, { width: 90, align: 'right' });
+  if (order.taxBreakdown && order.taxBreakdown.length > 0) {
+    order.taxBreakdown.forEach((line) => {
+      const label = `GST ${PRICE_COMPONENT_LABELS[line.component] || line.component} (${(line.taxRate * 100).toFixed(1)}%):`;
+      doc.text(label, 280, y, { width: 170, align: 'right' });
+      doc.text(`INR ${line.tax.toFixed(2)}`, 470, y, { width: 90, align: 'right' });
+      y += 15;
+    });
+    doc.text('Total Tax:', 350, y, { width: 100, align: 'right' });
+    doc.text(`INR ${order.tax.toFixed(2)}`, 470, y, { width: 90, align: 'right' });
+  } else {
+    doc.text('Tax (GST):', 350, y, { width: 100, align: 'right' });
+    doc.text(`INR ${order.tax.toFixed(2)}`, 470, y, { width: 90, align: 'right' });
+  }
   
   y += 20;
   doc.fontSize(12).font('Helvetica-Bold');
@@ -3,13 +3,20 @@ const Category = require('../../models/Category');
 const SubCategory = require('../../models/SubCategory');
 const ProductImage = require('../../models/ProductImage');
 const ProductGemstone = require('../../models/ProductGemstone');
+const ProductVariant = require('../../models/ProductVariant');
+const ProductRevision = require('../../models/ProductRevision');
 const StockHistory = require('../../models/StockHistory');
 const AdminActivity = require('../../models/AdminActivity');
 const Order = require('../../models/Order');
+const SizeGuide = require('../../models/SizeGuide');
 const OrderItem = require('../../models/OrderItem');
 const catchAsync = require('../../utils/catchAsync');
 const AppError = require('../../utils/appError');
 const APIFeatures = require('../../utils/apiFeatures');
+const StockService = require('../../services/stockService');
+const MetalRateService = require('../../services/metalRateService');
+const ProductSpreadsheetService = require('../../services/productSpreadsheetService');
+const ProductRevisionService = require('../../services/productRevisionService');
 
 // @desc    Get all products (admin view)
 // @route   GET /api/v1/admin/products
@@ -31,10 +38,20 @@ exports.getAllProducts = catchAsync(async (req, res, next) => {
 
   const total = await Product.countDocuments(features.filterQuery);
 
+  // Count per lifecycle status for the admin tabs
+  const statusCounts = { draft: 0, scheduled: 0, published: 0, archived: 0 };
+  const counts = await Product.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  counts.forEach(item => {
+    if (item._id) statusCounts[item._id] = item.count;
+  });
+
   res.status(200).json({
     status: 'success',
     results: products.length,
     total,
+    statusCounts,
     data: {
       products
     }
@@ -48,10 +65,12 @@ exports.getProduct = catchAsync(async (req, res, next) => {
   const product = await Product.findById(req.params.id)
     .populate('category', 'name')
     .populate('subCategory', 'name')
+    .populate('sizeGuide', 'name type')
     .populate('createdBy', 'firstName lastName')
     .populate('updatedBy', 'firstName lastName')
     .populate('images')
-    .populate('gemstones');
+    .populate('gemstones')
+    .populate({ path: 'variants', options: { sort: { displayOrder: 1 } } });
 
   if (!product) {
     return next(new AppError('Product not found', 404));
@@ -88,6 +107,19 @@ exports.createProduct = catchAsync(async (req, res, next) => {
     }
   }
 
+  // Handle empty size guide
+  if (req.body.sizeGuide === '') {
+    req.body.sizeGuide = undefined;
+  }
+
+  // Check if size guide exists
+  if (req.body.sizeGuide) {
+    const sizeGuide = await SizeGuide.findById(req.body.sizeGuide);
+    if (!sizeGuide) {
+      return next(new AppError('Size guide not found', 404));
+    }
+  }
+
   // Generate SKU if not provided
   if (!req.body.sku) {
     const categoryCode = category.name.substring(0, 3).toUpperCase();
@@ -99,7 +131,15 @@ exports.createProduct = catchAsync(async (req, res, next) => {
   req.body.createdBy = req.user.id;
 
   // Ensure mandatory fields are present in req.body for better error handling before Product.create
-  const requiredFields = ['name', 'description', 'category', 'basePrice', 'sellingPrice', 'stockQuantity', 'material'];
+  // Drafts only need a name; metal-rate products and bundles get their prices derived on save
+  let requiredFields = ['name', 'description', 'category', 'basePrice', 'sellingPrice', 'stockQuantity', 'material'];
+  if (req.body.status === 'draft') {
+    requiredFields = ['name'];
+  } else if (req.body.productType === 'bundle') {
+    requiredFields = ['name', 'description', 'category', 'material', 'bundleItems'];
+  } else if (req.body.pricingMode === 'metal_rate') {
+    requiredFields = ['name', 'description', 'category', 'stockQuantity', 'material', 'purity', 'weight'];
+  }
   const missingFields = requiredFields.filter(field => !req.body[field] && req.body[field] !== 0);
 
   if (missingFields.length > 0) {
@@ -109,7 +149,18 @@ exports.createProduct = catchAsync(async (req, res, next) => {
   // Set defaults and handle enums if needed
   if (!req.body.gender) req.body.gender = 'unisex';
 
-  const product = await Product.create(req.body);
+  const product = new Product(req.body);
+
+  // Derive the price from the current metal rate
+  if (product.pricingMode === 'metal_rate') {
+    try {
+      await MetalRateService.applyMetalRatePrice(product, req.body.gemstones || []);
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+  }
+
+  await product.save();
 
   // Handle images if provided in the body
   if (req.body.images && Array.isArray(req.body.images)) {
@@ -124,6 +175,29 @@ exports.createProduct = catchAsync(async (req, res, next) => {
     await Promise.all(imagePromises);
   }
 
+  // Handle gemstones if provided in the body
+  if (req.body.gemstones && Array.isArray(req.body.gemstones) && req.body.gemstones.length > 0) {
+    await ProductGemstone.create(req.body.gemstones.map(gemstone => ({
+      ...gemstone,
+      product: product._id,
+      addedBy: req.user.id
+    })));
+  }
+
+  // Handle variants if provided in the body
+  if (req.body.variants && Array.isArray(req.body.variants) && req.body.variants.length > 0) {
+    await ProductVariant.create(req.body.variants.map((variant, index) => ({
+      ...variant,
+      product: product._id,
+      displayOrder: variant.displayOrder ?? index,
+      addedBy: req.user.id
+    })));
+    await ProductVariant.syncProductStock(product._id);
+  }
+
+  // Record the first revision
+  await ProductRevisionService.record(product._id, { action: 'create', userId: req.user.id });
+
   // Log admin activity
   await AdminActivity.logActivity({
     adminUser: req.user.id,
@@ -152,6 +226,7 @@ exports.updateProduct = catchAsync(async (req, res, next) => {
   if (!previousProduct) {
     return next(new AppError('Product not found', 404));
   }
+  const previousState = previousProduct.toObject();
 
   // Check if category exists if being updated
   if (req.body.category) {
@@ -174,12 +249,42 @@ exports.updateProduct = catchAsync(async (req, res, next) => {
     }
   }
 
+  // Handle empty size guide
+  if (req.body.sizeGuide === '') {
+    req.body.sizeGuide = null;
+  }
+
+  // Check if size guide exists if being updated
+  if (req.body.sizeGuide) {
+    const sizeGuide = await SizeGuide.findById(req.body.sizeGuide);
+    if (!sizeGuide) {
+      return next(new AppError('Size guide not found', 404));
+    }
+  }
+
   // Update updatedBy
   req.body.updatedBy = req.user.id;
 
+  // Keep the state before this change if the product has no revisions yet
+  await ProductRevisionService.ensureBaseline(previousProduct._id, req.user.id);
+
   // Update product properties
   Object.assign(previousProduct, req.body);
+
+  // Derive the price (and the price of each variant) from the current metal rate
+  let pricedVariants = [];
+  if (previousProduct.pricingMode === 'metal_rate') {
+    const gemstones = Array.isArray(req.body.gemstones) ? req.body.gemstones : null;
+    try {
+      await MetalRateService.applyMetalRatePrice(previousProduct, gemstones);
+      pricedVariants = await MetalRateService.priceVariants(previousProduct, gemstones);
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+  }
+
   const product = await previousProduct.save();
+  await Promise.all(pricedVariants.map(variant => variant.save()));
 
   // Handle images update if provided
   if (req.body.images && Array.isArray(req.body.images)) {
@@ -198,15 +303,32 @@ exports.updateProduct = catchAsync(async (req, res, next) => {
     await Promise.all(imagePromises);
   }
 
+  // Handle gemstones update if provided (replace all)
+  if (req.body.gemstones && Array.isArray(req.body.gemstones)) {
+    await ProductGemstone.deleteMany({ product: product._id });
+
+    if (req.body.gemstones.length > 0) {
+      await ProductGemstone.create(req.body.gemstones.map(({ _id, ...gemstone }) => ({
+        ...gemstone,
+        product: product._id,
+        addedBy: req.user.id
+      })));
+    }
+  }
+
+  // Record the revision (product, gemstones and images)
+  const revision = await ProductRevisionService.record(product._id, { action: 'update', userId: req.user.id });
+
   // Log admin activity
   await AdminActivity.logActivity({
     adminUser: req.user.id,
     action: 'update',
     entityType: 'Product',
     entityId: product._id,
-    previousState: previousProduct.toObject(),
+    previousState,
     newState: product.toObject(),
     changes: req.body,
+    metadata: revision ? { revisionNumber: revision.revisionNumber } : {},
     ipAddress: req.ip,
     userAgent: req.get('user-agent')
   });
@@ -290,7 +412,7 @@ exports.getStockHistory = catchAsync(async (req, res, next) => {
 // @route   PATCH /api/v1/admin/products/:id/stock
 // @access  Private/Admin
 exports.updateStock = catchAsync(async (req, res, next) => {
-  const { quantity, type, reason, notes } = req.body;
+  const { quantity, type, reason, notes, variantId } = req.body;
 
   if (!['stock_in', 'stock_out', 'adjustment'].includes(type)) {
     return next(new AppError('Invalid stock update type', 400));
@@ -300,14 +422,15 @@ exports.updateStock = catchAsync(async (req, res, next) => {
     return next(new AppError('Quantity must be greater than 0', 400));
   }
 
-  const product = await Product.updateStock(
+  const product = await StockService.updateStock(
     req.params.id,
     quantity,
     type,
     req.user.id,
     null,
     reason || 'Manual stock update',
-    notes
+    notes,
+    variantId
   );
 
   // Log admin activity
@@ -320,6 +443,7 @@ exports.updateStock = catchAsync(async (req, res, next) => {
       type,
       quantity,
       reason,
+      variantId,
       previousStock: product.stockQuantity - (type === 'stock_in' ? quantity : -quantity),
       newStock: product.stockQuantity
     },
@@ -391,8 +515,9 @@ exports.bulkUpdateProducts = catchAsync(async (req, res, next) => {
     return next(new AppError('Updates are required', 400));
   }
 
-  // Filter allowed updates
-  const allowedUpdates = ['isActive', 'isFeatured', 'isNewArrival', 'isBestSeller', 'stockQuantity', 'sellingPrice', 'discountValue', 'discountType'];
+  // Filter allowed updates. Stock goes through POST /admin/stock/bulk-update, which keeps the
+  // stock status, history and variant totals in step.
+  const allowedUpdates = ['isActive', 'status', 'publishAt', 'unpublishAt', 'isFeatured', 'isNewArrival', 'isBestSeller', 'sellingPrice', 'discountValue', 'discountType'];
   const filteredUpdates = {};
 
   Object.keys(updates).forEach(key => {
@@ -401,13 +526,43 @@ exports.bulkUpdateProducts = catchAsync(async (req, res, next) => {
     }
   });
 
+  if (updates.stockQuantity !== undefined) {
+    return next(new AppError('Use the bulk stock update to change stock quantities', 400));
+  }
+
   if (Object.keys(filteredUpdates).length === 0) {
     return next(new AppError('No valid updates provided', 400));
   }
 
+  // Metal-rate prices are derived from the current rate and would be overwritten on the next reprice
+  if (filteredUpdates.sellingPrice !== undefined) {
+    const metalRateCount = await Product.countDocuments({ _id: { $in: productIds }, pricingMode: 'metal_rate' });
+    if (metalRateCount > 0) {
+      return next(new AppError('Selling price cannot be set on metal-rate products', 400));
+    }
+  }
+
+  // updateMany skips the model hooks, so keep status and isActive in step here
+  if (filteredUpdates.status) {
+    if (!['draft', 'scheduled', 'published', 'archived'].includes(filteredUpdates.status)) {
+      return next(new AppError('Invalid product status', 400));
+    }
+    if (filteredUpdates.status === 'scheduled' && !filteredUpdates.publishAt) {
+      return next(new AppError('Publish date is required for scheduled products', 400));
+    }
+    filteredUpdates.isActive = filteredUpdates.status === 'published';
+  } else if (filteredUpdates.isActive !== undefined) {
+    filteredUpdates.status = filteredUpdates.isActive ? 'published' : 'archived';
+  }
+
   // Add updatedBy
   filteredUpdates.updatedBy = req.user.id;
 
+  // Keep the state before this change for products without revisions
+  for (const productId of productIds) {
+    await ProductRevisionService.ensureBaseline(productId, req.user.id);
+  }
+
   // Update products
   const result = await Product.updateMany(
     { _id: { $in: productIds } },
@@ -415,6 +570,11 @@ exports.bulkUpdateProducts = catchAsync(async (req, res, next) => {
     { runValidators: true }
   );
 
+  // Record a revision for every changed product
+  for (const productId of productIds) {
+    await ProductRevisionService.record(productId, { action: 'bulk_update', userId: req.user.id });
+  }
+
   // Log admin activity
   await AdminActivity.logActivity({
     adminUser: req.user.id,
@@ -437,6 +597,110 @@ exports.bulkUpdateProducts = catchAsync(async (req, res, next) => {
   });
 });
 
+// @desc    Import products from an Excel/CSV file (upsert by SKU)
+// @route   POST /api/v1/admin/products/import?dryRun=true
+// @access  Private/Admin
+exports.importProducts = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Please upload an .xlsx or .csv file', 400));
+  }
+
+  const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true' || req.body.dryRun === true;
+
+  let rows;
+  try {
+    rows = await ProductSpreadsheetService.readRows(req.file.buffer, req.file.originalname);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const report = await ProductSpreadsheetService.importRows(rows, {
+    dryRun,
+    userId: req.user.id
+  });
+
+  // Log admin activity
+  if (!dryRun) {
+    await AdminActivity.logActivity({
+      adminUser: req.user.id,
+      action: 'import',
+      entityType: 'Product',
+      metadata: {
+        fileName: req.file.originalname,
+        totalRows: report.totalRows,
+        created: report.created,
+        updated: report.updated,
+        failed: report.failed
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      report
+    }
+  });
+});
+
+// @desc    Export products to an Excel/CSV file in the import format
+// @route   GET /api/v1/admin/products/export?format=xlsx|csv&status=
+// @access  Private/Admin
+exports.exportProducts = catchAsync(async (req, res, next) => {
+  const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+
+  const query = {};
+  if (req.query.category) {
+    const category = await Category.findOne({ slug: req.query.category });
+    if (!category) {
+      return next(new AppError('Category not found', 404));
+    }
+    query.category = category._id;
+  }
+  if (req.query.isActive !== undefined) {
+    query.isActive = req.query.isActive === 'true';
+  }
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const products = await Product.find(query)
+    .populate('category', 'slug')
+    .populate('subCategory', 'slug')
+    .populate('images')
+    .populate('gemstones')
+    .sort('sku');
+
+  const workbook = await ProductSpreadsheetService.buildWorkbook(products);
+  const buffer = format === 'csv'
+    ? await workbook.csv.writeBuffer()
+    : await workbook.xlsx.writeBuffer();
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'export',
+    entityType: 'Product',
+    metadata: {
+      format,
+      productCount: products.length
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  const fileName = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.set({
+    'Content-Type': format === 'csv'
+      ? 'text/csv'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'Content-Disposition': `attachment; filename="${fileName}"`
+  });
+  res.status(200).send(Buffer.from(buffer));
+});
+
 // @desc    Upload product images
 // @route   POST /api/v1/admin/products/:id/images
 // @access  Private/Admin
@@ -459,6 +723,9 @@ exports.uploadProductImages = catchAsync(async (req, res, next) => {
       altText: `Image of ${product.name}`,
       size: file.size,
       mimeType: file.mimetype,
+      dimensions: file.dimensions,
+      renditions: file.renditions,
+      originalKey: file.originalKey,
       uploadedBy: req.user.id
     });
 
@@ -537,4 +804,305 @@ exports.deleteProductImage = catchAsync(async (req, res, next) => {
     status: 'success',
     data: null
   });
-});
\ No newline at end of file
+});
+
+// @desc    Get product variants
+// @route   GET /api/v1/admin/products/:id/variants
+// @access  Private/Admin
+exports.getProductVariants = catchAsync(async (req, res, next) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  const variants = await ProductVariant.find({ product: product._id })
+    .sort('displayOrder');
+
+  res.status(200).json({
+    status: 'success',
+    results: variants.length,
+    data: {
+      variants
+    }
+  });
+});
+
+// @desc    Create product variant
+// @route   POST /api/v1/admin/products/:id/variants
+// @access  Private/Admin
+exports.createProductVariant = catchAsync(async (req, res, next) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  // Generate variant SKU from the product SKU if not provided
+  if (!req.body.sku) {
+    const count = await ProductVariant.countDocuments({ product: product._id });
+    req.body.sku = `${product.sku}-V${String(count + 1).padStart(2, '0')}`;
+  }
+
+  const variant = new ProductVariant({
+    ...req.body,
+    product: product._id,
+    addedBy: req.user.id
+  });
+
+  // Metal-rate variants are priced from their own weight and purity
+  if (product.pricingMode === 'metal_rate') {
+    try {
+      await MetalRateService.applyVariantMetalRatePrice(product, variant);
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+  }
+
+  await variant.save();
+
+  await ProductVariant.syncProductStock(product._id);
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'create',
+    entityType: 'Product',
+    entityId: product._id,
+    newState: variant.toObject(),
+    metadata: { variantId: variant._id, sku: variant.sku },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      variant
+    }
+  });
+});
+
+// @desc    Update product variant
+// @route   PATCH /api/v1/admin/products/variants/:variantId
+// @access  Private/Admin
+exports.updateProductVariant = catchAsync(async (req, res, next) => {
+  const variant = await ProductVariant.findById(req.params.variantId);
+  if (!variant) {
+    return next(new AppError('Variant not found', 404));
+  }
+
+  // Stock moves go through the stock endpoint so they are recorded in stock history
+  if (req.body.stockQuantity !== undefined) {
+    return next(new AppError('Use the product stock endpoint with a variantId to change variant stock', 400));
+  }
+
+  const previousState = variant.toObject();
+  const allowedUpdates = ['sku', 'options', 'priceDelta', 'weight', 'lowStockThreshold', 'displayOrder', 'isActive'];
+  allowedUpdates.forEach(field => {
+    if (req.body[field] !== undefined) {
+      variant[field] = req.body[field];
+    }
+  });
+
+  // Metal-rate variants are priced from their own weight and purity
+  const product = await Product.findById(variant.product);
+  if (product && product.pricingMode === 'metal_rate') {
+    try {
+      await MetalRateService.applyVariantMetalRatePrice(product, variant);
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+  }
+
+  await variant.save();
+
+  await ProductVariant.syncProductStock(variant.product);
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'update',
+    entityType: 'Product',
+    entityId: variant.product,
+    previousState,
+    newState: variant.toObject(),
+    changes: req.body,
+    metadata: { variantId: variant._id, sku: variant.sku },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      variant
+    }
+  });
+});
+
+// @desc    Delete product variant
+// @route   DELETE /api/v1/admin/products/variants/:variantId
+// @access  Private/Admin
+exports.deleteProductVariant = catchAsync(async (req, res, next) => {
+  const variant = await ProductVariant.findById(req.params.variantId);
+  if (!variant) {
+    return next(new AppError('Variant not found', 404));
+  }
+
+  // Soft delete - order items keep pointing at the variant
+  variant.isActive = false;
+  await variant.save();
+
+  await ProductVariant.syncProductStock(variant.product);
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'delete',
+    entityType: 'Product',
+    entityId: variant.product,
+    previousState: variant.toObject(),
+    metadata: { variantId: variant._id, sku: variant.sku },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Get product revisions
+// @route   GET /api/v1/admin/products/:id/revisions
+// @access  Private/Admin
+exports.getProductRevisions = catchAsync(async (req, res, next) => {
+  const product = await Product.findById(req.params.id).select('name sku');
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  const revisions = await ProductRevision.find({ product: product._id })
+    .select('-snapshot')
+    .populate('createdBy', 'firstName lastName')
+    .sort('-revisionNumber');
+
+  res.status(200).json({
+    status: 'success',
+    results: revisions.length,
+    data: {
+      product,
+      revisions
+    }
+  });
+});
+
+// @desc    Diff two product revisions (defaults to the latest two)
+// @route   GET /api/v1/admin/products/:id/revisions/diff?from=&to=
+// @access  Private/Admin
+exports.getProductRevisionDiff = catchAsync(async (req, res, next) => {
+  const latest = await ProductRevision.findOne({ product: req.params.id }).sort('-revisionNumber');
+  if (!latest) {
+    return next(new AppError('No revisions found for this product', 404));
+  }
+
+  const to = req.query.to ? Number(req.query.to) : latest.revisionNumber;
+  const from = req.query.from ? Number(req.query.from) : to - 1;
+
+  const [fromRevision, toRevision] = await Promise.all([
+    ProductRevision.findOne({ product: req.params.id, revisionNumber: from }),
+    ProductRevision.findOne({ product: req.params.id, revisionNumber: to })
+  ]);
+
+  if (!fromRevision || !toRevision) {
+    return next(new AppError('Revision not found', 404));
+  }
+
+  const changes = ProductRevisionService.diff(fromRevision.snapshot, toRevision.snapshot);
+
+  res.status(200).json({
+    status: 'success',
+    results: changes.length,
+    data: {
+      from,
+      to,
+      changes
+    }
+  });
+});
+
+// @desc    Get a single product revision with its snapshot
+// @route   GET /api/v1/admin/products/:id/revisions/:revisionNumber
+// @access  Private/Admin
+exports.getProductRevision = catchAsync(async (req, res, next) => {
+  const revision = await ProductRevision.findOne({
+    product: req.params.id,
+    revisionNumber: Number(req.params.revisionNumber)
+  }).populate('createdBy', 'firstName lastName');
+
+  if (!revision) {
+    return next(new AppError('Revision not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      revision
+    }
+  });
+});
+
+// @desc    Roll a product back to a revision
+// @route   POST /api/v1/admin/products/:id/revisions/:revisionNumber/rollback
+// @access  Private/Admin
+exports.rollbackProductRevision = catchAsync(async (req, res, next) => {
+  const revisionNumber = Number(req.params.revisionNumber);
+
+  const [product, revision] = await Promise.all([
+    Product.findById(req.params.id),
+    ProductRevision.findOne({ product: req.params.id, revisionNumber })
+  ]);
+
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+  if (!revision) {
+    return next(new AppError('Revision not found', 404));
+  }
+
+  const previousState = product.toObject();
+
+  let newRevision;
+  try {
+    newRevision = await ProductRevisionService.rollback(product._id, revisionNumber, req.user.id);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const restoredProduct = await Product.findById(product._id)
+    .populate('images')
+    .populate('gemstones');
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'update',
+    entityType: 'Product',
+    entityId: product._id,
+    previousState,
+    newState: restoredProduct.toObject(),
+    metadata: {
+      rollbackTo: revisionNumber,
+      revisionNumber: newRevision?.revisionNumber
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      product: restoredProduct,
+      revision: newRevision
+    }
+  });
+});
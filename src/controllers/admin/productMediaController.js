@@ -0,0 +1,231 @@
+const ProductMedia = require('../../models/ProductMedia');
+const Product = require('../../models/Product');
+const AdminActivity = require('../../models/AdminActivity');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+
+// Helper function to add media after the product's existing items,
+// making the first item primary when the product has none
+const addMedia = async (product, items) => {
+  const existing = await ProductMedia.countDocuments({ product: product._id });
+  const hasPrimary = await ProductMedia.exists({ product: product._id, isPrimary: true });
+
+  const media = [];
+  for (const [index, item] of items.entries()) {
+    media.push(await ProductMedia.create({
+      ...item,
+      product: product._id,
+      displayOrder: existing + index,
+      isPrimary: !hasPrimary && index === 0
+    }));
+  }
+
+  return media;
+};
+
+// Helper function to log admin activity for a media item
+const logMediaActivity = (req, action, media, state) => AdminActivity.logActivity({
+  adminUser: req.user.id,
+  action,
+  entityType: 'ProductMedia',
+  entityId: media._id,
+  ...state,
+  metadata: { product: media.product },
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+// Load the product of a media upload into req.product before any file is stored,
+// so an unknown product leaves nothing behind in S3
+exports.loadMediaProduct = catchAsync(async (req, res, next) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  req.product = product;
+  next();
+});
+
+// @desc    Get a product's images, videos and spins in display order
+// @route   GET /api/v1/admin/products/:id/media
+// @access  Private/Admin
+exports.getProductMedia = catchAsync(async (req, res, next) => {
+  const media = await ProductMedia.find({ product: req.params.id })
+    .sort('displayOrder');
+
+  res.status(200).json({
+    status: 'success',
+    results: media.length,
+    data: {
+      media
+    }
+  });
+});
+
+// @desc    Upload product images as media (up to 10 "images")
+// @route   POST /api/v1/admin/products/:id/media/images
+// @access  Private/Admin
+exports.addProductMediaImages = catchAsync(async (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next(new AppError('Please upload at least one image', 400));
+  }
+
+  const { product } = req;
+
+  const media = await addMedia(product, req.files.map(file => ({
+    type: 'image',
+    url: file.location,
+    renditions: file.renditions,
+    dimensions: file.dimensions,
+    size: file.size,
+    mimeType: file.mimetype,
+    altText: req.body.altText || `Image of ${product.name}`,
+    uploadedBy: req.user.id
+  })));
+
+  for (const item of media) {
+    await logMediaActivity(req, 'create', item, { newState: item.toObject() });
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      media
+    }
+  });
+});
+
+// @desc    Upload a product video ("video", MP4/MOV) with an optional "poster" image
+// @route   POST /api/v1/admin/products/:id/media/video
+// @access  Private/Admin
+exports.addProductVideo = catchAsync(async (req, res, next) => {
+  const { product } = req;
+
+  const video = req.files.video[0];
+  const poster = req.files.poster && req.files.poster[0];
+
+  const [media] = await addMedia(product, [{
+    type: 'video',
+    url: video.location,
+    poster: poster ? { url: poster.location, ...poster.dimensions } : undefined,
+    duration: video.duration,
+    size: video.size,
+    mimeType: video.mimetype,
+    altText: req.body.altText || `Video of ${product.name}`,
+    uploadedBy: req.user.id
+  }]);
+
+  await logMediaActivity(req, 'create', media, { newState: media.toObject() });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      media
+    }
+  });
+});
+
+// @desc    Upload the "frames" of a 360° spin; "posterFrame" picks the still shown first (default 0)
+// @route   POST /api/v1/admin/products/:id/media/spin
+// @access  Private/Admin
+exports.addProductSpin = catchAsync(async (req, res, next) => {
+  const { product } = req;
+
+  const frames = req.files.map(file => ({ url: file.location, ...file.dimensions }));
+  const posterFrame = parseInt(req.body.posterFrame, 10) || 0;
+  if (posterFrame < 0 || posterFrame >= frames.length) {
+    return next(new AppError(`Poster frame must be between 0 and ${frames.length - 1}`, 400));
+  }
+
+  const [media] = await addMedia(product, [{
+    type: 'spin',
+    frames,
+    poster: frames[posterFrame],
+    dimensions: { width: frames[0].width, height: frames[0].height },
+    size: req.files.reduce((total, file) => total + file.size, 0),
+    mimeType: 'image/webp',
+    altText: req.body.altText || `360° view of ${product.name}`,
+    uploadedBy: req.user.id
+  }]);
+
+  await logMediaActivity(req, 'create', media, { newState: media.toObject() });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      media
+    }
+  });
+});
+
+// @desc    Update media alt text, order, primary flag or (for spins) poster frame
+// @route   PATCH /api/v1/admin/products/media/:mediaId
+// @access  Private/Admin
+exports.updateProductMedia = catchAsync(async (req, res, next) => {
+  const media = await ProductMedia.findById(req.params.mediaId);
+  if (!media) {
+    return next(new AppError('Media not found', 404));
+  }
+
+  const previousState = media.toObject();
+  const { altText, displayOrder, isPrimary, posterFrame } = req.body;
+
+  if (altText !== undefined) media.altText = altText;
+  if (displayOrder !== undefined) media.displayOrder = displayOrder;
+  if (isPrimary !== undefined) media.isPrimary = isPrimary === true || isPrimary === 'true';
+
+  if (posterFrame !== undefined) {
+    const index = parseInt(posterFrame, 10);
+    if (media.type !== 'spin') {
+      return next(new AppError('Only spins have a poster frame', 400));
+    }
+    if (Number.isNaN(index) || index < 0 || index >= media.frames.length) {
+      return next(new AppError(`Poster frame must be between 0 and ${media.frames.length - 1}`, 400));
+    }
+    media.poster = media.frames[index].toObject();
+  }
+
+  await media.save();
+
+  await logMediaActivity(req, 'update', media, {
+    previousState,
+    newState: media.toObject(),
+    changes: req.body
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      media
+    }
+  });
+});
+
+// @desc    Delete product media
+// @route   DELETE /api/v1/admin/products/media/:mediaId
+// @access  Private/Admin
+exports.deleteProductMedia = catchAsync(async (req, res, next) => {
+  const media = await ProductMedia.findById(req.params.mediaId);
+  if (!media) {
+    return next(new AppError('Media not found', 404));
+  }
+
+  await media.deleteOne();
+
+  // If deleted media was primary, promote the next item
+  if (media.isPrimary) {
+    const newPrimary = await ProductMedia.findOne({ product: media.product }).sort('displayOrder');
+    if (newPrimary) {
+      newPrimary.isPrimary = true;
+      await newPrimary.save();
+    }
+  }
+
+  await logMediaActivity(req, 'delete', media, { previousState: media.toObject() });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
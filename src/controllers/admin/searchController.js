@@ -0,0 +1,277 @@
+const SearchSynonym = require('../../models/SearchSynonym');
+const SearchBoost = require('../../models/SearchBoost');
+const AdminActivity = require('../../models/AdminActivity');
+const SearchService = require('../../services/searchService');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const APIFeatures = require('../../utils/apiFeatures');
+
+// @desc    Get all synonym groups
+// @route   GET /api/v1/admin/search/synonyms
+// @access  Private/Admin
+exports.getSynonyms = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(SearchSynonym.find(), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const synonyms = await features.query
+    .populate('createdBy', 'firstName lastName')
+    .sort('-createdAt');
+
+  const total = await SearchSynonym.countDocuments(features.filterQuery);
+
+  res.status(200).json({
+    status: 'success',
+    results: synonyms.length,
+    total,
+    data: {
+      synonyms
+    }
+  });
+});
+
+// @desc    Create synonym group
+// @route   POST /api/v1/admin/search/synonyms
+// @access  Private/Admin
+exports.createSynonym = catchAsync(async (req, res, next) => {
+  const synonym = await SearchSynonym.create({
+    name: req.body.name,
+    terms: req.body.terms,
+    isActive: req.body.isActive,
+    createdBy: req.user.id
+  });
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'create',
+    entityType: 'SearchSynonym',
+    entityId: synonym._id,
+    newState: synonym.toObject(),
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      synonym
+    }
+  });
+});
+
+// @desc    Update synonym group
+// @route   PATCH /api/v1/admin/search/synonyms/:id
+// @access  Private/Admin
+exports.updateSynonym = catchAsync(async (req, res, next) => {
+  const synonym = await SearchSynonym.findById(req.params.id);
+  if (!synonym) {
+    return next(new AppError('Synonym group not found', 404));
+  }
+
+  const previousState = synonym.toObject();
+
+  ['name', 'terms', 'isActive'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      synonym[field] = req.body[field];
+    }
+  });
+  synonym.updatedBy = req.user.id;
+  await synonym.save();
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'update',
+    entityType: 'SearchSynonym',
+    entityId: synonym._id,
+    previousState,
+    newState: synonym.toObject(),
+    changes: req.body,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      synonym
+    }
+  });
+});
+
+// @desc    Delete synonym group
+// @route   DELETE /api/v1/admin/search/synonyms/:id
+// @access  Private/Admin
+exports.deleteSynonym = catchAsync(async (req, res, next) => {
+  const synonym = await SearchSynonym.findByIdAndDelete(req.params.id);
+
+  if (!synonym) {
+    return next(new AppError('Synonym group not found', 404));
+  }
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'delete',
+    entityType: 'SearchSynonym',
+    entityId: synonym._id,
+    previousState: synonym.toObject(),
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Get all boost rules
+// @route   GET /api/v1/admin/search/boosts
+// @access  Private/Admin
+exports.getBoosts = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(SearchBoost.find(), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const boosts = await features.query
+    .populate('product', 'name sku slug')
+    .populate('category', 'name slug')
+    .populate('createdBy', 'firstName lastName')
+    .sort('-createdAt');
+
+  const total = await SearchBoost.countDocuments(features.filterQuery);
+
+  res.status(200).json({
+    status: 'success',
+    results: boosts.length,
+    total,
+    data: {
+      boosts
+    }
+  });
+});
+
+// @desc    Create boost rule
+// @route   POST /api/v1/admin/search/boosts
+// @access  Private/Admin
+exports.createBoost = catchAsync(async (req, res, next) => {
+  const boost = await SearchBoost.create({
+    ...req.body,
+    createdBy: req.user.id
+  });
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'create',
+    entityType: 'SearchBoost',
+    entityId: boost._id,
+    newState: boost.toObject(),
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      boost
+    }
+  });
+});
+
+// @desc    Update boost rule
+// @route   PATCH /api/v1/admin/search/boosts/:id
+// @access  Private/Admin
+exports.updateBoost = catchAsync(async (req, res, next) => {
+  const boost = await SearchBoost.findById(req.params.id);
+  if (!boost) {
+    return next(new AppError('Boost rule not found', 404));
+  }
+
+  const previousState = boost.toObject();
+
+  ['product', 'category', 'weight', 'queries', 'startsAt', 'endsAt', 'isActive', 'notes'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      boost[field] = req.body[field];
+    }
+  });
+  boost.updatedBy = req.user.id;
+  await boost.save();
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'update',
+    entityType: 'SearchBoost',
+    entityId: boost._id,
+    previousState,
+    newState: boost.toObject(),
+    changes: req.body,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      boost
+    }
+  });
+});
+
+// @desc    Delete boost rule
+// @route   DELETE /api/v1/admin/search/boosts/:id
+// @access  Private/Admin
+exports.deleteBoost = catchAsync(async (req, res, next) => {
+  const boost = await SearchBoost.findByIdAndDelete(req.params.id);
+
+  if (!boost) {
+    return next(new AppError('Boost rule not found', 404));
+  }
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'delete',
+    entityType: 'SearchBoost',
+    entityId: boost._id,
+    previousState: boost.toObject(),
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Get search report (top queries, zero-result queries, conversion)
+// @route   GET /api/v1/admin/search/report
+// @access  Private/Admin
+exports.getSearchReport = catchAsync(async (req, res, next) => {
+  const { startDate, endDate, limit } = req.query;
+
+  if ((startDate && isNaN(new Date(startDate))) || (endDate && isNaN(new Date(endDate)))) {
+    return next(new AppError('Invalid date range', 400));
+  }
+
+  const report = await SearchService.getSearchReport({
+    startDate,
+    endDate,
+    limit: limit ? Math.min(Number(limit) || 20, 100) : undefined
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      report
+    }
+  });
+});
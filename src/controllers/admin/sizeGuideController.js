@@ -0,0 +1,146 @@
+const SizeGuide = require('../../models/SizeGuide');
+const Category = require('../../models/Category');
+const Product = require('../../models/Product');
+const AdminActivity = require('../../models/AdminActivity');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+
+// Helper function to check that every category of a chart exists
+const checkCategories = async (categories) => {
+  if (!Array.isArray(categories) || categories.length === 0) return true;
+  const found = await Category.countDocuments({ _id: { $in: categories } });
+  return found === new Set(categories.map(String)).size;
+};
+
+// @desc    Get all size guides
+// @route   GET /api/v1/admin/size-guides
+// @access  Private/Admin
+exports.getSizeGuides = catchAsync(async (req, res, next) => {
+  const filter = {};
+  if (req.query.type) filter.type = req.query.type;
+
+  const sizeGuides = await SizeGuide.find(filter)
+    .populate('categories', 'name slug')
+    .populate('updatedBy', 'firstName lastName')
+    .sort('type name');
+
+  res.status(200).json({
+    status: 'success',
+    results: sizeGuides.length,
+    data: {
+      sizeGuides
+    }
+  });
+});
+
+// @desc    Create size guide
+// @route   POST /api/v1/admin/size-guides
+// @access  Private/Admin
+exports.createSizeGuide = catchAsync(async (req, res, next) => {
+  if (!(await checkCategories(req.body.categories))) {
+    return next(new AppError('Category not found', 404));
+  }
+
+  const sizeGuide = await SizeGuide.create({
+    name: req.body.name,
+    type: req.body.type,
+    categories: req.body.categories,
+    description: req.body.description,
+    howToMeasure: req.body.howToMeasure,
+    sizes: req.body.sizes,
+    isActive: req.body.isActive,
+    createdBy: req.user.id
+  });
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'create',
+    entityType: 'SizeGuide',
+    entityId: sizeGuide._id,
+    newState: sizeGuide.toObject(),
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      sizeGuide
+    }
+  });
+});
+
+// @desc    Update size guide (sizes, when given, replace the whole chart)
+// @route   PATCH /api/v1/admin/size-guides/:id
+// @access  Private/Admin
+exports.updateSizeGuide = catchAsync(async (req, res, next) => {
+  const sizeGuide = await SizeGuide.findById(req.params.id);
+  if (!sizeGuide) {
+    return next(new AppError('Size guide not found', 404));
+  }
+
+  if (!(await checkCategories(req.body.categories))) {
+    return next(new AppError('Category not found', 404));
+  }
+
+  const previousState = sizeGuide.toObject();
+
+  ['name', 'type', 'categories', 'description', 'howToMeasure', 'sizes', 'isActive'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      sizeGuide[field] = req.body[field];
+    }
+  });
+  sizeGuide.updatedBy = req.user.id;
+  await sizeGuide.save();
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'update',
+    entityType: 'SizeGuide',
+    entityId: sizeGuide._id,
+    previousState,
+    newState: sizeGuide.toObject(),
+    changes: req.body,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      sizeGuide
+    }
+  });
+});
+
+// @desc    Delete size guide and unlink it from products
+// @route   DELETE /api/v1/admin/size-guides/:id
+// @access  Private/Admin
+exports.deleteSizeGuide = catchAsync(async (req, res, next) => {
+  const sizeGuide = await SizeGuide.findByIdAndDelete(req.params.id);
+
+  if (!sizeGuide) {
+    return next(new AppError('Size guide not found', 404));
+  }
+
+  // Products linked to the deleted guide fall back to their category's chart
+  await Product.updateMany({ sizeGuide: sizeGuide._id }, { $unset: { sizeGuide: 1 } });
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'delete',
+    entityType: 'SizeGuide',
+    entityId: sizeGuide._id,
+    previousState: sizeGuide.toObject(),
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
@@ -1,6 +1,7 @@
 const StockHistory = require('../../models/StockHistory');
 const Product = require('../../models/Product');
 const AdminActivity = require('../../models/AdminActivity');
+const StockService = require('../../services/stockService');
 const catchAsync = require('../../utils/catchAsync');
 const AppError = require('../../utils/appError');
 const APIFeatures = require('../../utils/apiFeatures');
@@ -149,7 +150,7 @@ exports.bulkUpdateStock = catchAsync(async (req, res, next) => {
   
   for (const update of updates) {
     try {
-      const { productId, quantity, type, reason, notes } = update;
+      const { productId, variantId, quantity, type, reason, notes } = update;
       
       if (!['stock_in', 'stock_out', 'adjustment'].includes(type)) {
         errors.push({
@@ -159,18 +160,20 @@ exports.bulkUpdateStock = catchAsync(async (req, res, next) => {
         continue;
       }
       
-      const product = await Product.updateStock(
+      const product = await StockService.updateStock(
         productId,
         quantity,
         type,
         req.user.id,
         null,
         reason || 'Bulk stock update',
-        notes
+        notes,
+        variantId
       );
       
       results.push({
         productId,
+        variantId,
         success: true,
         newStock: product.stockQuantity
       });
@@ -0,0 +1,205 @@
+const Product = require('../../models/Product');
+const Category = require('../../models/Category');
+const Banner = require('../../models/Banner');
+const AdminActivity = require('../../models/AdminActivity');
+const TranslationService = require('../../services/translationService');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const { LOCALES } = require('../../constants');
+
+// Translatable content by URL name; missing translations are only reported for live content
+const ENTITIES = {
+  product: { model: Product, modelName: 'Product', filter: { status: { $ne: 'archived' } }, select: 'name sku slug status' },
+  category: { model: Category, modelName: 'Category', filter: { isActive: true }, select: 'name slug' },
+  banner: { model: Banner, modelName: 'Banner', filter: { isActive: true }, select: 'name page position' }
+};
+
+// Helper function to read and check the entity and locale of a request
+const resolveTarget = (entityName, locale) => {
+  const entity = ENTITIES[entityName];
+  if (!entity) {
+    throw new AppError(`Entity must be one of: ${Object.keys(ENTITIES).join(', ')}`, 400);
+  }
+  if (locale !== undefined && !TranslationService.isTranslationLocale(locale)) {
+    throw new AppError(`Locale must be one of: ${LOCALES.SUPPORTED.filter(code => code !== LOCALES.DEFAULT).join(', ')}`, 400);
+  }
+  return entity;
+};
+
+// @desc    List content missing translations (?entity=product|category|banner, ?locale=hi)
+// @route   GET /api/v1/admin/translations/missing
+// @access  Private/Admin
+exports.getMissingTranslations = catchAsync(async (req, res, next) => {
+  const entityName = req.query.entity || 'product';
+  const locale = req.query.locale || LOCALES.SUPPORTED.find(code => code !== LOCALES.DEFAULT);
+  const entity = resolveTarget(entityName, locale);
+  const fields = LOCALES.TRANSLATABLE_FIELDS[entity.modelName];
+
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const filter = { ...entity.filter, ...TranslationService.missingFilter(entity.modelName, locale) };
+
+  const [docs, total] = await Promise.all([
+    entity.model.find(filter)
+      .select(`${entity.select} ${fields.join(' ')} translations.${locale}`)
+      .sort('-updatedAt')
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    entity.model.countDocuments(filter)
+  ]);
+
+  const items = docs.map(doc => {
+    const summary = { _id: doc._id };
+    entity.select.split(' ').forEach(field => {
+      summary[field] = doc[field];
+    });
+    summary.missingFields = TranslationService.getMissingFields(doc, entity.modelName, locale);
+    return summary;
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: items.length,
+    total,
+    data: {
+      entity: entityName,
+      locale,
+      items
+    }
+  });
+});
+
+// @desc    Get the base text and all translations of a product, category or banner
+// @route   GET /api/v1/admin/translations/:entity/:id
+// @access  Private/Admin
+exports.getTranslations = catchAsync(async (req, res, next) => {
+  const entity = resolveTarget(req.params.entity);
+  const fields = LOCALES.TRANSLATABLE_FIELDS[entity.modelName];
+
+  const doc = await entity.model.findById(req.params.id)
+    .select(`${fields.join(' ')} translations`)
+    .lean();
+
+  if (!doc) {
+    return next(new AppError(`${entity.modelName} not found`, 404));
+  }
+
+  const base = {};
+  fields.forEach(field => {
+    base[field] = doc[field];
+  });
+
+  const missing = {};
+  LOCALES.SUPPORTED.filter(code => code !== LOCALES.DEFAULT).forEach(code => {
+    missing[code] = TranslationService.getMissingFields(doc, entity.modelName, code);
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      fields,
+      base,
+      translations: doc.translations || {},
+      missing
+    }
+  });
+});
+
+// @desc    Set translated fields for one locale (an empty value removes that field's translation)
+// @route   PATCH /api/v1/admin/translations/:entity/:id/:locale
+// @access  Private/Admin
+exports.updateTranslation = catchAsync(async (req, res, next) => {
+  const { locale } = req.params;
+  const entity = resolveTarget(req.params.entity, locale);
+  const fields = LOCALES.TRANSLATABLE_FIELDS[entity.modelName];
+
+  const unknown = Object.keys(req.body).filter(field => !fields.includes(field));
+  if (unknown.length > 0) {
+    return next(new AppError(`These fields cannot be translated: ${unknown.join(', ')}`, 400));
+  }
+
+  const doc = await entity.model.findById(req.params.id).select('translations');
+  if (!doc) {
+    return next(new AppError(`${entity.modelName} not found`, 404));
+  }
+
+  const current = doc.translations.get(locale);
+  const previousState = current ? current.toObject() : {};
+  const translation = { ...previousState };
+
+  fields.forEach(field => {
+    if (req.body[field] === undefined) return;
+    const text = req.body[field] === null ? '' : String(req.body[field]).trim();
+    if (text) {
+      translation[field] = text;
+    } else {
+      delete translation[field];
+    }
+  });
+
+  // Only this locale is written, so a translator editing another locale at the same time is not overwritten
+  const update = Object.keys(translation).length > 0
+    ? { $set: { [`translations.${locale}`]: translation } }
+    : { $unset: { [`translations.${locale}`]: 1 } };
+  await entity.model.updateOne({ _id: doc._id }, update, { runValidators: true });
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'update',
+    entityType: entity.modelName,
+    entityId: doc._id,
+    previousState: { translations: { [locale]: previousState } },
+    newState: { translations: { [locale]: translation } },
+    changes: req.body,
+    metadata: { locale },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      locale,
+      translation
+    }
+  });
+});
+
+// @desc    Remove every translation of one locale
+// @route   DELETE /api/v1/admin/translations/:entity/:id/:locale
+// @access  Private/Admin
+exports.deleteTranslation = catchAsync(async (req, res, next) => {
+  const { locale } = req.params;
+  const entity = resolveTarget(req.params.entity, locale);
+
+  const doc = await entity.model.findById(req.params.id).select('translations');
+  if (!doc) {
+    return next(new AppError(`${entity.modelName} not found`, 404));
+  }
+
+  const current = doc.translations.get(locale);
+  if (!current) {
+    return next(new AppError('Translation not found', 404));
+  }
+
+  await entity.model.updateOne({ _id: doc._id }, { $unset: { [`translations.${locale}`]: 1 } });
+
+  // Log admin activity
+  await AdminActivity.logActivity({
+    adminUser: req.user.id,
+    action: 'delete',
+    entityType: entity.modelName,
+    entityId: doc._id,
+    previousState: { translations: { [locale]: current.toObject() } },
+    metadata: { locale },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
@@ -86,7 +86,8 @@ const mergeGuestData = async (userId, guestId) => {
         // We look in the `items` array of userCart because querying CartItem by cart ID is safer
         const existingItem = await CartItem.findOne({
           cart: userCart._id,
-          product: productId
+          product: productId,
+          variant: guestItem.variant || null
         });
 
         if (existingItem) {
@@ -162,7 +163,16 @@ const mergeGuestData = async (userId, guestId) => {
       await Wishlist.findByIdAndDelete(guestWishlist._id);
     }
     
-    // 3) Mark conversion
+    // 3) Carry viewing history over to the user
+    const guestUser = await GuestUser.findOne({ guestId }).select('productsViewed');
+    if (guestUser && guestUser.productsViewed.length > 0) {
+      await User.recordProductViews(userId, guestUser.productsViewed.map(view => ({
+        product: view.productId,
+        viewedAt: view.timestamp
+      })));
+    }
+
+    // 4) Mark conversion
     await GuestUser.findOneAndUpdate(
       { guestId }, 
       { convertedToUser: true, convertedUserId: userId, convertedAt: new Date() }
@@ -1,10 +1,13 @@
 const Cart = require('../models/Cart');
 const CartItem = require('../models/CartItem');
 const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
 const Coupon = require('../models/Coupon');
 const Analytics = require('../models/Analytics');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
+const PricingService = require('../services/pricingService');
+const RecommendationService = require('../services/recommendationService');
 
 // @desc    Get user cart
 // @route   GET /api/v1/cart
@@ -18,11 +21,21 @@ exports.getCart = catchAsync(async (req, res, next) => {
     cart = await Cart.findOne(query)
       .populate({
         path: 'items',
-        populate: {
-          path: 'product',
-          select: 'name slug sellingPrice offerPrice isOnOffer stockQuantity stockStatus images',
-          populate: { path: 'images', match: { isPrimary: true } }
-        }
+        populate: [
+          {
+            path: 'product',
+            select: 'name slug sellingPrice offerPrice isOnOffer stockQuantity stockStatus hasVariants images productType bundleItems',
+            populate: [
+              { path: 'images', match: { isPrimary: true } },
+              { path: 'bundleItems.product', select: 'name slug sku' },
+              { path: 'bundleItems.variant', select: 'sku options' }
+            ]
+          },
+          {
+            path: 'variant',
+            select: 'sku options priceDelta metalPricing weight stockQuantity stockStatus'
+          }
+        ]
       })
       .populate('couponApplied');
 
@@ -43,11 +56,21 @@ exports.getCart = catchAsync(async (req, res, next) => {
     cart = await Cart.findOne({ guestId })
       .populate({
         path: 'items',
-        populate: {
-          path: 'product',
-          select: 'name slug sellingPrice offerPrice isOnOffer stockQuantity stockStatus images',
-          populate: { path: 'images', match: { isPrimary: true } }
-        }
+        populate: [
+          {
+            path: 'product',
+            select: 'name slug sellingPrice offerPrice isOnOffer stockQuantity stockStatus hasVariants images productType bundleItems',
+            populate: [
+              { path: 'images', match: { isPrimary: true } },
+              { path: 'bundleItems.product', select: 'name slug sku' },
+              { path: 'bundleItems.variant', select: 'sku options' }
+            ]
+          },
+          {
+            path: 'variant',
+            select: 'sku options priceDelta metalPricing weight stockQuantity stockStatus'
+          }
+        ]
       })
       .populate('couponApplied');
 
@@ -73,10 +96,17 @@ exports.getCart = catchAsync(async (req, res, next) => {
     await cart.calculateTotals();
   }
 
+  // Products frequently bought with what is already in the cart
+  const cartProductIds = (cart.items || [])
+    .filter(item => item.product)
+    .map(item => item.product._id);
+  const { products: suggestions } = await RecommendationService.getCartSuggestions(cartProductIds);
+
   res.status(200).json({
     status: 'success',
     data: {
-      cart
+      cart,
+      suggestions
     }
   });
 });
@@ -85,7 +115,7 @@ exports.getCart = catchAsync(async (req, res, next) => {
 // @route   POST /api/v1/cart/items
 // @access  Private
 exports.addToCart = catchAsync(async (req, res, next) => {
-  const { productId, quantity = 1 } = req.body;
+  const { productId, variantId, quantity = 1 } = req.body;
 
   // Validate product
   const product = await Product.findById(productId);
@@ -93,8 +123,20 @@ exports.addToCart = catchAsync(async (req, res, next) => {
     return next(new AppError('Product not found', 404));
   }
 
+  // Validate variant
+  let variant = null;
+  if (variantId) {
+    variant = await ProductVariant.findOne({ _id: variantId, product: product._id, isActive: true });
+    if (!variant) {
+      return next(new AppError('Product variant not found', 404));
+    }
+  } else if (product.hasVariants) {
+    return next(new AppError('Please select a variant for this product', 400));
+  }
+
   // Check stock availability
-  if (product.stockQuantity < quantity) {
+  const availableStock = variant ? variant.stockQuantity : product.stockQuantity;
+  if (availableStock < quantity) {
     return next(new AppError('Insufficient stock', 400));
   }
 
@@ -108,7 +150,8 @@ exports.addToCart = catchAsync(async (req, res, next) => {
   // Check if item already exists in cart
   const existingCartItem = await CartItem.findOne({
     cart: cart._id,
-    product: productId
+    product: productId,
+    variant: variant ? variant._id : null
   });
 
   let cartItem;
@@ -118,11 +161,12 @@ exports.addToCart = catchAsync(async (req, res, next) => {
     cartItem = await existingCartItem.save();
   } else {
     // Create new cart item
-    const price = product.isOnOffer ? product.offerPrice : product.sellingPrice;
+    const price = PricingService.getVariantPrice(product, variant);
 
     cartItem = await CartItem.create({
       cart: cart._id,
       product: productId,
+      variant: variant ? variant._id : null,
       quantity,
       price
     });
@@ -145,7 +189,7 @@ exports.addToCart = catchAsync(async (req, res, next) => {
     sessionId: req.sessionID || 'anonymous',
     ipAddress: req.ip,
     userAgent: req.get('user-agent'),
-    metadata: { quantity }
+    metadata: { quantity, variantId: variant ? variant._id : null }
   });
 
   res.status(200).json({
@@ -169,7 +213,8 @@ exports.updateCartItem = catchAsync(async (req, res, next) => {
 
   // Find cart item
   const cartItem = await CartItem.findById(req.params.itemId)
-    .populate('product', 'stockQuantity');
+    .populate('product', 'stockQuantity')
+    .populate('variant', 'stockQuantity');
 
   if (!cartItem) {
     return next(new AppError('Cart item not found', 404));
@@ -190,7 +235,8 @@ exports.updateCartItem = catchAsync(async (req, res, next) => {
   }
 
   // Check stock availability
-  if (cartItem.product.stockQuantity < quantity) {
+  const availableStock = cartItem.variant ? cartItem.variant.stockQuantity : cartItem.product.stockQuantity;
+  if (availableStock < quantity) {
     return next(new AppError('Insufficient stock', 400));
   }
 
@@ -384,10 +430,16 @@ exports.checkCartStock = catchAsync(async (req, res, next) => {
   const cart = await Cart.findOne(query)
     .populate({
       path: 'items',
-      populate: {
-        path: 'product',
-        select: 'name stockQuantity stockStatus'
-      }
+      populate: [
+        {
+          path: 'product',
+          select: 'name stockQuantity stockStatus'
+        },
+        {
+          path: 'variant',
+          select: 'sku options stockQuantity stockStatus'
+        }
+      ]
     });
 
   if (!cart) {
@@ -403,13 +455,16 @@ exports.checkCartStock = catchAsync(async (req, res, next) => {
   const unavailableItems = [];
 
   for (const item of cart.items) {
-    if (item.product.stockQuantity < item.quantity) {
+    const stockSource = item.variant || item.product;
+    if (stockSource.stockQuantity < item.quantity) {
       unavailableItems.push({
         productId: item.product._id,
+        variantId: item.variant ? item.variant._id : null,
+        variantSku: item.variant ? item.variant.sku : null,
         productName: item.product.name,
         requested: item.quantity,
-        available: item.product.stockQuantity,
-        status: item.product.stockStatus
+        available: stockSource.stockQuantity,
+        status: stockSource.stockStatus
       });
     }
   }
@@ -0,0 +1,38 @@
+const Category = require('../models/Category');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+// @desc    Get active main categories with their subcategories
+// @route   GET /api/v1/categories
+// @access  Public
+exports.getCategories = catchAsync(async (req, res, next) => {
+  const categories = await Category.getMainCategories();
+  
+  res.status(200).json({
+    status: 'success',
+    results: categories.length,
+    data: {
+      categories
+    }
+  });
+});
+
+// @desc    Get an active category by slug
+// @route   GET /api/v1/categories/:slug
+// @access  Public
+exports.getCategory = catchAsync(async (req, res, next) => {
+  const category = await Category.findOne({ slug: req.params.slug, isActive: true })
+    .populate('subcategories')
+    .populate('parent', 'name slug translations');
+  
+  if (!category) {
+    return next(new AppError('Category not found', 404));
+  }
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      category
+    }
+  });
+});
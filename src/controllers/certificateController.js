@@ -0,0 +1,56 @@
+const Certificate = require('../models/Certificate');
+const ProductGemstone = require('../models/ProductGemstone');
+const Product = require('../models/Product');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+// @desc    Verify a gemstone certificate by its number
+// @route   GET /api/v1/certificates/:number/verify?lab=GIA
+// @access  Public
+exports.verifyCertificate = catchAsync(async (req, res, next) => {
+  const query = { certificateNumber: Certificate.normalizeNumber(req.params.number) };
+  if (req.query.lab) {
+    query.lab = String(req.query.lab).toUpperCase() === 'OTHER' ? 'other' : String(req.query.lab).toUpperCase();
+  }
+  
+  // When labs share a number, prefer the verified record ('verified' sorts last alphabetically)
+  const certificate = await Certificate.findOne(query).sort('-status -issuedAt');
+  
+  if (!certificate) {
+    return next(new AppError('Certificate not found', 404));
+  }
+  
+  // Only show the product when it is on the storefront
+  const [product, gemstones] = await Promise.all([
+    Product.findOne({ _id: certificate.product, ...Product.publishedFilter() })
+      .select('name slug')
+      .populate({ path: 'images', match: { isPrimary: true } }),
+    ProductGemstone.find({ product: certificate.product, certificationNumber: certificate.certificateNumber })
+      .select('name type color clarity carat quantity cut shape')
+  ]);
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      verification: {
+        status: certificate.getVerificationStatus(),
+        verifiedAt: certificate.verifiedAt
+      },
+      certificate: {
+        certificateNumber: certificate.certificateNumber,
+        lab: certificate.lab === 'other' ? certificate.labName : certificate.lab,
+        carat: certificate.carat,
+        color: certificate.color,
+        clarity: certificate.clarity,
+        cut: certificate.cut,
+        shape: certificate.shape,
+        measurements: certificate.measurements,
+        issuedAt: certificate.issuedAt,
+        expiresAt: certificate.expiresAt,
+        fileUrl: certificate.file && certificate.file.url
+      },
+      product,
+      gemstones: product ? gemstones : []
+    }
+  });
+});
@@ -0,0 +1,107 @@
+const Collection = require('../models/Collection');
+const Product = require('../models/Product');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const APIFeatures = require('../utils/apiFeatures');
+
+// @desc    Get active collections
+// @route   GET /api/v1/collections
+// @access  Public
+exports.getCollections = catchAsync(async (req, res, next) => {
+  const collections = await Collection.find({ isActive: true })
+    .select('name slug description image type displayOrder')
+    .sort('displayOrder name');
+  
+  res.status(200).json({
+    status: 'success',
+    results: collections.length,
+    data: {
+      collections
+    }
+  });
+});
+
+// @desc    Get products in a collection
+// @route   GET /api/v1/collections/:slug
+// @access  Public
+exports.getCollection = catchAsync(async (req, res, next) => {
+  const collection = await Collection.findOne({ slug: req.params.slug, isActive: true });
+  
+  if (!collection) {
+    return next(new AppError('Collection not found', 404));
+  }
+  
+  // Keep the collection rules in their own clause so query filters cannot replace them
+  const collectionFilter = { $and: [collection.getProductFilter()] };
+  const queryString = { sort: collection.defaultSort, ...req.query, ...Product.publishedFilter() };
+  
+  let products;
+  let total;
+  
+  if (collection.type === 'manual' && !req.query.sort) {
+    // Manual collections keep their hand-set order unless another sort is asked for
+    ({ products, total } = await findInCollectionOrder(collection.products, collectionFilter, queryString));
+  } else {
+    const features = new APIFeatures(Product.find(collectionFilter), queryString)
+      .filter()
+      .search()
+      .sort()
+      .limitFields()
+      .paginate();
+    
+    [products, total] = await Promise.all([
+      features.query
+        .populate('images')
+        .populate('category', 'name slug translations'),
+      Product.countDocuments({ ...collectionFilter, ...features.filterQuery })
+    ]);
+  }
+  
+  res.status(200).json({
+    status: 'success',
+    results: products.length,
+    total,
+    data: {
+      collection: {
+        _id: collection._id,
+        name: collection.name,
+        slug: collection.slug,
+        description: collection.description,
+        image: collection.image,
+        type: collection.type,
+        metaTitle: collection.metaTitle,
+        metaDescription: collection.metaDescription
+      },
+      products
+    }
+  });
+});
+
+// Helper function to page through a manual collection in its saved order
+async function findInCollectionOrder(order, collectionFilter, queryString) {
+  const position = new Map(order.map((id, index) => [id.toString(), index]));
+  
+  const features = new APIFeatures(Product.find(collectionFilter), queryString)
+    .filter()
+    .search();
+  const matching = await features.query.select('_id');
+  
+  const ids = matching
+    .map(product => product._id)
+    .sort((a, b) => position.get(a.toString()) - position.get(b.toString()));
+  
+  const page = queryString.page * 1 || 1;
+  const limit = queryString.limit * 1 || 10;
+  const pageIds = ids.slice((page - 1) * limit, page * limit);
+  
+  const products = await Product.find({ _id: { $in: pageIds } })
+    .select(queryString.fields ? queryString.fields.split(',').join(' ') : '-__v')
+    .populate('images')
+    .populate('category', 'name slug translations');
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+  
+  return {
+    products: pageIds.map(id => byId.get(id.toString())).filter(Boolean),
+    total: ids.length
+  };
+}
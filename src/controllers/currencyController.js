@@ -0,0 +1,20 @@
+const CurrencyService = require('../services/currencyService');
+const catchAsync = require('../utils/catchAsync');
+const { CURRENCIES } = require('../constants');
+
+// @desc    Get the currencies prices can be shown in
+// @route   GET /api/v1/currencies
+// @access  Public
+exports.getCurrencies = catchAsync(async (req, res, next) => {
+  const currencies = [...(await CurrencyService.getCurrencies()).values()]
+    .sort((a, b) => a.code.localeCompare(b.code));
+  
+  res.status(200).json({
+    status: 'success',
+    results: currencies.length,
+    data: {
+      base: CURRENCIES.BASE,
+      currencies
+    }
+  });
+});
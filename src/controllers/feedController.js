@@ -0,0 +1,39 @@
+const FeedService = require('../services/feedService');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { PRODUCT_FEEDS } = require('../constants');
+
+// Helper function to send a channel's stored feed
+const sendFeed = channel => catchAsync(async (req, res, next) => {
+  if (PRODUCT_FEEDS.TOKEN && req.query.token !== PRODUCT_FEEDS.TOKEN) {
+    return next(new AppError('Feed not found', 404));
+  }
+  
+  // Feeds are only built by the feed job (or an admin rebuild), never on request
+  const feed = await FeedService.getFeed(channel);
+  if (!feed) {
+    res.set('Retry-After', '3600');
+    return next(new AppError('This feed has not been generated yet', 503));
+  }
+  
+  const body = await FeedService.openFeed(feed);
+  
+  res.set({
+    'Content-Type': feed.contentType,
+    'Content-Length': feed.size,
+    'Last-Modified': feed.generatedAt.toUTCString()
+  });
+  res.status(200);
+  body.on('error', next);
+  body.pipe(res);
+});
+
+// @desc    Get the Google Merchant product feed (RSS XML)
+// @route   GET /api/v1/feeds/google.xml
+// @access  Public (or ?token= when PRODUCT_FEED_TOKEN is set)
+exports.getGoogleFeed = sendFeed('google');
+
+// @desc    Get the Meta catalog product feed (CSV)
+// @route   GET /api/v1/feeds/meta.csv
+// @access  Public (or ?token= when PRODUCT_FEED_TOKEN is set)
+exports.getMetaFeed = sendFeed('meta');
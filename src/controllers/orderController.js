@@ -6,18 +6,22 @@ const Payment = require('../models/Payment');
 const Cart = require('../models/Cart');
 const CartItem = require('../models/CartItem');
 const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
 const Coupon = require('../models/Coupon');
 const User = require('../models/User');
 const StockHistory = require('../models/StockHistory');
 const Analytics = require('../models/Analytics');
 const PromoCode = require('../models/PromoCode');
 const ShippingService = require('../services/shippingService');
+const StockService = require('../services/stockService');
+const PricingService = require('../services/pricingService');
+const CurrencyService = require('../services/currencyService');
 const { emitOrderNotification, notifyNewOrder } = require('../sockets/orderSocket');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const APIFeatures = require('../utils/apiFeatures');
 const razorpay = require('../configs/razorpay');
-const { TAX_RATES, SHIPPING } = require('../constants');
+const { SHIPPING } = require('../constants');
 
 // Initialize shipping service for tracking
 const shippingService = new ShippingService();
@@ -38,9 +42,10 @@ exports.initiatePayment = catchAsync(async (req, res, next) => {
     User.findById(req.user.id),
     Cart.findOne({ user: req.user.id }).populate({
       path: 'items',
-      populate: {
-        path: 'product'
-      }
+      populate: [
+        { path: 'product' },
+        { path: 'variant' }
+      ]
     }).populate('couponApplied')
   ]);
 
@@ -81,25 +86,34 @@ exports.initiatePayment = catchAsync(async (req, res, next) => {
   }
 
   const shippingCharge = calculateShippingCharge(shippingAddress.pincode, cart.cartTotal);
-  const taxableAmount = cart.cartTotal - discountAmount;
-  const tax = taxableAmount * TAX_RATES.GST;
+  const taxBreakdown = PricingService.calculateTaxBreakdown(getPricedItems(cart.items), cart.cartTotal, discountAmount);
+  const tax = taxBreakdown.tax;
   const grandTotal = cart.cartTotal - discountAmount + shippingCharge + tax;
 
   // Stock check
   for (const cartItem of cart.items) {
     const product = cartItem.product;
-    if (!product || product.stockQuantity < cartItem.quantity) {
+    const stockSource = cartItem.variant || product;
+    if (!product || stockSource.stockQuantity < cartItem.quantity) {
       return next(new AppError(`Insufficient stock for ${product?.name || 'product'}`, 400));
     }
   }
 
+  // Charge in the shopper's currency when one was asked for
+  const chargeAmount = req.currency ? CurrencyService.convert(grandTotal, req.currency) : grandTotal;
+
   // Create Razorpay order
   try {
     const options = {
-      amount: Math.round(grandTotal * 100),
-      currency: 'INR',
+      amount: Math.round(chargeAmount * 100),
+      currency: req.currency ? req.currency.code : 'INR',
       receipt: `init_${Date.now()}`,
-      notes: { userId: req.user.id }
+      // The INR total and rate the amount was converted with, checked when the order is placed
+      notes: {
+        userId: req.user.id,
+        grandTotal: String(grandTotal),
+        exchangeRate: String(req.currency ? req.currency.rate : 1)
+      }
     };
 
     const razorpayOrder = await razorpay.orders.create(options);
@@ -134,6 +148,7 @@ exports.initiatePayment = catchAsync(async (req, res, next) => {
           discount: discountAmount,
           shippingCharge,
           tax,
+          taxBreakdown: taxBreakdown.components,
           grandTotal
         }
       }
@@ -165,6 +180,10 @@ exports.createOrder = catchAsync(async (req, res, next) => {
     return next(new AppError('Payment method is required', 400));
   }
 
+  if (paymentMethod === 'cod' && req.currency) {
+    return next(new AppError('Cash on delivery is only available for orders paid in INR', 400));
+  }
+
   // Check authentication
   if (!req.user || !req.user.id) {
     return next(new AppError('You must be logged in to place an order.', 401));
@@ -175,14 +194,17 @@ exports.createOrder = catchAsync(async (req, res, next) => {
     User.findById(req.user.id),
     Cart.findOne({ user: req.user.id }).populate({
       path: 'items',
-      populate: {
-        path: 'product',
-        populate: {
-          path: 'images',
-          select: 'url isPrimary displayOrder',
-          options: { sort: { isPrimary: -1, displayOrder: 1 }, limit: 1 }
-        }
-      }
+      populate: [
+        {
+          path: 'product',
+          populate: {
+            path: 'images',
+            select: 'url isPrimary displayOrder',
+            options: { sort: { isPrimary: -1, displayOrder: 1 }, limit: 1 }
+          }
+        },
+        { path: 'variant' }
+      ]
     }).populate('couponApplied')
   ]);
 
@@ -246,9 +268,9 @@ exports.createOrder = catchAsync(async (req, res, next) => {
   // Calculate shipping charge (simplified - you might want to integrate with shipping API)
   const shippingCharge = calculateShippingCharge(shippingAddress.pincode, cart.cartTotal);
 
-  // Calculate tax (18% GST for India)
-  const taxableAmount = cart.cartTotal - discountAmount;
-  const tax = taxableAmount * TAX_RATES.GST;
+  // Calculate tax per price component (metal, making, wastage, stone)
+  const taxBreakdown = PricingService.calculateTaxBreakdown(getPricedItems(cart.items), cart.cartTotal, discountAmount);
+  const tax = taxBreakdown.tax;
 
   // Calculate grand total
   const grandTotal = cart.cartTotal - discountAmount + shippingCharge + tax;
@@ -267,11 +289,32 @@ exports.createOrder = catchAsync(async (req, res, next) => {
       return next(new AppError(`Product ${product.name} is no longer available`, 400));
     }
 
-    if (freshProduct.stockQuantity < cartItem.quantity) {
+    if (cartItem.variant) {
+      const freshVariant = await ProductVariant.findById(cartItem.variant._id);
+      if (!freshVariant || !freshVariant.isActive) {
+        return next(new AppError(`The selected option of ${freshProduct.name} is no longer available`, 400));
+      }
+      if (freshVariant.stockQuantity < cartItem.quantity) {
+        return next(new AppError(`Insufficient stock for ${freshProduct.name} (${freshVariant.sku}). Available: ${freshVariant.stockQuantity}`, 400));
+      }
+    } else if (freshProduct.stockQuantity < cartItem.quantity) {
       return next(new AppError(`Insufficient stock for ${freshProduct.name}. Available: ${freshProduct.stockQuantity}`, 400));
     }
   }
 
+  // Serialized products also need enough hallmarked pieces to reserve
+  try {
+    const unitItems = await Promise.all(cart.items.map(async cartItem => ({
+      product: cartItem.product._id,
+      variant: cartItem.variant ? cartItem.variant._id : null,
+      quantity: cartItem.quantity,
+      bundleComponents: await cartItem.product.getBundleSnapshot()
+    })));
+    await StockService.checkUnitAvailability(unitItems);
+  } catch (err) {
+    return next(new AppError(err.message, 400));
+  }
+
   // Create order
   const isPaid = (paymentMethod === 'razorpay' && razorpayPaymentId && razorpaySignature);
 
@@ -289,6 +332,29 @@ exports.createOrder = catchAsync(async (req, res, next) => {
     }
   }
 
+  // A prepaid order is recorded in the currency and amount of the Razorpay order that was paid
+  const totals = { subtotal: cart.cartTotal, discount: discountAmount, shippingCharge, tax, grandTotal };
+  let charge = {
+    currency: req.currency ? req.currency.code : 'INR',
+    exchangeRate: req.currency ? req.currency.rate : 1,
+    charged: req.currency ? CurrencyService.convertTotals(totals, req.currency) : undefined
+  };
+  if (isPaid) {
+    let paidOrder;
+    try {
+      paidOrder = await razorpay.orders.fetch(razorpayOrderId);
+    } catch (err) {
+      console.error('[createOrder] Could not fetch Razorpay order:', err.message, err.statusCode || '');
+      return next(new AppError('Could not verify the paid amount with the payment gateway', 500));
+    }
+
+    try {
+      charge = await getPaidCharge(paidOrder, totals);
+    } catch (err) {
+      return next(err);
+    }
+  }
+
   // Fetch the actual payment instrument used (upi, card, netbanking, wallet, etc.)
   let resolvedPaymentMethod = paymentMethod; // default: 'razorpay' or 'cod'
   let fetchedPaymentDetails = null;
@@ -316,8 +382,11 @@ exports.createOrder = catchAsync(async (req, res, next) => {
     discount: discountAmount,
     shippingCharge,
     tax,
+    taxBreakdown: taxBreakdown.components,
     grandTotal,
-    currency: 'INR',
+    currency: charge.currency,
+    exchangeRate: charge.exchangeRate,
+    charged: charge.charged,
     paymentMethod: resolvedPaymentMethod,
     paymentStatus: isPaid ? 'paid' : 'pending',
     status: isPaid ? 'confirmed' : 'pending',
@@ -388,38 +457,48 @@ exports.createOrder = catchAsync(async (req, res, next) => {
 
   // Create order items
   const orderItems = [];
+  const stockTakenItems = [];
   for (const cartItem of cart.items) {
     const product = cartItem.product;
     if (!product) {
+      await StockService.rollbackOrder(order, stockTakenItems, req.user.id);
       return next(new AppError('One or more products in your cart are no longer available.', 400));
     }
 
-    const price = product.isOnOffer ? product.offerPrice : product.sellingPrice;
+    const variant = cartItem.variant;
+    const price = PricingService.getVariantPrice(product, variant);
 
     const orderItem = await OrderItem.create({
       order: order._id,
       product: product._id,
+      variant: variant ? variant._id : null,
+      variantOptions: variant ? variant.options : undefined,
       quantity: cartItem.quantity,
       price,
-      sku: product.sku,
+      priceBreakdown: PricingService.calculatePriceBreakdown(product, variant),
+      sku: variant ? variant.sku : product.sku,
       productName: product.name,
-      productImage: product.images?.[0]?.url
+      productImage: product.images?.[0]?.url,
+      bundleComponents: await product.getBundleSnapshot()
     });
 
     orderItems.push(orderItem);
 
-    // Reduce stock
+    // Reduce stock (bundles reduce each component) and reserve serialized pieces.
+    // Stock or pieces taken by another order since the checks above undo this order.
     try {
-      await Product.updateStock(
-        product._id,
-        cartItem.quantity,
+      await StockService.updateOrderItemStock(
+        orderItem,
         'stock_out',
         req.user.id,
         order._id,
         'Order placed',
         `Order ${order.orderId}`
       );
+      stockTakenItems.push(orderItem);
+      await StockService.allocateOrderItemUnits(orderItem, order._id);
     } catch (err) {
+      await StockService.rollbackOrder(order, stockTakenItems, req.user.id);
       return next(new AppError(err.message || 'Error updating stock', 400));
     }
   }
@@ -497,8 +576,8 @@ exports.createOrder = catchAsync(async (req, res, next) => {
   if (paymentMethod !== 'cod' && !isPaid) {
     try {
       const options = {
-        amount: Math.round(grandTotal * 100), // Amount in paise
-        currency: 'INR',
+        amount: Math.round(order.toChargedAmount(grandTotal) * 100), // Amount in paise (or cents)
+        currency: order.currency,
         receipt: order.orderId,
         notes: {
           orderId: order.orderId,
@@ -694,9 +773,8 @@ exports.cancelOrder = catchAsync(async (req, res, next) => {
   const orderItems = await OrderItem.find({ order: order._id });
 
   for (const item of orderItems) {
-    await Product.updateStock(
-      item.product,
-      item.quantity,
+    await StockService.updateOrderItemStock(
+      item,
       'stock_in',
       req.user.id,
       order._id,
@@ -991,8 +1069,8 @@ exports.createPaymentOrder = catchAsync(async (req, res, next) => {
   // Create Razorpay order
   try {
     const options = {
-      amount: Math.round(order.grandTotal * 100), // Amount in paise
-      currency: 'INR',
+      amount: Math.round(order.toChargedAmount(order.grandTotal) * 100), // Amount in paise (or cents)
+      currency: order.currency,
       receipt: order.orderId,
       notes: {
         orderId: order.orderId,
@@ -1104,4 +1182,43 @@ function calculateShippingCharge(pincode, orderValue) {
   }
 
   return 100; // ₹100 for other cities
+}
+
+// Helper function to price cart items per component for tax calculation
+function getPricedItems(cartItems) {
+  return cartItems
+    .filter(item => item.product)
+    .map(item => ({
+      priceBreakdown: PricingService.calculatePriceBreakdown(item.product, item.variant),
+      quantity: item.quantity
+    }));
+}
+
+// Helper function to get the currency, rate and charged amounts of a prepaid order from the
+// Razorpay order that was paid. Fails when the cart no longer totals what the payment was for.
+async function getPaidCharge(razorpayOrder, totals) {
+  const paidTotal = razorpayOrder.amount / 100;
+  const notes = razorpayOrder.notes || {};
+  const mismatch = new AppError('Your cart has changed since the payment was made. Please contact support for a refund.', 400);
+
+  if (razorpayOrder.currency === 'INR') {
+    if (razorpayOrder.amount !== Math.round(totals.grandTotal * 100)) throw mismatch;
+    return { currency: 'INR', exchangeRate: 1, charged: undefined };
+  }
+
+  // Orders started before the total was noted are checked against the amount alone
+  if (notes.grandTotal !== undefined && Math.round(Number(notes.grandTotal) * 100) !== Math.round(totals.grandTotal * 100)) {
+    throw mismatch;
+  }
+
+  // Convert with the rate of the paid amount, not today's, and keep the amount actually captured
+  const currency = await CurrencyService.getCurrency(razorpayOrder.currency);
+  const exchangeRate = Number(notes.exchangeRate) || totals.grandTotal / paidTotal;
+  const charged = CurrencyService.convertTotals(totals, {
+    rate: exchangeRate,
+    rounding: currency ? currency.rounding : undefined
+  });
+  charged.grandTotal = paidTotal;
+
+  return { currency: razorpayOrder.currency, exchangeRate, charged };
 }
\ No newline at end of file
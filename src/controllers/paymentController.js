@@ -43,8 +43,8 @@ exports.createPaymentLink = catchAsync(async (req, res, next) => {
 
   // Create Razorpay Payment Link
   const paymentLinkData = {
-    amount: Math.round(order.grandTotal * 100), // Amount in paise
-    currency: 'INR',
+    amount: Math.round(order.toChargedAmount(order.grandTotal) * 100), // Amount in paise (or cents)
+    currency: order.currency,
     accept_partial: false,
     description: `Payment for Order #${order.orderId}`,
     customer: {
@@ -80,7 +80,8 @@ exports.createPaymentLink = catchAsync(async (req, res, next) => {
       data: {
         paymentUrl: paymentLink.short_url,
         paymentLinkId: paymentLink.id,
-        amount: order.grandTotal,
+        amount: order.toChargedAmount(order.grandTotal),
+        currency: order.currency,
         orderId: order.orderId
       }
     });
@@ -376,7 +377,7 @@ exports.createRefund = catchAsync(async (req, res, next) => {
   try {
     // Create refund via Razorpay
     const refund = await razorpay.payments.refund(order.razorpayPaymentId, {
-      amount: Math.round(refundAmount * 100), // Amount in paise
+      amount: Math.round(order.toChargedAmount(refundAmount) * 100), // Amount in paise (or cents)
       notes: {
         reason: reason || 'Customer request',
         orderId: order.orderId
@@ -447,9 +448,10 @@ exports.processS2SCardPayment = catchAsync(async (req, res, next) => {
 
   // Determine totals and Razorpay Order ID
   let finalRazorpayOrderId = razorpayOrderId || order?.razorpayOrderId;
-  let finalAmount = amount || order?.grandTotal;
+  let finalAmount = amount || order?.toChargedAmount(order.grandTotal);
+  const finalCurrency = order ? order.currency : 'INR';
 
-  if (!finalAmount && order) finalAmount = order.grandTotal;
+  if (!finalAmount && order) finalAmount = order.toChargedAmount(order.grandTotal);
 
   if (!finalAmount) {
     return next(new AppError('Amount is required if order is not yet created', 400));
@@ -460,7 +462,7 @@ exports.processS2SCardPayment = catchAsync(async (req, res, next) => {
     try {
       const rzpOrder = await razorpay.orders.create({
         amount: Math.round(finalAmount * 100),
-        currency: 'INR',
+        currency: finalCurrency,
         receipt: orderId || `temp_${Date.now()}`,
         notes: { orderId: orderId || 'new_order', userId: req.user.id }
       });
@@ -482,7 +484,7 @@ exports.processS2SCardPayment = catchAsync(async (req, res, next) => {
   // Using the standard v1/payments endpoint for direct card processing
   const s2sPayload = {
     amount: Math.round(finalAmount * 100),
-    currency: 'INR',
+    currency: finalCurrency,
     email: user.email,
     contact: user.phone || '',
     order_id: finalRazorpayOrderId,
@@ -500,7 +502,7 @@ exports.processS2SCardPayment = catchAsync(async (req, res, next) => {
   try {
     const params = new URLSearchParams();
     params.append('amount', Math.round(finalAmount * 100).toString());
-    params.append('currency', 'INR');
+    params.append('currency', finalCurrency);
     params.append('email', user.email);
     params.append('contact', user.phone || '');
     params.append('order_id', finalRazorpayOrderId);
@@ -563,7 +565,7 @@ exports.processS2SCardPayment = catchAsync(async (req, res, next) => {
 
     if (paymentDetails.status === 'authorized') {
       // Capture the payment
-      await razorpay.payments.capture(paymentId, Math.round(finalAmount * 100), 'INR');
+      await razorpay.payments.capture(paymentId, Math.round(finalAmount * 100), finalCurrency);
     }
 
     // Verify signature
@@ -1,20 +1,37 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
 const SubCategory = require('../models/SubCategory');
 const Review = require('../models/Review');
 const Analytics = require('../models/Analytics');
+const User = require('../models/User');
+const SlugHistory = require('../models/SlugHistory');
+const ProductVariant = require('../models/ProductVariant');
+const BackInStockSubscription = require('../models/BackInStockSubscription');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const APIFeatures = require('../utils/apiFeatures');
+const PricingService = require('../services/pricingService');
+const SearchService = require('../services/searchService');
+const RecommendationService = require('../services/recommendationService');
+const ProductCompareService = require('../services/productCompareService');
+const SeoService = require('../services/seoService');
+const SizeGuideService = require('../services/sizeGuideService');
+const BackInStockService = require('../services/backInStockService');
+const { isValidEmail } = require('../utils/helpers');
+const { SEARCH, RECOMMENDATIONS, PRODUCT_COMPARE, SEO, BACK_IN_STOCK } = require('../constants');
+
+// Guest identification used by trackGuest, for requests without a logged-in user
+const getGuestId = req => (req.user ? undefined : req.headers['x-guest-id'] || req.cookies?.guestId);
 
 // @desc    Get all products
 // @route   GET /api/v1/products
 // @access  Public
 exports.getAllProducts = catchAsync(async (req, res, next) => {
-  // Build query
+  // Build query (published products only)
   const features = new APIFeatures(
     Product.find(),
-    req.query
+    { ...req.query, ...Product.publishedFilter() }
   )
     .filter()
     .search()
@@ -24,7 +41,7 @@ exports.getAllProducts = catchAsync(async (req, res, next) => {
   
   // Execute query
   const products = await features.query
-    .populate('category', 'name')
+    .populate('category', 'name translations')
     .populate('subCategory', 'name')
     .populate('createdBy', 'firstName lastName')
     .populate('images')
@@ -48,10 +65,32 @@ exports.getAllProducts = catchAsync(async (req, res, next) => {
 // @access  Public
 exports.getProduct = catchAsync(async (req, res, next) => {
   const product = await Product.findById(req.params.id)
-    .populate('category', 'name slug')
+    .populate('category', 'name slug translations')
     .populate('subCategory', 'name slug')
     .populate('images')
-    .populate('gemstones')
+    .populate({
+      path: 'media',
+      options: { sort: { displayOrder: 1 } }
+    })
+    .populate({
+      path: 'gemstones',
+      populate: {
+        path: 'certificate',
+        match: { status: 'verified' },
+        select: 'certificateNumber lab labName carat color clarity cut expiresAt file.url'
+      }
+    })
+    .populate({
+      path: 'variants',
+      match: { isActive: true },
+      options: { sort: { displayOrder: 1 } }
+    })
+    .populate({
+      path: 'bundleItems.product',
+      select: 'name slug sku sellingPrice offerPrice isOnOffer stockStatus',
+      populate: { path: 'images', match: { isPrimary: true } }
+    })
+    .populate('bundleItems.variant', 'sku options priceDelta metalPricing stockStatus')
     .populate({
       path: 'reviews',
       options: { sort: { createdAt: -1 } },
@@ -61,8 +100,7 @@ exports.getProduct = catchAsync(async (req, res, next) => {
       }
     });
   
-  // if (!product || !product.isActive) {
-  if (!product) { 
+  if (!product || !product.isPublished()) {
     return next(new AppError('Product not found', 404));
   }
 
@@ -91,23 +129,44 @@ exports.getProduct = catchAsync(async (req, res, next) => {
       userAgent: req.get('user-agent'),
       referrer: req.get('referrer')
     });
+    await User.recordProductViews(req.user._id, [{ product: product._id }]);
+  }
+  
+  // Resolve the requested variant (by id or SKU) with its own price and stock
+  let selectedVariant = null;
+  if (req.query.variant && product.variants) {
+    const variant = product.variants.find(v =>
+      v._id.toString() === req.query.variant || v.sku === String(req.query.variant).toUpperCase()
+    );
+    if (!variant) {
+      return next(new AppError('Product variant not found', 404));
+    }
+    selectedVariant = {
+      ...variant.toObject(),
+      price: PricingService.getVariantPrice(product, variant)
+    };
   }
   
   // Get related products
   const relatedProducts = await Product.find({
     _id: { $ne: product._id },
     category: product.category,
-    // isActive: true
+    ...Product.publishedFilter()
   })
   .limit(4)
-  .select('name slug sellingPrice offerPrice isOnOffer images ratingAverage stockStatus stockQuantity')
+  .select('name slug sellingPrice offerPrice isOnOffer images ratingAverage stockStatus stockQuantity translations')
   .populate('images');
   
+  // Ring, bangle or chain size chart of the product or its category
+  const sizeGuide = await SizeGuideService.getProductGuide(product);
+  
   res.status(200).json({
     status: 'success',
     data: {
       product,
-      relatedProducts
+      selectedVariant,
+      relatedProducts,
+      sizeGuide
     }
   });
 });
@@ -242,11 +301,13 @@ exports.getProductReviews = catchAsync(async (req, res, next) => {
 exports.searchProducts = catchAsync(async (req, res, next) => {
   const { q, category, minPrice, maxPrice, material, gender, sort, page = 1, limit = 20 } = req.query;
   
-  const query = {};
+  const query = { ...Product.publishedFilter() };
   
-  // Text search
+  // Text search, expanded with synonyms
+  let search = null;
   if (q) {
-    query.$text = { $search: q };
+    search = await SearchService.prepareTextSearch(q);
+    query.$text = { $search: search.query };
   }
   
   // Category filter
@@ -307,21 +368,32 @@ exports.searchProducts = catchAsync(async (req, res, next) => {
   // Pagination
   const skip = (page - 1) * limit;
   
-  const [products, total] = await Promise.all([
-    Product.find(query)
-      .sort(sortOption)
-      .skip(skip)
-      .limit(limit)
-      .populate('category', 'name slug')
-      .populate('images'),
-    Product.countDocuments(query)
-  ]);
+  let products;
+  let total;
+  if (search && (!sort || sort === 'relevance')) {
+    // Rank by text relevance with boost rules applied
+    [products, total] = await Promise.all([
+      SearchService.findByRelevance(query, search.boosts, skip, Number(limit)),
+      Product.countDocuments(query)
+    ]);
+  } else {
+    [products, total] = await Promise.all([
+      Product.find(query)
+        .sort(sortOption)
+        .skip(skip)
+        .limit(limit)
+        .populate('category', 'name slug translations')
+        .populate('images'),
+      Product.countDocuments(query)
+    ]);
+  }
   
   // Log search analytics
   if (q) {
     await Analytics.create({
       type: 'search',
-      metadata: { query: q, filters: req.query },
+      user: req.user ? req.user._id : undefined,
+      metadata: { query: q, expandedQuery: search.query, filters: req.query, resultCount: total },
       sessionId: req.sessionID || 'anonymous',
       ipAddress: req.ip,
       userAgent: req.get('user-agent'),
@@ -341,15 +413,172 @@ exports.searchProducts = catchAsync(async (req, res, next) => {
   });
 });
 
+// @desc    Search products with facet counts
+// @route   GET /api/v1/products/search/facets
+// @access  Public
+exports.getSearchFacets = catchAsync(async (req, res, next) => {
+  const { products, total, page, totalPages, facets } = await SearchService.facetedSearch(req.query);
+  
+  // Log search analytics
+  if (req.query.q) {
+    await Analytics.create({
+      type: 'search',
+      user: req.user ? req.user._id : undefined,
+      metadata: { query: req.query.q, filters: req.query, resultCount: total },
+      sessionId: req.sessionID || 'anonymous',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      referrer: req.get('referrer')
+    });
+  }
+  
+  res.status(200).json({
+    status: 'success',
+    results: products.length,
+    total,
+    page,
+    totalPages,
+    data: {
+      products,
+      facets
+    }
+  });
+});
+
+// @desc    Get as-you-type search suggestions
+// @route   GET /api/v1/products/search/suggest
+// @access  Public
+exports.getSearchSuggestions = catchAsync(async (req, res, next) => {
+  const limit = Math.min(Number(req.query.limit) || SEARCH.SUGGEST_LIMIT, SEARCH.MAX_PAGE_SIZE);
+  const suggestions = await SearchService.suggest(req.query.q, limit);
+  
+  res.status(200).json({
+    status: 'success',
+    data: suggestions
+  });
+});
+
+// @desc    Get products picked for the current user or guest
+// @route   GET /api/v1/products/for-you
+// @access  Public (personalized when logged in or sending x-guest-id)
+exports.getForYouProducts = catchAsync(async (req, res, next) => {
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Number(req.query.limit) || RECOMMENDATIONS.LIMIT, RECOMMENDATIONS.FOR_YOU_MAX);
+  
+  const { products, source } = await RecommendationService.getForYouProducts(
+    { user: req.user, guestId: getGuestId(req) },
+    { skip: (page - 1) * limit, limit }
+  );
+  
+  res.status(200).json({
+    status: 'success',
+    results: products.length,
+    data: {
+      products,
+      source
+    }
+  });
+});
+
+// @desc    Get products recently viewed by the current user or guest
+// @route   GET /api/v1/products/recently-viewed
+// @access  Public (logged-in user or x-guest-id)
+exports.getRecentlyViewed = catchAsync(async (req, res, next) => {
+  const limit = Math.min(Number(req.query.limit) || RECOMMENDATIONS.RECENTLY_VIEWED_MAX, RECOMMENDATIONS.RECENTLY_VIEWED_MAX);
+  
+  const products = await RecommendationService.getRecentlyViewed(
+    { user: req.user, guestId: getGuestId(req) },
+    { limit, excludeId: req.query.exclude }
+  );
+  
+  res.status(200).json({
+    status: 'success',
+    results: products.length,
+    data: {
+      products
+    }
+  });
+});
+
+// @desc    Resolve a product slug; old slugs of renamed products answer with a 301 redirect to the current one
+// @route   GET /api/v1/products/resolve/:slug
+// @access  Public
+exports.resolveProductSlug = catchAsync(async (req, res, next) => {
+  const slug = req.params.slug.toLowerCase();
+  
+  let product = await Product.findOne({ slug, ...Product.publishedFilter() }).select('name slug');
+  let redirect = false;
+  
+  if (!product) {
+    const history = await SlugHistory.findOne({ slug });
+    if (history) {
+      product = await Product.findOne({ _id: history.product, ...Product.publishedFilter() }).select('name slug');
+      redirect = Boolean(product);
+    }
+  }
+  
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      redirect,
+      statusCode: redirect ? 301 : 200,
+      slug: product.slug,
+      location: `${SEO.PRODUCT_PATH}/${product.slug}`,
+      product
+    }
+  });
+});
+
+// @desc    Compare products side by side
+// @route   GET /api/v1/products/compare?ids=id1,id2
+// @access  Public
+exports.compareProducts = catchAsync(async (req, res, next) => {
+  const ids = [...new Set(
+    [].concat(req.query.ids || [])
+      .join(',')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean)
+  )];
+  
+  if (ids.length < PRODUCT_COMPARE.MIN_PRODUCTS || ids.length > PRODUCT_COMPARE.MAX_PRODUCTS) {
+    return next(new AppError(`Please select between ${PRODUCT_COMPARE.MIN_PRODUCTS} and ${PRODUCT_COMPARE.MAX_PRODUCTS} products to compare`, 400));
+  }
+  
+  const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length > 0) {
+    return next(new AppError(`Invalid product IDs: ${invalid.join(', ')}`, 400));
+  }
+  
+  const comparison = await ProductCompareService.compare(ids);
+  
+  const foundIds = comparison.products.map(product => product._id.toString());
+  const missing = ids.filter(id => !foundIds.includes(id));
+  if (missing.length > 0) {
+    return next(new AppError(`Products not found: ${missing.join(', ')}`, 404));
+  }
+  
+  res.status(200).json({
+    status: 'success',
+    results: comparison.products.length,
+    data: comparison
+  });
+});
+
 // @desc    Get featured products
 // @route   GET /api/v1/products/featured
 // @access  Public
 exports.getFeaturedProducts = catchAsync(async (req, res, next) => {
   const products = await Product.find({
-    isFeatured: true
+    isFeatured: true,
+    ...Product.publishedFilter()
   })
   .limit(10)
-  .select('name slug sellingPrice offerPrice isOnOffer images ratingAverage stockStatus stockQuantity')
+  .select('name slug sellingPrice offerPrice isOnOffer images ratingAverage stockStatus stockQuantity translations')
   .populate('images');
   
   res.status(200).json({
@@ -366,10 +595,11 @@ exports.getFeaturedProducts = catchAsync(async (req, res, next) => {
 // @access  Public
 exports.getNewArrivals = catchAsync(async (req, res, next) => {
   const products = await Product.find({
-    isNewArrival: true
+    isNewArrival: true,
+    ...Product.publishedFilter()
   })
   .limit(10)
-  .select('name slug sellingPrice offerPrice isOnOffer images ratingAverage stockStatus stockQuantity')
+  .select('name slug sellingPrice offerPrice isOnOffer images ratingAverage stockStatus stockQuantity translations')
   .populate('images');
   
   res.status(200).json({
@@ -386,10 +616,11 @@ exports.getNewArrivals = catchAsync(async (req, res, next) => {
 // @access  Public
 exports.getBestSellers = catchAsync(async (req, res, next) => {
   const products = await Product.find({
-    isBestSeller: true
+    isBestSeller: true,
+    ...Product.publishedFilter()
   })
   .limit(10)
-  .select('name slug sellingPrice offerPrice isOnOffer images ratingAverage purchaseCount stockStatus stockQuantity')
+  .select('name slug sellingPrice offerPrice isOnOffer images ratingAverage purchaseCount stockStatus stockQuantity translations')
   .populate('images');
   
   res.status(200).json({
@@ -408,10 +639,11 @@ exports.getProductsOnSale = catchAsync(async (req, res, next) => {
   const products = await Product.find({
     isOnOffer: true,
     offerStartDate: { $lte: new Date() },
-    offerEndDate: { $gte: new Date() }
+    offerEndDate: { $gte: new Date() },
+    ...Product.publishedFilter()
   })
   .limit(10)
-  .select('name slug sellingPrice offerPrice discountValue discountType images stockStatus stockQuantity')
+  .select('name slug sellingPrice offerPrice discountValue discountType images stockStatus stockQuantity translations')
   .populate('images');
   
   res.status(200).json({
@@ -437,7 +669,7 @@ exports.getProductsByCategory = catchAsync(async (req, res, next) => {
     Product.find({ 
       category: category._id
     }),
-    req.query
+    { ...req.query, ...Product.publishedFilter() }
   )
     .filter()
     .search()
@@ -486,17 +718,7 @@ exports.getSimilarProducts = catchAsync(async (req, res, next) => {
     return next(new AppError('Product not found', 404));
   }
   
-  const similarProducts = await Product.find({
-    _id: { $ne: product._id },
-    $or: [
-      { category: product.category },
-      { material: product.material },
-      { tags: { $in: product.tags } }
-    ]
-  })
-  .limit(8)
-  .select('name slug sellingPrice offerPrice isOnOffer images ratingAverage stockStatus stockQuantity')
-  .populate('images');
+  const similarProducts = await RecommendationService.getSimilarProducts(product);
   
   res.status(200).json({
     status: 'success',
@@ -507,16 +729,189 @@ exports.getSimilarProducts = catchAsync(async (req, res, next) => {
   });
 });
 
+// @desc    Get products frequently bought together with a product
+// @route   GET /api/v1/products/:id/frequently-bought-together
+// @access  Public
+exports.getFrequentlyBoughtTogether = catchAsync(async (req, res, next) => {
+  const product = await Product.findOne({ _id: req.params.id, ...Product.publishedFilter() });
+  
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+  
+  const limit = Math.min(Number(req.query.limit) || RECOMMENDATIONS.LIMIT, RECOMMENDATIONS.MAX_RELATED);
+  const { products, source } = await RecommendationService.getFrequentlyBoughtTogether(product, limit);
+  
+  res.status(200).json({
+    status: 'success',
+    results: products.length,
+    data: {
+      products,
+      source
+    }
+  });
+});
+
+// @desc    Get schema.org JSON-LD (Product, Offer, AggregateRating) for a product page
+// @route   GET /api/v1/products/:id/structured-data
+// @access  Public
+exports.getProductStructuredData = catchAsync(async (req, res, next) => {
+  const product = await Product.findOne({ _id: req.params.id, ...Product.publishedFilter() })
+    .populate('category', 'name slug translations')
+    .populate('images')
+    .populate({
+      path: 'variants',
+      match: { isActive: true }
+    });
+  
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+  
+  const jsonLd = await SeoService.getProductJsonLd(product);
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      jsonLd
+    }
+  });
+});
+
+// Helper function to find a published product and, when asked for, one of its active variants (by id or SKU)
+const findProductAndVariant = async (productId, variantRef) => {
+  const product = await Product.findOne({ _id: productId, ...Product.publishedFilter() });
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+  
+  if (!variantRef) {
+    return { product, variant: null };
+  }
+  
+  const variantFilter = mongoose.Types.ObjectId.isValid(variantRef)
+    ? { _id: variantRef }
+    : { sku: String(variantRef).toUpperCase() };
+  const variant = await ProductVariant.findOne({ ...variantFilter, product: product._id, isActive: true });
+  if (!variant) {
+    throw new AppError('Product variant not found', 404);
+  }
+  
+  return { product, variant };
+};
+
+// @desc    Ask to be emailed when an out-of-stock product or variant is back (guests give an email
+//          and confirm it from the link emailed to them)
+// @route   POST /api/v1/products/:id/notify-me
+// @access  Public
+exports.notifyMe = catchAsync(async (req, res, next) => {
+  const { product, variant } = await findProductAndVariant(req.params.id, req.body.variant);
+  
+  if ((variant || product).stockStatus !== 'out_of_stock') {
+    return next(new AppError('This item is in stock', 400));
+  }
+  
+  const email = req.user ? req.user.email : req.body.email;
+  if (!email || !isValidEmail(email)) {
+    return next(new AppError('Please provide a valid email address', 400));
+  }
+  
+  // Each confirmation link is an email to an address nobody has vouched for yet
+  if (!req.user && await BackInStockService.countPending(email) >= BACK_IN_STOCK.MAX_PENDING_PER_EMAIL) {
+    return next(new AppError('This email has too many unconfirmed requests. Please confirm them from your inbox first', 429));
+  }
+  
+  const { subscription, created, token } = await BackInStockService.subscribe({
+    product,
+    variant,
+    user: req.user,
+    email,
+    name: req.user ? req.user.firstName : req.body.name
+  });
+  
+  if (token) {
+    const confirmUrl = `${req.protocol}://${req.get('host')}/api/v1/products/notify-me/confirm/${token}`;
+    try {
+      await BackInStockService.sendConfirmation(subscription, product, variant, confirmUrl);
+    } catch (error) {
+      return next(new AppError('There was an error sending the confirmation email. Please try again later.', 500));
+    }
+    
+    return res.status(202).json({
+      status: 'success',
+      message: `Please confirm from the email we sent to ${subscription.email}`,
+      data: {
+        subscription
+      }
+    });
+  }
+  
+  res.status(created ? 201 : 200).json({
+    status: 'success',
+    message: `We will email ${subscription.email} when it is back in stock`,
+    data: {
+      subscription
+    }
+  });
+});
+
+// @desc    Confirm a guest's back in stock request from the emailed link
+// @route   GET /api/v1/products/notify-me/confirm/:token
+// @access  Public
+exports.confirmNotifyMe = catchAsync(async (req, res, next) => {
+  const subscription = await BackInStockService.confirm(req.params.token);
+  
+  if (!subscription) {
+    return next(new AppError('This confirmation link is invalid or has expired', 400));
+  }
+  
+  res.status(200).json({
+    status: 'success',
+    message: `We will email ${subscription.email} when it is back in stock`,
+    data: {
+      subscription
+    }
+  });
+});
+
+// @desc    Stop waiting for a product or variant to be back in stock
+// @route   DELETE /api/v1/products/:id/notify-me
+// @access  Private
+exports.cancelNotifyMe = catchAsync(async (req, res, next) => {
+  const { product, variant } = await findProductAndVariant(req.params.id, req.query.variant);
+  
+  const subscription = await BackInStockSubscription.findOneAndUpdate(
+    {
+      product: product._id,
+      variant: variant ? variant._id : null,
+      $or: [{ user: req.user._id }, { email: req.user.email.toLowerCase() }],
+      status: 'active'
+    },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } },
+    { new: true }
+  );
+  
+  if (!subscription) {
+    return next(new AppError('You are not waiting for this item', 404));
+  }
+  
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
 // @desc    Get product filters
 // @route   GET /api/v1/products/filters
 // @access  Public
 exports.getProductFilters = catchAsync(async (req, res, next) => {
   const filters = {
-    materials: await Product.distinct('material'),
-    brands: await Product.distinct('brand'),
-    purities: await Product.distinct('purity'),
+    materials: await Product.distinct('material', Product.publishedFilter()),
+    brands: await Product.distinct('brand', Product.publishedFilter()),
+    purities: await Product.distinct('purity', Product.publishedFilter()),
     categories: await Category.find().select('name slug'),
     priceRange: await Product.aggregate([
+      { $match: Product.publishedFilter() },
       {
         $group: {
           _id: null,
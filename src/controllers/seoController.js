@@ -0,0 +1,16 @@
+const SeoService = require('../services/seoService');
+const catchAsync = require('../utils/catchAsync');
+const { SEO } = require('../constants');
+
+// @desc    Get the XML sitemap of products, categories and collections
+// @route   GET /api/v1/seo/sitemap.xml
+// @access  Public
+exports.getSitemap = catchAsync(async (req, res, next) => {
+  const xml = await SeoService.getSitemap();
+  
+  res.set({
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Cache-Control': `public, max-age=${SEO.SITEMAP_TTL}`
+  });
+  res.status(200).send(xml);
+});
@@ -0,0 +1,82 @@
+const SizeGuide = require('../models/SizeGuide');
+const SizeGuideService = require('../services/sizeGuideService');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { SIZE_GUIDES } = require('../constants');
+
+// @desc    Get active size guides (?type=ring|bangle|chain, ?category=id)
+// @route   GET /api/v1/size-guides
+// @access  Public
+exports.getSizeGuides = catchAsync(async (req, res, next) => {
+  const filter = { isActive: true };
+  if (req.query.type) filter.type = req.query.type;
+  if (req.query.category) filter.categories = req.query.category;
+
+  const sizeGuides = await SizeGuide.find(filter)
+    .populate('categories', 'name slug')
+    .sort('type name');
+
+  res.status(200).json({
+    status: 'success',
+    results: sizeGuides.length,
+    data: {
+      sizeGuides
+    }
+  });
+});
+
+// @desc    Convert a size, e.g. ?type=ring&from=us&size=7&to=india; ?category=id or ?guide=id picks the chart
+// @route   GET /api/v1/size-guides/convert
+// @access  Public
+exports.convertSize = catchAsync(async (req, res, next) => {
+  const { type, from, size, to, category, guide: guideId } = req.query;
+
+  if (!from || !size) {
+    return next(new AppError('Please provide the size and the system it is in (from)', 400));
+  }
+  if (!guideId && !SIZE_GUIDES.TYPES.includes(type)) {
+    return next(new AppError(`Type must be one of: ${SIZE_GUIDES.TYPES.join(', ')}`, 400));
+  }
+
+  const guide = guideId
+    ? await SizeGuide.findOne({ _id: guideId, isActive: true })
+    : await SizeGuideService.getGuide(type, category);
+
+  if (!guide) {
+    return next(new AppError('Size guide not found', 404));
+  }
+
+  let conversion;
+  try {
+    conversion = SizeGuideService.convert(guide, from, size, to);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      guide: { _id: guide._id, name: guide.name, type: guide.type },
+      ...conversion
+    }
+  });
+});
+
+// @desc    Get a size guide
+// @route   GET /api/v1/size-guides/:id
+// @access  Public
+exports.getSizeGuide = catchAsync(async (req, res, next) => {
+  const sizeGuide = await SizeGuide.findOne({ _id: req.params.id, isActive: true })
+    .populate('categories', 'name slug');
+
+  if (!sizeGuide) {
+    return next(new AppError('Size guide not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      sizeGuide
+    }
+  });
+});
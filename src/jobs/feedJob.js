@@ -0,0 +1,16 @@
+const { CronJob } = require('cron');
+const FeedService = require('../services/feedService');
+
+// Rebuild the Google Merchant and Meta catalog feeds every 4 hours
+const feedJob = new CronJob('0 15 */4 * * *', async () => {
+  try {
+    const feeds = await FeedService.rebuildAll();
+    feeds.forEach(feed => {
+      console.log(`📦 Feed ${feed.channel}: ${feed.itemCount} items, ${feed.excluded.length} products excluded`);
+    });
+  } catch (error) {
+    console.error('Feed job failed:', error.message);
+  }
+});
+
+module.exports = feedJob;
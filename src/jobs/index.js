@@ -0,0 +1,29 @@
+const productLifecycleJob = require('./productLifecycleJob');
+const searchIndexJob = require('./searchIndexJob');
+const recommendationJob = require('./recommendationJob');
+const feedJob = require('./feedJob');
+
+const jobs = {
+  productLifecycle: productLifecycleJob,
+  searchIndex: searchIndexJob,
+  recommendations: recommendationJob,
+  feeds: feedJob
+};
+
+// Start all background jobs
+const startJobs = () => {
+  Object.entries(jobs).forEach(([name, job]) => {
+    job.start();
+    console.log(`⏱️  Job started: ${name}`);
+  });
+};
+
+// Stop all background jobs
+const stopJobs = () => {
+  Object.values(jobs).forEach(job => job.stop());
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,19 @@
+const { CronJob } = require('cron');
+const Product = require('../models/Product');
+
+// Publish scheduled products and archive expired ones every minute
+const productLifecycleJob = new CronJob('0 * * * * *', async () => {
+  try {
+    const result = await Product.applyScheduledStatus();
+    if (result.published || result.archived) {
+      console.log(`🗓️  Product lifecycle: ${result.published} published, ${result.archived} archived`);
+    }
+    result.failed.forEach(failure => {
+      console.error(`Product lifecycle: ${failure.sku} could not be updated:`, failure.error);
+    });
+  } catch (error) {
+    console.error('Product lifecycle job failed:', error.message);
+  }
+});
+
+module.exports = productLifecycleJob;
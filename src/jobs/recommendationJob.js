@@ -0,0 +1,14 @@
+const { CronJob } = require('cron');
+const RecommendationService = require('../services/recommendationService');
+
+// Rebuild frequently-bought-together affinities from order history every night at 02:30
+const recommendationJob = new CronJob('0 30 2 * * *', async () => {
+  try {
+    const { products, affinities } = await RecommendationService.computeAffinities();
+    console.log(`🛍️  Recommendations: ${affinities} affinities computed for ${products} products`);
+  } catch (error) {
+    console.error('Recommendation job failed:', error.message);
+  }
+});
+
+module.exports = recommendationJob;
@@ -0,0 +1,16 @@
+const { CronJob } = require('cron');
+const Product = require('../models/Product');
+
+// Build suggestion trigrams for products that are missing them every five minutes
+const searchIndexJob = new CronJob('0 */5 * * * *', async () => {
+  try {
+    const indexed = await Product.rebuildSearchGrams();
+    if (indexed) {
+      console.log(`🔎 Search index: ${indexed} products indexed`);
+    }
+  } catch (error) {
+    console.error('Search index job failed:', error.message);
+  }
+});
+
+module.exports = searchIndexJob;
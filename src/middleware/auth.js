@@ -73,10 +73,20 @@ exports.restrictTo = (...roles) => {
 // Check if user is logged in (optional)
 exports.isLoggedIn = async (req, res, next) => {
   try {
-    if (req.cookies.jwt) {
+    let token;
+    if (
+      req.headers.authorization &&
+      req.headers.authorization.startsWith('Bearer')
+    ) {
+      token = req.headers.authorization.split(' ')[1];
+    } else if (req.cookies.jwt) {
+      token = req.cookies.jwt;
+    }
+
+    if (token) {
       // 1) Verify token
       const decoded = await promisify(jwt.verify)(
-        req.cookies.jwt,
+        token,
         process.env.JWT_SECRET
       );
 
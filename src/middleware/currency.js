@@ -0,0 +1,30 @@
+const CurrencyService = require('../services/currencyService');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { CURRENCIES } = require('../constants');
+
+// Pick the display currency from ?currency= or the X-Currency header. Without one, or for
+// INR, responses are untouched. Otherwise JSON responses keep their INR amounts and add
+// displayPrices converted with the admin-maintained rate, and req.currency is set.
+exports.setCurrency = catchAsync(async (req, res, next) => {
+  const requested = String(req.query.currency || req.get('x-currency') || '').trim().toUpperCase();
+
+  res.vary('X-Currency');
+  req.currency = null;
+
+  if (!requested || requested === CURRENCIES.BASE) {
+    return next();
+  }
+
+  const currency = await CurrencyService.getCurrency(requested);
+  if (!currency) {
+    return next(new AppError(`Currency ${requested} is not available`, 400));
+  }
+
+  req.currency = currency;
+
+  const json = res.json.bind(res);
+  res.json = body => json(CurrencyService.convertResponse(JSON.parse(JSON.stringify(body)), currency));
+
+  next();
+});
@@ -0,0 +1,21 @@
+const TranslationService = require('../services/translationService');
+const { LOCALES } = require('../constants');
+
+// Pick the content language from ?lang= or Accept-Language, falling back to English.
+// JSON responses are then localized: translated text replaces the base text of every
+// product, category and banner in them, and the translations themselves are left out.
+exports.setLocale = (req, res, next) => {
+  const requested = typeof req.query.lang === 'string' ? req.query.lang.toLowerCase().split('-')[0] : null;
+
+  req.locale = requested && LOCALES.SUPPORTED.includes(requested)
+    ? requested
+    : req.acceptsLanguages(...LOCALES.SUPPORTED) || LOCALES.DEFAULT;
+
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+
+  const json = res.json.bind(res);
+  res.json = body => json(TranslationService.localize(JSON.parse(JSON.stringify(body)), req.locale));
+
+  next();
+};
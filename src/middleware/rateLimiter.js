@@ -0,0 +1,14 @@
+const rateLimit = require('express-rate-limit');
+const { RATE_LIMITS } = require('../constants');
+
+// Back in stock requests send email, so one IP may only make a few an hour
+exports.notifyMeLimiter = rateLimit({
+  windowMs: RATE_LIMITS.NOTIFY_ME.WINDOW_MS,
+  max: RATE_LIMITS.NOTIFY_ME.MAX_REQUESTS,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    status: 'fail',
+    message: 'Too many back in stock requests from this IP, please try again in an hour'
+  }
+});
@@ -1,20 +1,18 @@
 const multer = require('multer');
 const multerS3 = require('multer-s3');
-const { S3Client } = require('@aws-sdk/client-s3');
+const { PutObjectCommand } = require('@aws-sdk/client-s3');
 const path = require('path');
+const s3 = require('../configs/s3');
 const AppError = require('../utils/appError');
+const ImageService = require('../services/imageService');
+const MediaService = require('../services/mediaService');
+const { MEDIA_CONFIG } = require('../constants');
 
 // =============================
 // AWS S3 CONFIG
 // =============================
 
-const s3 = new S3Client({
-  region: process.env.AWS_REGION || 'ap-south-1',
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
+const region = process.env.AWS_REGION || 'ap-south-1';
 
 // =============================
 // FILE FILTER
@@ -34,10 +32,63 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// Product videos come with an optional poster image
+const videoFilter = (req, file, cb) => {
+  if (file.fieldname !== 'video') {
+    return fileFilter(req, file, cb);
+  }
+
+  const extname = path.extname(file.originalname).toLowerCase();
+
+  if (MEDIA_CONFIG.VIDEO_TYPES.includes(file.mimetype) && ['.mp4', '.mov'].includes(extname)) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Only MP4 or MOV videos are allowed', 400), false);
+  }
+};
+
+// Spreadsheets are parsed in memory, not stored
+const spreadsheetFilter = (req, file, cb) => {
+  const extname = path.extname(file.originalname).toLowerCase();
+
+  if (['.xlsx', '.csv'].includes(extname)) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Only .xlsx and .csv files are allowed', 400), false);
+  }
+};
+
+// Certificates may be scanned images or PDFs
+const certificateFilter = (req, file, cb) => {
+  const filetypes = /jpeg|jpg|png|webp|pdf/;
+  const extname = filetypes.test(
+    path.extname(file.originalname).toLowerCase()
+  );
+  const mimetype = filetypes.test(file.mimetype);
+
+  if (mimetype && extname) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Only PDF or image certificates are allowed', 400), false);
+  }
+};
+
 // =============================
 // COMMON STORAGE FACTORY
 // =============================
 
+const buildKey = (req, file, folder) => {
+  const userId = req.user?.id || 'anonymous';
+  const timestamp = Date.now();
+
+  const sanitizedName = file.originalname.replace(
+    /[^a-zA-Z0-9.-]/g,
+    '-'
+  );
+
+  return `${folder}/${userId}-${timestamp}-${sanitizedName}`;
+};
+
 const createStorage = (folder) =>
   multerS3({
     s3,
@@ -49,18 +100,23 @@ const createStorage = (folder) =>
     },
 
     key: (req, file, cb) => {
-      const userId = req.user?.id || 'anonymous';
-      const timestamp = Date.now();
-
-      const sanitizedName = file.originalname.replace(
-        /[^a-zA-Z0-9.-]/g,
-        '-'
-      );
-
-      cb(null, `${folder}/${userId}-${timestamp}-${sanitizedName}`);
+      cb(null, buildKey(req, file, folder));
     },
   });
 
+const putObject = async (key, body, contentType) => {
+  await s3.send(
+    new PutObjectCommand({
+      Bucket: process.env.AWS_S3_BUCKET_NAME,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+    })
+  );
+
+  return `https://${process.env.AWS_S3_BUCKET_NAME}.s3.${region}.amazonaws.com/${key}`;
+};
+
 // =============================
 // MULTER FACTORY
 // =============================
@@ -72,21 +128,226 @@ const createUploader = (folder, sizeMB = 5) =>
     fileFilter,
   });
 
+// =============================
+// IMAGE PROCESSING
+// =============================
+
+// Images that get renditions are held in memory until they are processed
+const createImageUploader = (sizeMB = 5) =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: sizeMB * 1024 * 1024 },
+    fileFilter,
+  });
+
+// Stores the thumbnail, medium and large renditions of an upload, and the original (without its
+// metadata or a watermark) under an originals/ folder. file.location and file.key point at the
+// large JPEG, the copy clients are given; file.originalKey is the original, which is never
+// returned publicly. Also sets file.renditions and file.dimensions. A "watermark" field of
+// "true"/"false" overrides the default.
+const processImages = (folder, { watermark = false } = {}) =>
+  async (req, res, next) => {
+    const files = req.files || (req.file ? [req.file] : []);
+    const applyWatermark =
+      req.body.watermark !== undefined
+        ? String(req.body.watermark) === 'true'
+        : watermark;
+
+    try {
+      for (const file of files) {
+        let processed;
+        try {
+          processed = await ImageService.createRenditions(file.buffer, {
+            watermark: applyWatermark,
+          });
+        } catch (error) {
+          return next(
+            new AppError(`Could not process image ${file.originalname}`, 400)
+          );
+        }
+
+        const key = buildKey(req, file, folder);
+        const baseKey = key.slice(0, key.length - path.extname(key).length);
+
+        file.originalKey = buildKey(req, file, `${folder}/originals`);
+        await putObject(file.originalKey, processed.original.data, processed.original.contentType);
+        file.dimensions = { width: processed.width, height: processed.height };
+        file.renditions = {};
+
+        for (const rendition of processed.renditions) {
+          const renditionKey = `${baseKey}-${rendition.name}.${rendition.extension}`;
+          const url = await putObject(renditionKey, rendition.data, rendition.contentType);
+
+          if (rendition.name === 'large' && rendition.format === 'jpeg') {
+            file.key = renditionKey;
+            file.location = url;
+          }
+
+          file.renditions[rendition.name] = file.renditions[rendition.name] || {
+            width: rendition.width,
+            height: rendition.height,
+          };
+          file.renditions[rendition.name][rendition.format] = url;
+        }
+
+        delete file.buffer;
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+// Checks the video length, then stores the video and its poster.
+// Sets location, key and duration on the video; location and dimensions on the poster.
+const processProductVideo = (folder) => async (req, res, next) => {
+  const video = req.files?.video?.[0];
+  const poster = req.files?.poster?.[0];
+
+  if (!video) {
+    return next(new AppError('Please upload a video', 400));
+  }
+  if (poster && poster.size > MEDIA_CONFIG.POSTER_MAX_SIZE) {
+    return next(new AppError('Poster image is too large', 400));
+  }
+
+  const duration = MediaService.getVideoDuration(video.buffer);
+  if (duration === null) {
+    return next(new AppError('Could not read the length of the video', 400));
+  }
+  if (duration > MEDIA_CONFIG.VIDEO_MAX_DURATION) {
+    return next(
+      new AppError(
+        `Videos can be at most ${MEDIA_CONFIG.VIDEO_MAX_DURATION} seconds long`,
+        400
+      )
+    );
+  }
+
+  let frame = null;
+  if (poster) {
+    try {
+      frame = await ImageService.createFrame(poster.buffer);
+    } catch (error) {
+      return next(new AppError('Could not process the poster image', 400));
+    }
+  }
+
+  try {
+    const key = buildKey(req, video, folder);
+
+    video.key = key;
+    video.duration = duration;
+    video.location = await putObject(key, video.buffer, video.mimetype);
+    delete video.buffer;
+
+    if (frame) {
+      const baseKey = key.slice(0, key.length - path.extname(key).length);
+      poster.location = await putObject(
+        `${baseKey}-poster.${frame.extension}`,
+        frame.data,
+        frame.contentType
+      );
+      poster.dimensions = { width: frame.width, height: frame.height };
+      delete poster.buffer;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Orders the frames of a 360° spin by file name (frame-2 before frame-10),
+// converts each to WebP and stores them. Sets location and dimensions on every frame.
+const processSpinFrames = (folder) => async (req, res, next) => {
+  const frames = (req.files || []).sort((a, b) =>
+    a.originalname.localeCompare(b.originalname, undefined, { numeric: true })
+  );
+
+  if (frames.length < MEDIA_CONFIG.SPIN_MIN_FRAMES) {
+    return next(
+      new AppError(
+        `A spin needs at least ${MEDIA_CONFIG.SPIN_MIN_FRAMES} frames`,
+        400
+      )
+    );
+  }
+
+  const processed = [];
+  for (const file of frames) {
+    try {
+      processed.push(await ImageService.createFrame(file.buffer));
+    } catch (error) {
+      return next(new AppError(`Could not process frame ${file.originalname}`, 400));
+    }
+  }
+
+  try {
+    const userId = req.user?.id || 'anonymous';
+    const spinKey = `${folder}/${userId}-${Date.now()}-spin`;
+
+    for (let i = 0; i < frames.length; i += 1) {
+      const frame = processed[i];
+      const key = `${spinKey}/${String(i + 1).padStart(3, '0')}.${frame.extension}`;
+
+      frames[i].key = key;
+      frames[i].location = await putObject(key, frame.data, frame.contentType);
+      frames[i].dimensions = { width: frame.width, height: frame.height };
+      frames[i].size = frame.data.length;
+      delete frames[i].buffer;
+    }
+
+    req.files = frames;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // =============================
 // EXPORTS
 // =============================
 
 module.exports = {
-  // Products (max 10 images)
-  uploadProductImages: createUploader('products', 5).array(
-    'images',
-    10
-  ),
+  // Products (max 10 images, watermarked)
+  uploadProductImages: [
+    createImageUploader(5).array('images', 10),
+    processImages('products', { watermark: true }),
+  ],
+
+  // Product video (single, with an optional poster image)
+  uploadProductVideo: [
+    multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: MEDIA_CONFIG.VIDEO_MAX_SIZE, files: 2 },
+      fileFilter: videoFilter,
+    }).fields([
+      { name: 'video', maxCount: 1 },
+      { name: 'poster', maxCount: 1 },
+    ]),
+    processProductVideo('products/videos'),
+  ],
+
+  // Product 360° spin frames
+  uploadSpinFrames: [
+    multer({
+      storage: multer.memoryStorage(),
+      limits: {
+        fileSize: MEDIA_CONFIG.SPIN_FRAME_MAX_SIZE,
+        files: MEDIA_CONFIG.SPIN_MAX_FRAMES,
+      },
+      fileFilter,
+    }).array('frames', MEDIA_CONFIG.SPIN_MAX_FRAMES),
+    processSpinFrames('products/spins'),
+  ],
 
   // Banner (single)
-  uploadBannerImage: createUploader('banners', 5).single(
-    'image'
-  ),
+  uploadBannerImage: [
+    createImageUploader(5).single('image'),
+    processImages('banners'),
+  ],
 
   // Profile (single, smaller limit)
   uploadProfileImage: createUploader('users', 2).single(
@@ -100,9 +361,17 @@ module.exports = {
   ),
 
   // Category
-  uploadCategoryImage: createUploader('categories', 2).single(
-    'image'
-  ),
+  uploadCategoryImage: [
+    createImageUploader(2).single('image'),
+    processImages('categories'),
+  ],
+
+  // Gemstone certificate (PDF or image)
+  uploadCertificateFile: multer({
+    storage: createStorage('certificates'),
+    limits: { fileSize: 10 * 1024 * 1024 },
+    fileFilter: certificateFilter,
+  }).single('file'),
 
   // Generic Single
   uploadSingle: (fieldName) =>
@@ -159,6 +428,13 @@ module.exports = {
     fileFilter,
   }).array('images', 10),
 
+  // Product import spreadsheet (kept in memory)
+  uploadSpreadsheet: multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 },
+    fileFilter: spreadsheetFilter,
+  }).single('file'),
+
   // Fully Custom Multiple
   uploadMultiple: (fieldName, maxCount) =>
     createUploader(fieldName, 5).array(fieldName, maxCount),
@@ -0,0 +1,37 @@
+// src/migrations/backfillProductStatus.js
+// One-off: set the lifecycle status of products saved before it existed, from isActive
+// (active products are published, inactive ones archived). Run once after deploying
+// product lifecycle states:
+//   npm run migrate:product-status
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const Product = require('../models/Product');
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const archived = await Product.collection.updateMany(
+      { status: { $exists: false }, isActive: false },
+      { $set: { status: 'archived' } }
+    );
+    const published = await Product.collection.updateMany(
+      { status: { $exists: false } },
+      { $set: { status: 'published', isActive: true } }
+    );
+
+    console.log(`✅ Products published: ${published.modifiedCount}, archived: ${archived.modifiedCount}`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+};
+
+migrate();
@@ -0,0 +1,44 @@
+// src/migrations/dropCartItemProductIndex.js
+// One-off: drop the old one-line-per-product cart index so a cart can hold
+// several variants of a product. Run once after deploying product variants:
+//   npm run migrate:cart-item-index
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const CartItem = require('../models/CartItem');
+
+const INDEX_NAME = 'cart_1_product_1';
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const indexes = await CartItem.collection.indexes().catch(error => {
+      // The collection does not exist yet, so there is nothing to drop
+      if (error.codeName === 'NamespaceNotFound') return [];
+      throw error;
+    });
+
+    if (!indexes.some(index => index.name === INDEX_NAME)) {
+      console.log(`Index ${INDEX_NAME} not found, nothing to do`);
+    } else {
+      await CartItem.collection.dropIndex(INDEX_NAME);
+      console.log(`✅ Dropped index ${INDEX_NAME}`);
+    }
+
+    // Build the cart/product/variant index in its place
+    await CartItem.syncIndexes();
+    console.log('✅ Cart item indexes in sync');
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+};
+
+migrate();
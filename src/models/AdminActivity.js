@@ -14,7 +14,7 @@ const adminActivitySchema = new mongoose.Schema({
   entityType: {
     type: String,
     required: [true, 'Entity type is required'],
-    enum: ['Product', 'Category', 'Order', 'User', 'Coupon', 'Banner', 'Review', 'Stock']
+    enum: ['Product', 'Category', 'Order', 'User', 'Coupon', 'Banner', 'Review', 'Stock', 'MetalRate', 'SearchSynonym', 'SearchBoost', 'Collection', 'Certificate', 'InventoryUnit', 'ProductMedia', 'Currency', 'SizeGuide']
   },
   entityId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { BACK_IN_STOCK } = require('../constants');
+
+// A shopper waiting for an out-of-stock product (or one of its variants) to come back.
+// Users are emailed at their account address; guests leave an email, which stays pending
+// until they confirm it from the link emailed to them.
+const backInStockSubscriptionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // Null waits for the product as a whole
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant',
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'notified', 'cancelled'],
+    default: 'active'
+  },
+  confirmationToken: {
+    type: String,
+    select: false
+  },
+  confirmationExpires: Date,
+  notifiedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+backInStockSubscriptionSchema.index(
+  { product: 1, variant: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+backInStockSubscriptionSchema.index({ product: 1, variant: 1, status: 1 });
+backInStockSubscriptionSchema.index({ user: 1, status: 1 });
+backInStockSubscriptionSchema.index({ status: 1, createdAt: -1 });
+backInStockSubscriptionSchema.index({ confirmationToken: 1 }, { sparse: true });
+backInStockSubscriptionSchema.index({ email: 1, status: 1 });
+
+// Instance method to create the token a guest confirms their email with (only its hash is stored)
+backInStockSubscriptionSchema.methods.createConfirmationToken = function () {
+  const confirmationToken = crypto.randomBytes(32).toString('hex');
+
+  this.confirmationToken = crypto
+    .createHash('sha256')
+    .update(confirmationToken)
+    .digest('hex');
+
+  this.confirmationExpires = Date.now() + BACK_IN_STOCK.CONFIRMATION_TTL;
+
+  return confirmationToken;
+};
+
+const BackInStockSubscription = mongoose.model('BackInStockSubscription', backInStockSubscriptionSchema);
+
+module.exports = BackInStockSubscription;
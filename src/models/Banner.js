@@ -1,10 +1,19 @@
 const mongoose = require('mongoose');
+const imageRenditionsSchema = require('./schemas/imageRenditions');
+const translationsField = require('./schemas/translations');
 
 const bannerImageSchema = new mongoose.Schema({
   url: {
     type: String,
     required: [true, 'Image URL is required']
   },
+  // Resized WebP/JPEG copies; url is the large JPEG one
+  renditions: imageRenditionsSchema,
+  // S3 key of the full-size upload, never sent to clients
+  originalKey: {
+    type: String,
+    select: false
+  },
   alt: {
     type: String,
     default: ''
@@ -72,6 +81,8 @@ const bannerSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Footer cannot exceed 200 characters']
   },
+  // Hindi and regional language versions of the text fields
+  translations: translationsField('Banner'),
   images: {
     type: [bannerImageSchema],
     validate: {
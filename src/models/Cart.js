@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const PricingService = require('../services/pricingService');
 
 const cartSchema = new mongoose.Schema({
   user: {
@@ -27,6 +28,12 @@ const cartSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Sum of the item component taxes, before any coupon
+  taxTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   grandTotal: {
     type: Number,
     default: 0,
@@ -77,10 +84,13 @@ cartSchema.methods.calculateTotals = async function() {
   const CartItem = mongoose.model('CartItem');
   
   const cartItems = await CartItem.find({ _id: { $in: this.items } })
-    .populate('product', 'sellingPrice offerPrice isOnOffer stockQuantity stockStatus');
+    .populate('product', 'basePrice sellingPrice offerPrice isOnOffer pricingMode metalPricing productType bundlePricing stockQuantity stockStatus')
+    .populate('variant', 'priceDelta metalPricing stockQuantity stockStatus');
   
   let cartTotal = 0;
   let discountTotal = 0;
+  let taxTotal = 0;
+  const breakdowns = {};
   
   for (const item of cartItems) {
     if (!item.product) {
@@ -88,15 +98,32 @@ cartSchema.methods.calculateTotals = async function() {
       continue;
     }
     const product = item.product;
-    const price = product.isOnOffer ? product.offerPrice : product.sellingPrice;
+    const price = PricingService.getVariantPrice(product, item.variant);
+    const listPrice = PricingService.getVariantPrice({ ...product.toObject(), isOnOffer: false }, item.variant);
     const itemTotal = price * item.quantity;
     
     cartTotal += itemTotal;
-    discountTotal += (product.sellingPrice - price) * item.quantity;
+    discountTotal += Math.max(0, listPrice - price) * item.quantity;
+    
+    // Refresh the item breakdown without triggering the CartItem save hooks
+    const priceBreakdown = PricingService.calculatePriceBreakdown(product, item.variant);
+    taxTotal += priceBreakdown.tax * item.quantity;
+    breakdowns[item._id.toString()] = priceBreakdown;
+    await CartItem.updateOne({ _id: item._id }, { priceBreakdown });
+  }
+  
+  // Keep populated items in step so the response carries the fresh breakdown
+  if (this.populated('items')) {
+    this.items.forEach(item => {
+      if (item && breakdowns[item._id.toString()]) {
+        item.priceBreakdown = breakdowns[item._id.toString()];
+      }
+    });
   }
   
   this.cartTotal = cartTotal;
   this.discountTotal = discountTotal;
+  this.taxTotal = PricingService.roundAmount(taxTotal);
   this.grandTotal = cartTotal;
   this.lastUpdated = Date.now();
   
@@ -105,6 +132,7 @@ cartSchema.methods.calculateTotals = async function() {
   return {
     cartTotal: this.cartTotal,
     discountTotal: this.discountTotal,
+    taxTotal: this.taxTotal,
     grandTotal: this.grandTotal,
     itemCount: this.items.length
   };
@@ -119,6 +147,7 @@ cartSchema.methods.clearCart = async function() {
   this.items = [];
   this.cartTotal = 0;
   this.discountTotal = 0;
+  this.taxTotal = 0;
   this.grandTotal = 0;
   this.couponApplied = null;
   this.lastUpdated = Date.now();
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const priceBreakdownSchema = require('./schemas/priceBreakdown');
 
 const cartItemSchema = new mongoose.Schema({
   cart: {
@@ -11,6 +12,11 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: [true, 'Product is required']
   },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant',
+    default: null
+  },
   quantity: {
     type: Number,
     required: [true, 'Quantity is required'],
@@ -22,6 +28,8 @@ const cartItemSchema = new mongoose.Schema({
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  // Per-unit breakdown, refreshed with the cart totals
+  priceBreakdown: priceBreakdownSchema,
   addedAt: {
     type: Date,
     default: Date.now
@@ -31,7 +39,7 @@ const cartItemSchema = new mongoose.Schema({
 });
 
 // Indexes
-cartItemSchema.index({ cart: 1, product: 1 }, { unique: true });
+cartItemSchema.index({ cart: 1, product: 1, variant: 1 }, { unique: true });
 cartItemSchema.index({ cart: 1 });
 cartItemSchema.index({ product: 1 });
 cartItemSchema.index({ addedAt: -1 });
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
+const imageRenditionsSchema = require('./schemas/imageRenditions');
+const translationsField = require('./schemas/translations');
 const slugify = require('slugify');
+const { SIZE_GUIDES } = require('../constants');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -43,6 +46,13 @@ const categorySchema = new mongoose.Schema({
     },
     default: 'main'
   },
+  // Kind of size chart (ring, bangle, chain) its products use when it has no chart of its own;
+  // subcategories without one use their parent's
+  sizeGuideType: {
+    type: String,
+    enum: [...SIZE_GUIDES.TYPES, null],
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -51,6 +61,13 @@ const categorySchema = new mongoose.Schema({
     type: String,
     default: 'default-category.jpg'
   },
+  // Resized WebP/JPEG copies of an uploaded image
+  imageRenditions: imageRenditionsSchema,
+  // S3 key of the full-size upload, never sent to clients
+  imageOriginalKey: {
+    type: String,
+    select: false
+  },
   displayOrder: {
     type: Number,
     default: 0,
@@ -63,6 +80,8 @@ const categorySchema = new mongoose.Schema({
   metaTitle: String,
   metaDescription: String,
   metaKeywords: [String],
+  // Hindi and regional language versions of the text fields
+  translations: translationsField('Category'),
   productCount: {
     type: Number,
     default: 0
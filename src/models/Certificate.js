@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const normalizeNumber = value => (value ? String(value).replace(/\s+/g, '').toUpperCase() : value);
+
+// Grading certificate of a stone. Gemstones link to their certificate through
+// ProductGemstone.certificationNumber, which survives gemstones being recreated on product edits.
+const certificateSchema = new mongoose.Schema({
+  certificateNumber: {
+    type: String,
+    required: [true, 'Certificate number is required'],
+    set: normalizeNumber
+  },
+  lab: {
+    type: String,
+    required: [true, 'Grading lab is required'],
+    enum: ['GIA', 'IGI', 'HRD', 'AGS', 'GSI', 'SGL', 'IGL', 'other']
+  },
+  labName: {
+    type: String,
+    trim: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // The 4Cs as graded
+  carat: {
+    type: Number,
+    min: [0.01, 'Carat must be at least 0.01']
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  clarity: {
+    type: String,
+    trim: true
+  },
+  cut: {
+    type: String,
+    trim: true
+  },
+  shape: {
+    type: String,
+    trim: true
+  },
+  measurements: {
+    type: String,
+    trim: true
+  },
+  file: {
+    url: String,
+    mimeType: String,
+    size: Number
+  },
+  issuedAt: Date,
+  expiresAt: Date,
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'rejected', 'revoked'],
+    default: 'pending'
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifiedAt: Date,
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+certificateSchema.index({ certificateNumber: 1, lab: 1 }, { unique: true });
+certificateSchema.index({ product: 1 });
+certificateSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for expiry
+certificateSchema.virtual('isExpired').get(function () {
+  return Boolean(this.expiresAt && this.expiresAt < new Date());
+});
+
+// Pre-validate middleware
+certificateSchema.pre('validate', function (next) {
+  if (this.lab === 'other' && !this.labName) {
+    this.invalidate('labName', 'Lab name is required when the lab is "other"');
+  }
+  if (this.issuedAt && this.expiresAt && this.expiresAt <= this.issuedAt) {
+    this.invalidate('expiresAt', 'Expiry date must be after the issue date');
+  }
+  next();
+});
+
+// Static method to normalize a certificate number the way it is stored
+certificateSchema.statics.normalizeNumber = normalizeNumber;
+
+// Instance method giving the public verification result
+certificateSchema.methods.getVerificationStatus = function () {
+  if (['rejected', 'revoked'].includes(this.status)) return 'revoked';
+  if (this.status !== 'verified') return 'unverified';
+  if (this.isExpired) return 'expired';
+  return 'valid';
+};
+
+const Certificate = mongoose.model('Certificate', certificateSchema);
+
+module.exports = Certificate;
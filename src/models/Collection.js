@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+
+const isSet = value => value !== null && value !== undefined;
+
+// Merchandised product groupings such as "Bridal Edit". Manual collections list
+// products in a hand-set order; smart collections match products by rules.
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [100, 'Collection name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  image: String,
+  type: {
+    type: String,
+    enum: ['manual', 'smart'],
+    default: 'manual'
+  },
+  // Manual collections: products in display order
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // Smart collections: every rule that is set must match
+  rules: {
+    materials: [String],
+    purities: [String],
+    categories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    tags: [String],
+    minPrice: {
+      type: Number,
+      min: 0
+    },
+    maxPrice: {
+      type: Number,
+      min: 0
+    }
+  },
+  // Sort used when the storefront does not ask for one (manual collections default to their own order)
+  defaultSort: {
+    type: String,
+    default: '-createdAt'
+  },
+  displayOrder: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  metaTitle: String,
+  metaDescription: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+collectionSchema.index({ slug: 1 }, { unique: true });
+collectionSchema.index({ isActive: 1, displayOrder: 1 });
+
+// Pre-validate middleware: slug and smart rule checks
+collectionSchema.pre('validate', function (next) {
+  if (this.isModified('name') || !this.slug) {
+    this.slug = slugify(this.name || '', {
+      lower: true,
+      strict: true,
+      trim: true
+    });
+  }
+
+  if (this.type === 'smart') {
+    const { materials, purities, categories, tags, minPrice, maxPrice } = this.rules || {};
+    const hasRule = [materials, purities, categories, tags].some(list => list && list.length > 0) ||
+      isSet(minPrice) || isSet(maxPrice);
+
+    if (!hasRule) {
+      this.invalidate('rules', 'A smart collection needs at least one rule');
+    }
+    if (isSet(minPrice) && isSet(maxPrice) && maxPrice < minPrice) {
+      this.invalidate('rules.maxPrice', 'Maximum price must not be below the minimum price');
+    }
+  }
+
+  next();
+});
+
+// Product filter for the collection (storefront visibility is applied by the caller)
+collectionSchema.methods.getProductFilter = function () {
+  if (this.type === 'manual') {
+    return { _id: { $in: this.products } };
+  }
+
+  const { materials, purities, categories, tags, minPrice, maxPrice } = this.rules || {};
+  const filter = {};
+
+  if (materials && materials.length > 0) filter.material = { $in: materials };
+  if (purities && purities.length > 0) filter.purity = { $in: purities };
+  if (categories && categories.length > 0) filter.category = { $in: categories };
+  if (tags && tags.length > 0) filter.tags = { $in: tags };
+
+  // offerPrice always holds the price charged (it equals sellingPrice when there is no offer)
+  if (isSet(minPrice) || isSet(maxPrice)) {
+    filter.offerPrice = {};
+    if (isSet(minPrice)) filter.offerPrice.$gte = minPrice;
+    if (isSet(maxPrice)) filter.offerPrice.$lte = maxPrice;
+  }
+
+  return filter;
+};
+
+const Collection = mongoose.model('Collection', collectionSchema);
+
+module.exports = Collection;
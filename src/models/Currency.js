@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../constants');
+
+// A display currency with its exchange rate against INR and how converted prices are rounded
+const currencySchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Currency code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    enum: {
+      values: CURRENCIES.SUPPORTED,
+      message: `Currency must be one of: ${CURRENCIES.SUPPORTED.join(', ')}`
+    }
+  },
+  name: {
+    type: String,
+    required: [true, 'Currency name is required'],
+    trim: true
+  },
+  symbol: {
+    type: String,
+    required: [true, 'Currency symbol is required'],
+    trim: true
+  },
+  // INR for one unit of this currency, e.g. 83.2 for USD
+  rate: {
+    type: Number,
+    required: [true, 'Exchange rate is required'],
+    validate: {
+      validator: v => v > 0,
+      message: 'Exchange rate must be greater than zero'
+    }
+  },
+  // Converted prices are rounded to a multiple of increment, e.g. 1 with 'up' gives whole units
+  rounding: {
+    increment: {
+      type: Number,
+      default: 0.01,
+      min: [0.01, 'Rounding increment cannot be less than 0.01']
+    },
+    mode: {
+      type: String,
+      enum: CURRENCIES.ROUNDING_MODES,
+      default: 'nearest'
+    }
+  },
+  rateUpdatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+currencySchema.index({ isActive: 1 });
+
+// Keep track of when the rate last changed
+currencySchema.pre('save', function (next) {
+  if (this.isModified('rate') && !this.isNew) {
+    this.rateUpdatedAt = new Date();
+  }
+  next();
+});
+
+const Currency = mongoose.model('Currency', currencySchema);
+
+module.exports = Currency;
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+// A single physical piece of a serialized product, identified by its BIS hallmark (HUID).
+// Pieces are reserved when an order is placed, sold when it ships and returned with the order.
+const inventoryUnitSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant',
+    default: null
+  },
+  // Hallmark Unique Identification: six alphanumeric characters
+  huid: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]{6}$/, 'HUID must be 6 letters or digits']
+  },
+  grossWeight: {
+    type: Number,
+    required: [true, 'Gross weight is required'],
+    min: [0, 'Weight cannot be negative']
+  },
+  netWeight: {
+    type: Number,
+    required: [true, 'Net weight is required'],
+    min: [0, 'Weight cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['available', 'reserved', 'sold', 'returned'],
+    default: 'available'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem'
+  },
+  reservedAt: Date,
+  soldAt: Date,
+  returnedAt: Date,
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+inventoryUnitSchema.index({ huid: 1 }, { unique: true, partialFilterExpression: { huid: { $type: 'string' } } });
+inventoryUnitSchema.index({ product: 1, variant: 1, status: 1, createdAt: 1 });
+inventoryUnitSchema.index({ order: 1 });
+
+// Pre-validate middleware
+inventoryUnitSchema.pre('validate', function (next) {
+  if (this.netWeight > this.grossWeight) {
+    this.invalidate('netWeight', 'Net weight cannot exceed gross weight');
+  }
+  next();
+});
+
+// Static method to reserve pieces for an order item, oldest first or by HUID.
+// Either every requested piece is reserved or none is.
+inventoryUnitSchema.statics.allocate = async function ({ product, variant = null, quantity, order, orderItem, huids = [] }) {
+  const wanted = huids.length > 0 ? huids.map(huid => String(huid).trim().toUpperCase()) : null;
+  if (wanted && wanted.length !== quantity) {
+    throw new Error(`Exactly ${quantity} HUID(s) are needed for this item`);
+  }
+
+  const units = [];
+  for (let i = 0; i < quantity; i += 1) {
+    const unit = await this.findOneAndUpdate(
+      {
+        product,
+        variant: variant || null,
+        status: 'available',
+        ...(wanted ? { huid: wanted[i] } : {})
+      },
+      { $set: { status: 'reserved', order, orderItem, reservedAt: new Date() } },
+      { new: true, sort: { createdAt: 1 } }
+    );
+
+    if (!unit) {
+      await this.updateMany(
+        { _id: { $in: units.map(reserved => reserved._id) } },
+        { $set: { status: 'available' }, $unset: { order: 1, orderItem: 1, reservedAt: 1 } }
+      );
+      throw new Error(wanted
+        ? `Piece ${wanted[i]} is not available for this product`
+        : 'Not enough hallmarked pieces in stock');
+    }
+
+    units.push(unit);
+  }
+
+  return units;
+};
+
+// Static method to release the reserved pieces of an order (or of one order item)
+inventoryUnitSchema.statics.release = function (filter) {
+  return this.updateMany(
+    { ...filter, status: 'reserved' },
+    { $set: { status: 'available' }, $unset: { order: 1, orderItem: 1, reservedAt: 1 } }
+  );
+};
+
+// Static method to move the pieces of an order along with the order status
+inventoryUnitSchema.statics.syncOrderStatus = async function (orderId, status) {
+  const now = new Date();
+
+  if (status === 'cancelled') {
+    return this.release({ order: orderId });
+  }
+  if (['shipped', 'out_for_delivery', 'delivered'].includes(status)) {
+    return this.updateMany(
+      { order: orderId, status: 'reserved' },
+      { $set: { status: 'sold', soldAt: now } }
+    );
+  }
+  if (['returned', 'refunded'].includes(status)) {
+    return this.updateMany(
+      { order: orderId, status: { $in: ['reserved', 'sold'] } },
+      { $set: { status: 'returned', returnedAt: now } }
+    );
+  }
+  return null;
+};
+
+const InventoryUnit = mongoose.model('InventoryUnit', inventoryUnitSchema);
+
+module.exports = InventoryUnit;
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { METAL_PURITIES } = require('../constants');
+
+// Each document is one rate entry. Entries are never edited, so the collection
+// doubles as the rate history and the newest entry per metal/purity is the current rate.
+const metalRateSchema = new mongoose.Schema({
+  metal: {
+    type: String,
+    enum: Object.keys(METAL_PURITIES),
+    required: [true, 'Metal is required']
+  },
+  purity: {
+    type: String,
+    required: [true, 'Purity is required'],
+    validate: {
+      validator: function (v) {
+        return (METAL_PURITIES[this.metal] || []).includes(v);
+      },
+      message: props => `${props.value} is not a valid purity for this metal`
+    }
+  },
+  ratePerGram: {
+    type: Number,
+    required: [true, 'Rate per gram is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  source: {
+    type: String,
+    trim: true,
+    default: 'manual'
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+metalRateSchema.index({ metal: 1, purity: 1, createdAt: -1 });
+metalRateSchema.index({ createdAt: -1 });
+
+// Static method to get the current rate for a metal and purity
+metalRateSchema.statics.getCurrentRate = async function (metal, purity) {
+  return this.findOne({ metal, purity }).sort('-createdAt');
+};
+
+// Static method to get the current rate of every metal and purity
+metalRateSchema.statics.getCurrentRates = async function () {
+  const rates = await this.aggregate([
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: { metal: '$metal', purity: '$purity' },
+        rate: { $first: '$$ROOT' }
+      }
+    },
+    { $replaceRoot: { newRoot: '$rate' } },
+    { $sort: { metal: 1, purity: 1 } }
+  ]);
+
+  return rates;
+};
+
+const MetalRate = mongoose.model('MetalRate', metalRateSchema);
+
+module.exports = MetalRate;
@@ -33,16 +33,37 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Tax per price component (metal, making, wastage, stone, other)
+  taxBreakdown: [{
+    _id: false,
+    component: String,
+    taxRate: Number,
+    taxableAmount: Number,
+    tax: Number
+  }],
   grandTotal: {
     type: Number,
     required: [true, 'Grand total is required'],
     min: [0, 'Grand total cannot be negative']
   },
+  // Currency the customer is charged in. The pricing fields above always hold INR, the base
+  // amounts used for reporting; for other currencies `charged` repeats them in this currency.
   currency: {
     type: String,
     default: 'INR',
     uppercase: true
   },
+  exchangeRate: {
+    type: Number,
+    default: 1 // INR for one unit of the charged currency at checkout
+  },
+  charged: {
+    subtotal: Number,
+    discount: Number,
+    shippingCharge: Number,
+    tax: Number,
+    grandTotal: Number
+  },
   // Payment
   paymentMethod: {
     type: String,
@@ -303,6 +324,39 @@ orderSchema.post('findOneAndUpdate', async function (doc) {
   }
 });
 
+// Post-save and post-findOneAndUpdate middleware to move serialized pieces along with the order status
+orderSchema.post('save', async function (doc) {
+  try {
+    await mongoose.model('InventoryUnit').syncOrderStatus(doc._id, doc.status);
+  } catch (error) {
+    console.error('Error syncing inventory units on order save:', error);
+  }
+});
+
+orderSchema.post('findOneAndUpdate', async function (doc) {
+  try {
+    const update = this.getUpdate() || {};
+    const status = (update.$set && update.$set.status) || update.status;
+    if (doc && status) {
+      await mongoose.model('InventoryUnit').syncOrderStatus(doc._id, status);
+    }
+  } catch (error) {
+    console.error('Error syncing inventory units on order update:', error);
+  }
+});
+
+// Method to get an INR amount in the currency the order was charged in
+orderSchema.methods.toChargedAmount = function (amount) {
+  if (!this.charged || this.charged.grandTotal === undefined) {
+    return amount;
+  }
+  if (amount === this.grandTotal || !this.grandTotal) {
+    return this.charged.grandTotal;
+  }
+  // Part of the total (e.g. a partial refund) is the same share of the amount charged
+  return Math.round((amount * this.charged.grandTotal / this.grandTotal) * 100) / 100;
+};
+
 // Static method to get order statistics
 orderSchema.statics.getStatistics = async function (startDate, endDate) {
   const matchStage = {};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const priceBreakdownSchema = require('./schemas/priceBreakdown');
 
 const orderItemSchema = new mongoose.Schema({
   order: {
@@ -11,6 +12,17 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: [true, 'Product is required']
   },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant',
+    default: null
+  },
+  // Snapshot of the variant options at the time of purchase
+  variantOptions: {
+    size: String,
+    metalColor: String,
+    purity: String
+  },
   quantity: {
     type: Number,
     required: [true, 'Quantity is required'],
@@ -21,6 +33,8 @@ const orderItemSchema = new mongoose.Schema({
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  // Per-unit breakdown at the time of purchase
+  priceBreakdown: priceBreakdownSchema,
   sku: {
     type: String,
     required: [true, 'SKU is required']
@@ -30,6 +44,42 @@ const orderItemSchema = new mongoose.Schema({
     required: [true, 'Product name is required']
   },
   productImage: String,
+  // Snapshot of the pieces of a bundle (quantities are per bundle)
+  bundleComponents: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductVariant',
+      default: null
+    },
+    variantOptions: {
+      size: String,
+      metalColor: String,
+      purity: String
+    },
+    sku: String,
+    productName: String,
+    quantity: Number
+  }],
+  // Serialized pieces allocated to this item (bundles list the pieces of their components)
+  units: [{
+    _id: false,
+    unit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryUnit'
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    huid: String,
+    grossWeight: Number,
+    netWeight: Number
+  }],
   discount: {
     type: Number,
     default: 0,
@@ -42,6 +92,7 @@ const orderItemSchema = new mongoose.Schema({
 // Indexes
 orderItemSchema.index({ order: 1 });
 orderItemSchema.index({ product: 1 });
+orderItemSchema.index({ variant: 1 });
 orderItemSchema.index({ sku: 1 });
 
 // Virtual for total price
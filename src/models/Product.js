@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const { getTrigrams } = require('../utils/helpers');
+const PricingService = require('../services/pricingService');
+const translationsField = require('./schemas/translations');
+
+// Fields that feed the typo-tolerant suggestion index
+const SEARCH_GRAM_FIELDS = ['name', 'tags', 'brand', 'material'];
+
+// Drafts may be saved half-finished; every other state needs a complete listing
+function isListingComplete() {
+  return this.status !== 'draft';
+}
 
 const productSchema = new mongoose.Schema({
   sku: {
@@ -24,7 +35,7 @@ const productSchema = new mongoose.Schema({
   },
   description: {
     type: String,
-    required: [true, 'Description is required'],
+    required: [isListingComplete, 'Description is required'],
     minlength: [50, 'Description must be at least 50 characters']
   },
   shortDescription: {
@@ -34,7 +45,7 @@ const productSchema = new mongoose.Schema({
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
-    required: [true, 'Category is required']
+    required: [isListingComplete, 'Category is required']
   },
   subCategory: {
     type: mongoose.Schema.Types.ObjectId,
@@ -52,12 +63,12 @@ const productSchema = new mongoose.Schema({
   // Pricing
   basePrice: {
     type: Number,
-    required: [true, 'Base price is required'],
+    required: [isListingComplete, 'Base price is required'],
     min: [0, 'Price cannot be negative']
   },
   sellingPrice: {
     type: Number,
-    required: [true, 'Selling price is required'],
+    required: [isListingComplete, 'Selling price is required'],
     min: [0, 'Price cannot be negative']
   },
   discountType: {
@@ -89,6 +100,92 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // 'fixed' keeps the hand-set prices. 'metal_rate' derives basePrice and sellingPrice
+  // from weight, purity, making charges and gemstone value at the current metal rate.
+  pricingMode: {
+    type: String,
+    enum: ['fixed', 'metal_rate'],
+    default: 'fixed'
+  },
+  makingCharges: {
+    type: {
+      type: String,
+      enum: ['per_gram', 'percentage', 'flat'],
+      default: 'per_gram'
+    },
+    value: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  // Metal lost in manufacturing, charged as a percentage of the metal value
+  wastagePercentage: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: [100, 'Wastage cannot exceed 100%']
+  },
+  // Sets sold as one item. A bundle has no stock of its own: availability, base price
+  // and (with percentage pricing) selling price are derived from its components.
+  productType: {
+    type: String,
+    enum: ['single', 'bundle'],
+    default: 'single'
+  },
+  bundleItems: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Bundle component product is required']
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductVariant',
+      default: null
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [1, 'Component quantity must be at least 1']
+    }
+  }],
+  bundlePricing: {
+    // 'fixed': value is the bundle price. 'percentage': value is the discount on the components total.
+    type: {
+      type: String,
+      enum: ['fixed', 'percentage'],
+      default: 'percentage'
+    },
+    value: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    componentTotal: Number,
+    // Component amounts by price component, used for the per-component GST breakdown
+    components: {
+      metal: Number,
+      making: Number,
+      wastage: Number,
+      stone: Number,
+      other: Number
+    },
+    calculatedAt: Date
+  },
+  // Last derived price, kept for display and auditing
+  metalPricing: {
+    metal: String,
+    purity: String,
+    ratePerGram: Number,
+    metalValue: Number,
+    makingCharges: Number,
+    wastage: Number,
+    gemstoneValue: Number,
+    total: Number,
+    calculatedAt: Date
+  },
   // Stock Management
   stockQuantity: {
     type: Number,
@@ -110,11 +207,28 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Stock is held as individually tracked pieces (InventoryUnit), each with its own HUID and weights.
+  // stockQuantity still counts the pieces; orders are allocated specific ones.
+  isSerialized: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the product is sold through variants (sizes, metal colours, purities).
+  // stockQuantity is then the sum of the active variants' stock.
+  hasVariants: {
+    type: Boolean,
+    default: false
+  },
   // Product Attributes
   material: {
     type: String,
     enum: ['gold', 'silver', 'platinum', 'diamond', 'pearl', 'gemstone', 'other'],
-    required: true
+    required: isListingComplete
+  },
+  // Metal the piece is set in when material is a stone (used for metal-rate pricing)
+  metal: {
+    type: String,
+    enum: ['gold', 'silver', 'platinum']
   },
   purity: {
     type: String,
@@ -129,11 +243,25 @@ const productSchema = new mongoose.Schema({
     enum: ['XS', 'S', 'M', 'L', 'XL', '2XL', 'na'],
     default: 'na'
   },
+  // Ring, bangle or chain size chart; products without one use their category's chart
+  sizeGuide: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SizeGuide'
+  },
   dimensions: {
     length: Number,
     width: Number,
     height: Number
   },
+  // Lifecycle: only published products are visible on the storefront.
+  // Scheduled products are published at publishAt, published products are archived at unpublishAt.
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'published', 'archived'],
+    default: 'published'
+  },
+  publishAt: Date,
+  unpublishAt: Date,
   // Status Flags
   isActive: {
     type: Boolean,
@@ -175,8 +303,15 @@ const productSchema = new mongoose.Schema({
   metaTitle: String,
   metaDescription: String,
   metaKeywords: [String],
+  // Hindi and regional language versions of the text fields
+  translations: translationsField('Product'),
   // Tags for search
   tags: [String],
+  // Trigrams of name, tags, brand and material for typo-tolerant suggestions
+  searchGrams: {
+    type: [String],
+    select: false
+  },
   // Audit
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -207,6 +342,11 @@ productSchema.index({ stockStatus: 1 });
 productSchema.index({ createdAt: -1 });
 productSchema.index({ ratingAverage: -1, purchaseCount: -1 });
 productSchema.index({ offerPrice: 1 });
+productSchema.index({ pricingMode: 1, material: 1, metal: 1, purity: 1 });
+productSchema.index({ status: 1, publishAt: 1 });
+productSchema.index({ status: 1, unpublishAt: 1 });
+productSchema.index({ searchGrams: 1 });
+productSchema.index({ 'bundleItems.product': 1 });
 
 // Virtual for reviews
 productSchema.virtual('reviews', {
@@ -229,6 +369,13 @@ productSchema.virtual('images', {
   localField: '_id'
 });
 
+// Virtual for media (images, videos and 360° spins)
+productSchema.virtual('media', {
+  ref: 'ProductMedia',
+  foreignField: 'product',
+  localField: '_id'
+});
+
 // Virtual for gemstones
 productSchema.virtual('gemstones', {
   ref: 'ProductGemstone',
@@ -236,6 +383,13 @@ productSchema.virtual('gemstones', {
   localField: '_id'
 });
 
+// Virtual for variants
+productSchema.virtual('variants', {
+  ref: 'ProductVariant',
+  foreignField: 'product',
+  localField: '_id'
+});
+
 // Virtual for discount percentage
 productSchema.virtual('discountPercentage').get(function () {
   if (this.discountType === 'percentage') {
@@ -246,6 +400,14 @@ productSchema.virtual('discountPercentage').get(function () {
   return 0;
 });
 
+// Helper function to build suggestion trigrams from a product's searchable text
+const buildSearchGrams = product => getTrigrams([
+  product.name,
+  ...(product.tags || []),
+  product.brand,
+  product.material
+].filter(Boolean).join(' '));
+
 // Helper function to calculate stock status
 const calculateStockStatus = (quantity, threshold) => {
   if (quantity <= 0) return 'out_of_stock';
@@ -253,10 +415,123 @@ const calculateStockStatus = (quantity, threshold) => {
   return 'in_stock';
 };
 
+// Components of a bundle with their products and variants loaded
+productSchema.methods.loadBundleComponents = async function () {
+  const Product = mongoose.model('Product');
+  const ProductVariant = mongoose.model('ProductVariant');
+
+  // Items may be populated
+  const idOf = value => (value && value._id) || value;
+  const productIds = this.bundleItems.map(item => idOf(item.product));
+  const variantIds = this.bundleItems.map(item => idOf(item.variant)).filter(Boolean);
+
+  const [products, variants] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }),
+    ProductVariant.find({ _id: { $in: variantIds } })
+  ]);
+
+  const productById = new Map(products.map(product => [product._id.toString(), product]));
+  const variantById = new Map(variants.map(variant => [variant._id.toString(), variant]));
+
+  return this.bundleItems.map(item => ({
+    product: productById.get(idOf(item.product).toString()) || null,
+    variant: item.variant ? variantById.get(idOf(item.variant).toString()) || null : null,
+    variantId: idOf(item.variant),
+    quantity: item.quantity
+  }));
+};
+
+// Components of a bundle as recorded on order items
+productSchema.methods.getBundleSnapshot = async function () {
+  if (this.productType !== 'bundle') return [];
+
+  const components = await this.loadBundleComponents();
+
+  return components
+    .filter(component => component.product)
+    .map(({ product, variant, quantity }) => ({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      variantOptions: variant ? variant.options : undefined,
+      sku: variant ? variant.sku : product.sku,
+      productName: product.name,
+      quantity
+    }));
+};
+
+// Derive bundle price and availability from its components
+productSchema.pre('validate', async function () {
+  if (this.productType !== 'bundle') {
+    // Component changes that affect the bundles containing this product
+    this.$locals.refreshBundles = !this.isNew &&
+      ['stockQuantity', 'sellingPrice', 'isOnOffer', 'discountValue', 'status'].some(field => this.isModified(field));
+    return;
+  }
+
+  if (this.bundleItems.length === 0) {
+    if (this.status !== 'draft') {
+      this.invalidate('bundleItems', 'A bundle needs at least one component');
+    }
+    this.stockQuantity = 0;
+    return;
+  }
+
+  if (this.pricingMode !== 'fixed') {
+    this.invalidate('pricingMode', 'Bundles are priced from their components');
+    return;
+  }
+
+  const components = await this.loadBundleComponents();
+  const amounts = { metal: 0, making: 0, wastage: 0, stone: 0, other: 0 };
+  let componentTotal = 0;
+  let available = Infinity;
+
+  for (const component of components) {
+    const { product, variant, variantId, quantity } = component;
+
+    if (!product || (variantId && !variant)) {
+      this.invalidate('bundleItems', 'A bundle component no longer exists');
+      return;
+    }
+    if (product._id.equals(this._id) || product.productType === 'bundle') {
+      this.invalidate('bundleItems', `${product.name} is a bundle and cannot be a component`);
+      return;
+    }
+    if (product.hasVariants && !variant) {
+      this.invalidate('bundleItems', `Select a variant of ${product.name} for the bundle`);
+      return;
+    }
+
+    componentTotal += PricingService.getVariantPrice(product, variant) * quantity;
+    PricingService.calculatePriceBreakdown(product, variant).components.forEach(line => {
+      amounts[line.component] += line.amount * quantity;
+    });
+
+    const stock = product.status === 'published' && (!variant || variant.isActive)
+      ? (variant || product).stockQuantity
+      : 0;
+    available = Math.min(available, Math.floor(stock / quantity));
+  }
+
+  const pricing = this.bundlePricing || {};
+  const price = pricing.type === 'fixed'
+    ? pricing.value
+    : componentTotal * (1 - Math.min(pricing.value || 0, 100) / 100);
+
+  this.bundlePricing.componentTotal = PricingService.roundAmount(componentTotal);
+  this.bundlePricing.components = amounts;
+  this.bundlePricing.calculatedAt = new Date();
+  this.basePrice = PricingService.roundAmount(componentTotal);
+  this.sellingPrice = Math.round(price);
+  this.stockQuantity = available;
+  this.hasVariants = false;
+});
+
 // Pre-validate middleware
 productSchema.pre('validate', function (next) {
   // Generate slug from name
   if (this.isModified('name') || !this.slug) {
+    const previousSlug = this.slug;
     const slugSource = this.name || '';
     if (slugSource) {
       this.slug = slugify(slugSource, {
@@ -265,11 +540,39 @@ productSchema.pre('validate', function (next) {
         trim: true
       });
     }
+    // Keep the old slug so links to it can be redirected
+    if (!this.isNew && previousSlug && previousSlug !== this.slug) {
+      this.$locals.previousSlug = previousSlug;
+    }
   }
 
   // Calculate stock status
   this.stockStatus = calculateStockStatus(this.stockQuantity, this.lowStockThreshold);
 
+  // Rebuild suggestion trigrams when searchable text changes
+  if (this.isNew || SEARCH_GRAM_FIELDS.some(field => this.isModified(field))) {
+    this.searchGrams = buildSearchGrams(this);
+  }
+
+  // Products saved before lifecycle states take their status from isActive
+  if (!this.isNew && this.$isDefault('status') && !this.isModified('status')) {
+    this.status = this.isActive === false ? 'archived' : 'published';
+  }
+
+  // Keep isActive in step with the lifecycle status
+  if (this.isModified('status')) {
+    this.isActive = this.status === 'published';
+  } else if (this.isModified('isActive')) {
+    this.status = this.isActive ? 'published' : 'archived';
+  }
+
+  if (this.status === 'scheduled' && !this.publishAt) {
+    this.invalidate('publishAt', 'Publish date is required for scheduled products');
+  }
+  if (this.publishAt && this.unpublishAt && this.unpublishAt <= this.publishAt) {
+    this.invalidate('unpublishAt', 'Unpublish date must be after the publish date');
+  }
+
   // Calculate offer price
   const now = new Date();
   if (this.isOnOffer && this.offerStartDate <= now && this.offerEndDate >= now) {
@@ -288,6 +591,36 @@ productSchema.pre('validate', function (next) {
   next();
 });
 
+// Record the slug history after a rename; the new slug is live again if it was an old one
+productSchema.post('save', async function () {
+  const previousSlug = this.$locals.previousSlug;
+  if (!previousSlug) return;
+  this.$locals.previousSlug = null;
+
+  const SlugHistory = mongoose.model('SlugHistory');
+  await SlugHistory.record(this._id, previousSlug);
+  await SlugHistory.deleteOne({ slug: this.slug });
+});
+
+// Refresh the bundles containing a component after its stock or price changed
+productSchema.post('save', async function () {
+  if (!this.$locals.refreshBundles) return;
+  this.$locals.refreshBundles = false;
+
+  const bundles = await mongoose.model('Product').find({
+    productType: 'bundle',
+    'bundleItems.product': this._id
+  });
+
+  for (const bundle of bundles) {
+    try {
+      await bundle.save();
+    } catch (error) {
+      console.error(`Bundle ${bundle.sku} refresh failed:`, error.message);
+    }
+  }
+});
+
 // Update stock status on findOneAndUpdate
 productSchema.pre('findOneAndUpdate', async function (next) {
   const update = this.getUpdate();
@@ -303,9 +636,95 @@ productSchema.pre('findOneAndUpdate', async function (next) {
       update.stockStatus = calculateStockStatus(quantity, threshold);
     }
   }
+
+  // Searchable text changed outside save(): clear the trigrams so the search index job rebuilds them
+  const fields = { ...update, ...update.$set };
+  if (SEARCH_GRAM_FIELDS.some(field => fields[field] !== undefined)) {
+    update.$unset = { ...update.$unset, searchGrams: 1 };
+  }
   next();
 });
 
+// Filter for products visible on the storefront. Products saved before lifecycle states
+// have no status until the backfill migration runs; until then isActive decides.
+// Written with $nor so it can be spread into queries that have an $or of their own.
+productSchema.statics.publishedFilter = function () {
+  return {
+    $nor: [
+      { status: { $nin: ['published', null] } },
+      { status: null, isActive: false }
+    ]
+  };
+};
+
+// Instance method to check a loaded product against the same rule as publishedFilter
+// (a product without a stored status is hydrated with the default one)
+productSchema.methods.isPublished = function () {
+  return this.$isDefault('status') ? this.isActive !== false : this.status === 'published';
+};
+
+// Static method to publish scheduled products and archive expired ones.
+// Each product is saved so the save hooks run (isActive, bundle refresh) and
+// shoppers waiting for a newly published product are notified.
+productSchema.statics.applyScheduledStatus = async function (now = new Date()) {
+  const products = await this.find({
+    $or: [
+      { status: 'scheduled', publishAt: { $lte: now } },
+      { status: 'published', unpublishAt: { $lte: now } }
+    ]
+  });
+
+  const result = {
+    published: 0,
+    archived: 0,
+    failed: []
+  };
+
+  // Required here: the service loads modules that load this model
+  const BackInStockService = require('../services/backInStockService');
+
+  for (const product of products) {
+    const publishing = product.status === 'scheduled';
+    product.status = publishing ? 'published' : 'archived';
+
+    try {
+      await product.save();
+    } catch (error) {
+      result.failed.push({ productId: product._id, sku: product.sku, error: error.message });
+      continue;
+    }
+
+    if (publishing) {
+      result.published++;
+      BackInStockService.notifyIfPublished(product);
+    } else {
+      result.archived++;
+    }
+  }
+
+  return result;
+};
+
+// Static method to build missing suggestion trigrams (products created before
+// the index existed or updated without save)
+productSchema.statics.rebuildSearchGrams = async function (batchSize = 500) {
+  const products = await this.find({ searchGrams: { $exists: false } })
+    .select(SEARCH_GRAM_FIELDS.join(' '))
+    .limit(batchSize)
+    .lean();
+
+  if (products.length === 0) return 0;
+
+  await this.bulkWrite(products.map(product => ({
+    updateOne: {
+      filter: { _id: product._id },
+      update: { $set: { searchGrams: buildSearchGrams(product) } }
+    }
+  })));
+
+  return products.length;
+};
+
 // Static method to update stock
 productSchema.statics.updateStock = async function (productId, quantity, type, userId, referenceId, reason, notes) {
   const product = await this.findById(productId);
@@ -314,6 +733,7 @@ productSchema.statics.updateStock = async function (productId, quantity, type, u
   }
 
   const previousStock = product.stockQuantity;
+  const previousStatus = product.stockStatus;
   let newStock;
 
   switch (type) {
@@ -352,6 +772,10 @@ productSchema.statics.updateStock = async function (productId, quantity, type, u
     notes
   });
 
+  // Required here: the service loads modules that load this model
+  const BackInStockService = require('../services/backInStockService');
+  BackInStockService.notifyIfRestocked(product, null, previousStatus);
+
   return product;
 };
 
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// How often relatedProduct is bought in the same order as product.
+// Rebuilt from order history by the recommendation job.
+const productAffinitySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  relatedProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Orders containing both products
+  coPurchaseCount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Share of the orders containing product that also contain relatedProduct (0-1)
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  computedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Indexes
+productAffinitySchema.index({ product: 1, score: -1, coPurchaseCount: -1 });
+productAffinitySchema.index({ computedAt: 1 });
+
+const ProductAffinity = mongoose.model('ProductAffinity', productAffinitySchema);
+
+module.exports = ProductAffinity;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// The last generated product feed of a channel, served as is until the next rebuild.
+// The file itself is stored in S3 under key; it outgrows a document on large catalogues.
+const productFeedSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['google', 'meta'],
+    required: [true, 'Channel is required']
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  itemCount: {
+    type: Number,
+    default: 0
+  },
+  productCount: {
+    type: Number,
+    default: 0
+  },
+  // Published products left out of this channel's feed and why
+  excluded: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    sku: String,
+    name: String,
+    reasons: [String]
+  }],
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+productFeedSchema.index({ channel: 1 }, { unique: true });
+
+const ProductFeed = mongoose.model('ProductFeed', productFeedSchema);
+
+module.exports = ProductFeed;
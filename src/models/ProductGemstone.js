@@ -37,11 +37,20 @@ const productGemstoneSchema = new mongoose.Schema({
     min: [1, 'Quantity must be at least 1'],
     default: 1
   },
+  pricePerCarat: {
+    type: Number,
+    default: 0,
+    min: [0, 'Price cannot be negative']
+  },
   cut: String,
   shape: String,
   treatment: String,
   origin: String,
-  certificationNumber: String,
+  // Links the stone to its Certificate record (stored normalized like Certificate.certificateNumber)
+  certificationNumber: {
+    type: String,
+    set: value => (value ? String(value).replace(/\s+/g, '').toUpperCase() : value)
+  },
   certificationAuthority: String,
   addedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -49,7 +58,9 @@ const productGemstoneSchema = new mongoose.Schema({
     required: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Indexes
@@ -57,6 +68,20 @@ productGemstoneSchema.index({ product: 1 });
 productGemstoneSchema.index({ name: 1 });
 productGemstoneSchema.index({ type: 1 });
 productGemstoneSchema.index({ color: 1 });
+productGemstoneSchema.index({ certificationNumber: 1 });
+
+// Virtual for total value of the stones
+productGemstoneSchema.virtual('totalValue').get(function () {
+  return this.carat * this.quantity * (this.pricePerCarat || 0);
+});
+
+// Virtual populate
+productGemstoneSchema.virtual('certificate', {
+  ref: 'Certificate',
+  foreignField: 'certificateNumber',
+  localField: 'certificationNumber',
+  justOne: true
+});
 
 const ProductGemstone = mongoose.model('ProductGemstone', productGemstoneSchema);
 
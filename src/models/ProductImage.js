@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const imageRenditionsSchema = require('./schemas/imageRenditions');
 
 const productImageSchema = new mongoose.Schema({
   product: {
@@ -33,6 +34,13 @@ const productImageSchema = new mongoose.Schema({
     height: Number
   },
   mimeType: String,
+  // Resized WebP/JPEG copies; url is the large JPEG one
+  renditions: imageRenditionsSchema,
+  // S3 key of the full-size upload, kept without a watermark and never sent to clients
+  originalKey: {
+    type: String,
+    select: false
+  },
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const imageRenditionsSchema = require('./schemas/imageRenditions');
+
+const frameSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number
+}, { _id: false });
+
+// A still image, a short video or a 360° spin (an ordered sequence of frames) shown on a product page
+const productMediaSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['image', 'video', 'spin'],
+      message: 'Media type must be image, video or spin'
+    },
+    required: [true, 'Media type is required']
+  },
+  // The image or video file; spins are made of frames instead
+  url: {
+    type: String,
+    required: [
+      function () { return this.type !== 'spin'; },
+      'Media URL is required'
+    ]
+  },
+  renditions: imageRenditionsSchema,
+  // Still shown before a video plays or a spin loads
+  poster: frameSchema,
+  frames: [frameSchema],
+  // Video length in seconds
+  duration: {
+    type: Number,
+    min: 0
+  },
+  altText: {
+    type: String,
+    default: 'Product media',
+    maxlength: [200, 'Alt text cannot exceed 200 characters']
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  displayOrder: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Total bytes stored (all frames for a spin)
+  size: {
+    type: Number,
+    min: 0
+  },
+  dimensions: {
+    width: Number,
+    height: Number
+  },
+  mimeType: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+productMediaSchema.index({ product: 1, displayOrder: 1 });
+productMediaSchema.index({ product: 1, isPrimary: 1 });
+
+// Pre-validate middleware
+productMediaSchema.pre('validate', function (next) {
+  if (this.type === 'spin' && (!this.frames || this.frames.length === 0)) {
+    this.invalidate('frames', 'A spin needs at least one frame');
+  }
+  next();
+});
+
+// Ensure only one primary media item per product
+productMediaSchema.pre('save', async function (next) {
+  if (this.isPrimary) {
+    await mongoose.model('ProductMedia').updateMany(
+      { product: this.product, _id: { $ne: this._id } },
+      { $set: { isPrimary: false } }
+    );
+  }
+  next();
+});
+
+const ProductMedia = mongoose.model('ProductMedia', productMediaSchema);
+
+module.exports = ProductMedia;
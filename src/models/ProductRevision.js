@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Full snapshot of a product (including gemstones and images) after a change
+const productRevisionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  revisionNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'bulk_update', 'rollback'],
+    required: true
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changedFields: [String],
+  restoredFrom: Number,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+productRevisionSchema.index({ product: 1, revisionNumber: -1 }, { unique: true });
+productRevisionSchema.index({ createdAt: -1 });
+
+const ProductRevision = mongoose.model('ProductRevision', productRevisionSchema);
+
+module.exports = ProductRevision;
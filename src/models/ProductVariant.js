@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const productVariantSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [50, 'SKU cannot exceed 50 characters']
+  },
+  // Variant options
+  options: {
+    size: {
+      type: String,
+      trim: true
+    },
+    metalColor: {
+      type: String,
+      enum: ['yellow', 'white', 'rose', 'two_tone', 'na'],
+      default: 'na'
+    },
+    purity: {
+      type: String,
+      enum: ['14k', '18k', '22k', '24k', '925', '950', '999', 'na'],
+      default: 'na'
+    }
+  },
+  // Pricing - added to the parent product price (metal-rate variants: to their own metal price)
+  priceDelta: {
+    type: Number,
+    default: 0
+  },
+  weight: {
+    type: Number,
+    min: 0
+  },
+  // Metal-rate products: price derived from this variant's own weight and purity
+  metalPricing: {
+    metal: String,
+    purity: String,
+    weight: Number,
+    ratePerGram: Number,
+    metalValue: Number,
+    makingCharges: Number,
+    wastage: Number,
+    gemstoneValue: Number,
+    total: Number,
+    calculatedAt: Date
+  },
+  // Stock Management
+  stockQuantity: {
+    type: Number,
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  },
+  stockStatus: {
+    type: String,
+    enum: ['in_stock', 'low_stock', 'out_of_stock'],
+    default: 'out_of_stock'
+  },
+  lowStockThreshold: {
+    type: Number,
+    default: 5,
+    min: 0
+  },
+  displayOrder: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+productVariantSchema.index({ product: 1, displayOrder: 1 });
+productVariantSchema.index({ product: 1, 'options.size': 1, 'options.metalColor': 1, 'options.purity': 1 }, { unique: true });
+productVariantSchema.index({ stockStatus: 1 });
+
+// Virtual for a readable variant label, e.g. "Size 12 / Rose / 18k"
+productVariantSchema.virtual('label').get(function () {
+  const parts = [];
+  if (this.options?.size) parts.push(`Size ${this.options.size}`);
+  if (this.options?.metalColor && this.options.metalColor !== 'na') {
+    parts.push(this.options.metalColor.replace('_', ' '));
+  }
+  if (this.options?.purity && this.options.purity !== 'na') parts.push(this.options.purity);
+  return parts.join(' / ');
+});
+
+// Calculate stock status
+productVariantSchema.pre('validate', function (next) {
+  if (this.stockQuantity <= 0) {
+    this.stockStatus = 'out_of_stock';
+  } else if (this.stockQuantity <= this.lowStockThreshold) {
+    this.stockStatus = 'low_stock';
+  } else {
+    this.stockStatus = 'in_stock';
+  }
+  next();
+});
+
+// Static method to keep the parent product stock equal to the sum of its active variants
+productVariantSchema.statics.syncProductStock = async function (productId) {
+  const Product = mongoose.model('Product');
+
+  const [totals] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), isActive: true } },
+    { $group: { _id: null, stock: { $sum: '$stockQuantity' }, count: { $sum: 1 } } }
+  ]);
+
+  const product = await Product.findById(productId);
+  if (!product) return null;
+
+  product.hasVariants = !!totals && totals.count > 0;
+  if (product.hasVariants) {
+    product.stockQuantity = totals.stock;
+  }
+  await product.save();
+
+  return product;
+};
+
+const ProductVariant = mongoose.model('ProductVariant', productVariantSchema);
+
+module.exports = ProductVariant;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Raises (weight > 1) or lowers (weight < 1) the relevance of a product or a
+// whole category in search results, for every search or only for given queries
+const searchBoostSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  weight: {
+    type: Number,
+    required: [true, 'Boost weight is required'],
+    min: [0.1, 'Boost weight must be at least 0.1'],
+    max: [10, 'Boost weight cannot exceed 10']
+  },
+  queries: {
+    type: [String],
+    set: queries => [...new Set((queries || []).map(query => String(query).trim().toLowerCase()).filter(Boolean))]
+  },
+  startsAt: Date,
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+searchBoostSchema.index({ isActive: 1, queries: 1 });
+searchBoostSchema.index({ product: 1 });
+searchBoostSchema.index({ category: 1 });
+
+// Pre-validate middleware
+searchBoostSchema.pre('validate', function (next) {
+  if (Boolean(this.product) === Boolean(this.category)) {
+    this.invalidate('product', 'A boost rule applies to either a product or a category');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+  next();
+});
+
+// Static method to get the rules in force for a search (terms include expanded synonyms)
+searchBoostSchema.statics.getActiveBoosts = function (terms = [], now = new Date()) {
+  return this.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] },
+      { $or: [{ queries: { $size: 0 } }, { queries: { $in: terms } }] }
+    ]
+  });
+};
+
+const SearchBoost = mongoose.model('SearchBoost', searchBoostSchema);
+
+module.exports = SearchBoost;
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Lowercase, trim and de-duplicate terms so lookups can match exactly
+const normalizeTerms = terms => [...new Set(
+  (terms || []).map(term => String(term).trim().toLowerCase().replace(/\s+/g, ' ')).filter(Boolean)
+)];
+
+// Group of interchangeable search terms, e.g. jhumka / jhumki / bell earrings
+const searchSynonymSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  terms: {
+    type: [String],
+    set: normalizeTerms,
+    validate: {
+      validator: terms => terms.length >= 2,
+      message: 'A synonym group needs at least two terms'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+searchSynonymSchema.index({ terms: 1 });
+searchSynonymSchema.index({ isActive: 1 });
+
+// Static method to expand a search query with the synonyms of every term or phrase it contains
+searchSynonymSchema.statics.expandQuery = async function (query) {
+  const [normalized] = normalizeTerms([query]);
+  const words = normalized ? normalized.split(' ') : [];
+
+  // Single words and phrases of up to three words
+  const candidates = [];
+  for (let size = 1; size <= 3; size++) {
+    for (let i = 0; i + size <= words.length; i++) {
+      candidates.push(words.slice(i, i + size).join(' '));
+    }
+  }
+
+  if (candidates.length === 0) {
+    return { query, terms: [], synonyms: [] };
+  }
+
+  const groups = await this.find({ isActive: true, terms: { $in: candidates } }).select('terms');
+  const synonyms = [...new Set(groups.flatMap(group => group.terms))]
+    .filter(term => !candidates.includes(term));
+
+  return {
+    query: synonyms.length > 0 ? `${query} ${synonyms.join(' ')}` : query,
+    terms: [...candidates, ...synonyms],
+    synonyms
+  };
+};
+
+const SearchSynonym = mongoose.model('SearchSynonym', searchSynonymSchema);
+
+module.exports = SearchSynonym;
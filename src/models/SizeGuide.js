@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { SIZE_GUIDES } = require('../constants');
+
+// One row of a chart: the same size in every system of the chart type.
+// Letter and half sizes (UK N½, US 7.5) are kept as text.
+const sizeSchema = new mongoose.Schema({
+  india: { type: String, trim: true },
+  us: { type: String, trim: true },
+  uk: { type: String, trim: true },
+  eu: { type: String, trim: true },
+  diameterMm: { type: Number, min: 0 },
+  circumferenceMm: { type: Number, min: 0 },
+  lengthIn: { type: Number, min: 0 },
+  lengthCm: { type: Number, min: 0 },
+  label: { type: String, trim: true } // e.g. "Choker" or "Princess" for chain lengths
+}, { _id: false });
+
+// A size chart for ring, bangle or chain sizes, shown for the products of its categories
+const sizeGuideSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Size guide name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: SIZE_GUIDES.TYPES,
+    required: [true, 'Size guide type is required']
+  },
+  // Categories whose products use this chart; a chart without categories is the general chart of its type
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  description: String,
+  howToMeasure: String,
+  // Smallest to largest
+  sizes: {
+    type: [sizeSchema],
+    validate: {
+      validator: sizes => sizes.length > 0,
+      message: 'A size guide needs at least one size'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sizeGuideSchema.index({ type: 1, isActive: 1 });
+sizeGuideSchema.index({ categories: 1 });
+
+// Fill in derived measurements and check every size has each system of the chart type
+sizeGuideSchema.pre('validate', function (next) {
+  const systems = SIZE_GUIDES.SYSTEMS[this.type];
+  if (!systems) return next();
+
+  this.sizes.forEach((size, index) => {
+    if (size.circumferenceMm == null && size.diameterMm != null) {
+      size.circumferenceMm = Math.round(size.diameterMm * Math.PI * 10) / 10;
+    }
+    if (size.lengthCm == null && size.lengthIn != null) {
+      size.lengthCm = Math.round(size.lengthIn * SIZE_GUIDES.CM_PER_INCH * 10) / 10;
+    }
+    if (size.lengthIn == null && size.lengthCm != null) {
+      size.lengthIn = Math.round((size.lengthCm / SIZE_GUIDES.CM_PER_INCH) * 10) / 10;
+    }
+
+    const missing = systems.filter(system => size[system] == null || size[system] === '');
+    if (missing.length > 0) {
+      this.invalidate(`sizes.${index}`, `Size ${index + 1} is missing: ${missing.join(', ')}`);
+    }
+  });
+
+  next();
+});
+
+// Static method to get the chart for a category, then its parent category
+sizeGuideSchema.statics.findForCategory = async function (categoryId, type) {
+  if (!categoryId) return null;
+
+  const filter = { isActive: true };
+  if (type) filter.type = type;
+
+  const guide = await this.findOne({ ...filter, categories: categoryId }).sort('-updatedAt');
+  if (guide) return guide;
+
+  const category = await mongoose.model('Category').findById(categoryId).select('parentCategory');
+  return category && category.parentCategory
+    ? this.findOne({ ...filter, categories: category.parentCategory }).sort('-updatedAt')
+    : null;
+};
+
+const SizeGuide = mongoose.model('SizeGuide', sizeGuideSchema);
+
+module.exports = SizeGuide;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A slug a product was reachable at before its name changed; old links are redirected to the product
+const slugHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    lowercase: true,
+    trim: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+slugHistorySchema.index({ slug: 1 }, { unique: true });
+slugHistorySchema.index({ product: 1 });
+
+// Static method to remember a product's old slug (the newest owner of a slug wins)
+slugHistorySchema.statics.record = function (productId, slug) {
+  return this.findOneAndUpdate(
+    { slug },
+    { $set: { product: productId, changedAt: new Date() } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const SlugHistory = mongoose.model('SlugHistory', slugHistorySchema);
+
+module.exports = SlugHistory;
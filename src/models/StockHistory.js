@@ -6,6 +6,11 @@ const stockHistorySchema = new mongoose.Schema({
     ref: 'Product',
     required: [true, 'Product is required']
   },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant',
+    default: null
+  },
   sku: {
     type: String,
     required: [true, 'SKU is required']
@@ -61,6 +66,7 @@ const stockHistorySchema = new mongoose.Schema({
 
 // Indexes
 stockHistorySchema.index({ product: 1, performedAt: -1 });
+stockHistorySchema.index({ variant: 1, performedAt: -1 });
 stockHistorySchema.index({ type: 1 });
 stockHistorySchema.index({ sku: 1 });
 stockHistorySchema.index({ performedBy: 1 });
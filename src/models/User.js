@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
 const crypto = require('crypto');
+const { RECOMMENDATIONS } = require('../constants');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -134,6 +135,21 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
   }],
+  // Most recently viewed products first, one entry per product
+  recentlyViewed: {
+    type: [{
+      _id: false,
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      viewedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
   cart: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Cart'
@@ -267,6 +283,29 @@ userSchema.methods.incLoginAttempts = function () {
   return this.updateOne(updates);
 };
 
+// Static method to record product views, keeping the newest view of each product
+userSchema.statics.recordProductViews = async function (userId, views) {
+  const user = await this.findById(userId).select('+recentlyViewed');
+  if (!user) return;
+
+  const latest = new Map();
+  [...(user.recentlyViewed || []), ...views]
+    .filter(view => view.product)
+    .forEach(view => {
+      const key = view.product.toString();
+      const viewedAt = new Date(view.viewedAt || Date.now());
+      if (!latest.has(key) || latest.get(key).viewedAt < viewedAt) {
+        latest.set(key, { product: view.product, viewedAt });
+      }
+    });
+
+  const recentlyViewed = [...latest.values()]
+    .sort((a, b) => b.viewedAt - a.viewedAt)
+    .slice(0, RECOMMENDATIONS.RECENTLY_VIEWED_MAX);
+
+  await this.updateOne({ _id: userId }, { $set: { recentlyViewed } });
+};
+
 // Diagnostic hook to track address modifications
 userSchema.pre('save', function (next) {
   if (this.isModified('addresses')) {
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const renditionSchema = new mongoose.Schema({
+  width: Number,
+  height: Number,
+  webp: String,
+  jpeg: String
+}, { _id: false });
+
+// URLs of the resized copies made from an uploaded image. The image's own URL is the large JPEG;
+// the full-size upload is only kept by its S3 key.
+// Embedded in ProductImage, Banner images and Category.
+const imageRenditionsSchema = new mongoose.Schema({
+  thumbnail: renditionSchema,
+  medium: renditionSchema,
+  large: renditionSchema
+}, { _id: false });
+
+module.exports = imageRenditionsSchema;
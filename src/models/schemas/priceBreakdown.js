@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const priceComponentSchema = new mongoose.Schema({
+  component: {
+    type: String,
+    enum: ['metal', 'making', 'wastage', 'stone', 'other'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Per-unit price split into metal, making, wastage, stone and other lines,
+// each taxed at its own rate. Embedded in CartItem and OrderItem.
+const priceBreakdownSchema = new mongoose.Schema({
+  components: [priceComponentSchema],
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+module.exports = priceBreakdownSchema;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const { LOCALES } = require('../../constants');
+
+// Per-locale copies of a model's text fields, keyed by locale code ('hi', 'ta', ...).
+// Embedded in Product, Category and Banner; English stays in the fields themselves.
+const translationsField = (modelName) => {
+  const fields = {};
+  LOCALES.TRANSLATABLE_FIELDS[modelName].forEach(field => {
+    fields[field] = { type: String, trim: true };
+  });
+
+  return {
+    type: Map,
+    of: new mongoose.Schema(fields, { _id: false }),
+    default: {}
+  };
+};
+
+module.exports = translationsField;
@@ -26,11 +26,31 @@ const {
   getLowStockProducts,
   getOutOfStockProducts,
   bulkUpdateProducts,
+  importProducts,
+  exportProducts,
   uploadProductImages,
   setPrimaryImage,
   deleteProductImage,
+  getProductVariants,
+  createProductVariant,
+  updateProductVariant,
+  deleteProductVariant,
+  getProductRevisions,
+  getProductRevisionDiff,
+  getProductRevision,
+  rollbackProductRevision,
 } = require("../controllers/admin/productController");
 
+const {
+  loadMediaProduct,
+  getProductMedia,
+  addProductMediaImages,
+  addProductVideo,
+  addProductSpin,
+  updateProductMedia,
+  deleteProductMedia,
+} = require("../controllers/admin/productMediaController");
+
 const {
   getAllCategories,
   getCategoryTree,
@@ -59,6 +79,7 @@ const {
   getOrderTimeline,
   generateInvoice,
   sendInvoiceEmail,
+  allocateOrderItemUnits,
   // Shiprocket integration
   createShipment,
   getAvailableCouriers,
@@ -133,6 +154,80 @@ const {
   getActivePromoCodes,
 } = require("../controllers/admin/promoCodeController");
 
+const {
+  getCurrentMetalRates,
+  getMetalRateHistory,
+  setMetalRates,
+  repriceProducts,
+} = require("../controllers/admin/metalRateController");
+
+const {
+  getCurrencies,
+  createCurrency,
+  updateCurrency,
+  deleteCurrency,
+} = require("../controllers/admin/currencyController");
+
+const {
+  getSizeGuides,
+  createSizeGuide,
+  updateSizeGuide,
+  deleteSizeGuide,
+} = require("../controllers/admin/sizeGuideController");
+
+const {
+  getBackInStockDemand,
+  getBackInStockSubscriptions,
+} = require("../controllers/admin/backInStockController");
+
+const {
+  getSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+  getBoosts,
+  createBoost,
+  updateBoost,
+  deleteBoost,
+  getSearchReport,
+} = require("../controllers/admin/searchController");
+
+const {
+  getAllCollections,
+  getCollection,
+  createCollection,
+  updateCollection,
+  reorderCollectionProducts,
+  deleteCollection,
+} = require("../controllers/admin/collectionController");
+const {
+  getCertificates,
+  getUncertifiedProducts,
+  getCertificate,
+  createCertificate,
+  updateCertificate,
+  deleteCertificate,
+} = require("../controllers/admin/certificateController");
+
+const {
+  getFeeds,
+  getExcludedProducts,
+  rebuildFeeds,
+} = require("../controllers/admin/feedController");
+
+const {
+  getMissingTranslations,
+  getTranslations,
+  updateTranslation,
+  deleteTranslation,
+} = require("../controllers/admin/translationController");
+const {
+  getInventoryUnits,
+  createInventoryUnits,
+  updateInventoryUnit,
+  deleteInventoryUnit,
+} = require("../controllers/admin/inventoryUnitController");
+
 const { protect, restrictTo, isAdmin } = require("../middleware/auth");
 const {
   uploadProductImages: uploadProductImagesMiddleware,
@@ -140,6 +235,10 @@ const {
   uploadCategoryImage: uploadCategoryImageMiddleware,
   uploadGenericSingle,
   uploadGenericMultiple,
+  uploadSpreadsheet,
+  uploadCertificateFile,
+  uploadProductVideo,
+  uploadSpinFrames,
 } = require("../middleware/upload");
 const { uploadImage, uploadImages } = require("../controllers/admin/s3Controller");
 
@@ -169,6 +268,8 @@ router.post("/products", createProduct);
 router.get("/products/low-stock", getLowStockProducts);
 router.get("/products/out-of-stock", getOutOfStockProducts);
 router.post("/products/bulk-update", bulkUpdateProducts);
+router.post("/products/import", uploadSpreadsheet, importProducts);
+router.get("/products/export", exportProducts);
 router.post(
   "/products/:id/images",
   uploadProductImagesMiddleware,
@@ -176,15 +277,43 @@ router.post(
 );
 router.patch("/products/images/:imageId/set-primary", setPrimaryImage);
 router.delete("/products/images/:imageId", deleteProductImage);
+router.get("/products/:id/media", getProductMedia);
+router.post(
+  "/products/:id/media/images",
+  loadMediaProduct,
+  uploadProductImagesMiddleware,
+  addProductMediaImages
+);
+router.post("/products/:id/media/video", loadMediaProduct, uploadProductVideo, addProductVideo);
+router.post("/products/:id/media/spin", loadMediaProduct, uploadSpinFrames, addProductSpin);
+router
+  .route("/products/media/:mediaId")
+  .patch(updateProductMedia)
+  .delete(deleteProductMedia);
 router.get("/products/:id/stock-history", getStockHistory);
 router.patch("/products/:id/stock", updateStock);
+router
+  .route("/products/:id/variants")
+  .get(getProductVariants)
+  .post(createProductVariant);
+router
+  .route("/products/variants/:variantId")
+  .patch(updateProductVariant)
+  .delete(deleteProductVariant);
+router.get("/products/:id/revisions", getProductRevisions);
+router.get("/products/:id/revisions/diff", getProductRevisionDiff);
+router.get("/products/:id/revisions/:revisionNumber", getProductRevision);
+router.post("/products/:id/revisions/:revisionNumber/rollback", rollbackProductRevision);
 router.route("/products/:id").get(getProduct).patch(updateProduct).delete(deleteProduct);
 
 // Category routes
 
 router.get("/categories/tree", getCategoryTree);
-router.post("/categories", createCategory);
-router.route("/categories/:id").patch(updateCategory).delete(deleteCategory);
+router.post("/categories", uploadCategoryImageMiddleware, createCategory);
+router
+  .route("/categories/:id")
+  .patch(uploadCategoryImageMiddleware, updateCategory)
+  .delete(deleteCategory);
 
 // Subcategory routes
 router.get("/subcategories", getSubCategories);
@@ -211,6 +340,7 @@ router.post("/orders/:id/send-invoice", sendInvoiceEmail); // Added
 router.patch("/orders/:id/status", updateOrderStatus);
 router.patch("/orders/:id/shipping-status", updateShippingStatus);
 router.patch("/orders/:id/payment-status", updatePaymentStatus);
+router.patch("/orders/:id/items/:itemId/units", allocateOrderItemUnits);
 
 // Shiprocket integration routes
 router.post("/orders/:id/create-shipment", createShipment);
@@ -256,7 +386,72 @@ router.post("/stock/bulk-update", bulkUpdateStock);
 router.get("/stock/alerts", getStockAlerts);
 router.get("/stock/export", exportStockReport);
 
+// Serialized (hallmarked) piece routes
+router.route("/inventory-units").get(getInventoryUnits).post(createInventoryUnits);
+router
+  .route("/inventory-units/:id")
+  .patch(updateInventoryUnit)
+  .delete(deleteInventoryUnit);
+
+
+
+// Metal rate routes
+router.route("/metal-rates").get(getCurrentMetalRates).post(setMetalRates);
+router.get("/metal-rates/history", getMetalRateHistory);
+router.post("/metal-rates/reprice", repriceProducts);
+
+// Currency routes
+router.route("/currencies").get(getCurrencies).post(createCurrency);
+router.route("/currencies/:id").patch(updateCurrency).delete(deleteCurrency);
 
+// Size guide routes
+router.route("/size-guides").get(getSizeGuides).post(createSizeGuide);
+router.route("/size-guides/:id").patch(updateSizeGuide).delete(deleteSizeGuide);
+
+// Back in stock routes
+router.get("/back-in-stock/demand", getBackInStockDemand);
+router.get("/back-in-stock/subscriptions", getBackInStockSubscriptions);
+
+// Search tuning routes
+router.route("/search/synonyms").get(getSynonyms).post(createSynonym);
+router.route("/search/synonyms/:id").patch(updateSynonym).delete(deleteSynonym);
+router.route("/search/boosts").get(getBoosts).post(createBoost);
+router.route("/search/boosts/:id").patch(updateBoost).delete(deleteBoost);
+router.get("/search/report", getSearchReport);
+
+// Collection routes
+router.route("/collections").get(getAllCollections).post(createCollection);
+router.patch("/collections/:id/products", reorderCollectionProducts);
+router
+  .route("/collections/:id")
+  .get(getCollection)
+  .patch(updateCollection)
+  .delete(deleteCollection);
+
+// Certificate routes
+router
+  .route("/certificates")
+  .get(getCertificates)
+  .post(uploadCertificateFile, createCertificate);
+router.get("/certificates/missing", getUncertifiedProducts);
+router
+  .route("/certificates/:id")
+  .get(getCertificate)
+  .patch(uploadCertificateFile, updateCertificate)
+  .delete(deleteCertificate);
+
+// Product feed routes
+router.get("/feeds", getFeeds);
+router.get("/feeds/excluded", getExcludedProducts);
+router.post("/feeds/rebuild", rebuildFeeds);
+
+// Translation routes
+router.get("/translations/missing", getMissingTranslations);
+router.get("/translations/:entity/:id", getTranslations);
+router
+  .route("/translations/:entity/:id/:locale")
+  .patch(updateTranslation)
+  .delete(deleteTranslation);
 
 // Notification routes
 router.get("/notifications", getNotifications);
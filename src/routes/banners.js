@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const bannerController = require('../controllers/bannerController');
+const { setLocale } = require('../middleware/locale');
+
+router.use(setLocale);
 
 // Public routes for client application
 router.get('/page/:page', bannerController.getBannersByPage);
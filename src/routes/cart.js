@@ -11,11 +11,13 @@ const {
   checkCartStock
 } = require('../controllers/cartController');
 const { identify } = require('../middleware/auth');
+const { setCurrency } = require('../middleware/currency');
 
 const router = express.Router();
 
 // Allow both authenticated users and guests
 router.use(identify);
+router.use(setCurrency);
 
 router.get('/', getCart);
 router.get('/count', getCartCount);
@@ -0,0 +1,16 @@
+const express = require('express');
+const {
+  getCategories,
+  getCategory
+} = require('../controllers/categoryController');
+const { setLocale } = require('../middleware/locale');
+
+const router = express.Router();
+
+router.use(setLocale);
+
+// Public routes
+router.get('/', getCategories);
+router.get('/:slug', getCategory);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const {
+  verifyCertificate
+} = require('../controllers/certificateController');
+
+const router = express.Router();
+
+// Public routes
+router.get('/:number/verify', verifyCertificate);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  getCollections,
+  getCollection
+} = require('../controllers/collectionController');
+const { setLocale } = require('../middleware/locale');
+const { setCurrency } = require('../middleware/currency');
+
+const router = express.Router();
+
+router.use(setLocale);
+router.use(setCurrency);
+
+// Public routes
+router.get('/', getCollections);
+router.get('/:slug', getCollection);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { getCurrencies } = require('../controllers/currencyController');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getCurrencies);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const {
+  getGoogleFeed,
+  getMetaFeed
+} = require('../controllers/feedController');
+
+const router = express.Router();
+
+// Public routes
+router.get('/google.xml', getGoogleFeed);
+router.get('/meta.csv', getMetaFeed);
+
+module.exports = router;
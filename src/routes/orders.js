@@ -12,6 +12,7 @@ const {
   getUserNames,
 } = require('../controllers/orderController');
 const { protect } = require('../middleware/auth');
+const { setCurrency } = require('../middleware/currency');
 
 const router = express.Router();
 
@@ -21,6 +22,7 @@ router.get('/user-names', getUserNames);
 
 // All routes require authentication
 router.use(protect);
+router.use(setCurrency);
 
 router.get('/', getUserOrders);
 router.get('/:id', getOrder);
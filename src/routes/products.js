@@ -3,29 +3,58 @@ const {
   getAllProducts,
   getProduct,
   searchProducts,
+  getSearchFacets,
+  getSearchSuggestions,
+  getForYouProducts,
+  getRecentlyViewed,
+  resolveProductSlug,
+  compareProducts,
   getFeaturedProducts,
   getNewArrivals,
   getBestSellers,
   getProductsOnSale,
   getProductsByCategory,
   getSimilarProducts,
+  getFrequentlyBoughtTogether,
+  getProductStructuredData,
   getProductFilters,
-  getProductReviews
+  getProductReviews,
+  notifyMe,
+  confirmNotifyMe,
+  cancelNotifyMe
 } = require('../controllers/productController');
+const { isLoggedIn, protect } = require('../middleware/auth');
+const { notifyMeLimiter } = require('../middleware/rateLimiter');
+const { setLocale } = require('../middleware/locale');
+const { setCurrency } = require('../middleware/currency');
 
 const router = express.Router();
 
+router.use(setLocale);
+router.use(setCurrency);
+
 // Public routes
 router.get('/', getAllProducts);
-router.get('/search', searchProducts);
+router.get('/search', isLoggedIn, searchProducts);
+router.get('/search/facets', isLoggedIn, getSearchFacets);
+router.get('/search/suggest', getSearchSuggestions);
+router.get('/for-you', isLoggedIn, getForYouProducts);
+router.get('/recently-viewed', isLoggedIn, getRecentlyViewed);
+router.get('/resolve/:slug', resolveProductSlug);
+router.get('/compare', compareProducts);
 router.get('/featured', getFeaturedProducts);
 router.get('/new-arrivals', getNewArrivals);
 router.get('/best-sellers', getBestSellers);
 router.get('/on-sale', getProductsOnSale);
 router.get('/category/:categorySlug', getProductsByCategory);
 router.get('/filters', getProductFilters);
-router.get('/:id', getProduct);
+router.get('/notify-me/confirm/:token', confirmNotifyMe);
+router.get('/:id', isLoggedIn, getProduct);
 router.get('/:id/similar', getSimilarProducts);
+router.get('/:id/frequently-bought-together', getFrequentlyBoughtTogether);
+router.get('/:id/structured-data', getProductStructuredData);
 router.get('/:id/reviews', getProductReviews);
+router.post('/:id/notify-me', notifyMeLimiter, isLoggedIn, notifyMe);
+router.delete('/:id/notify-me', protect, cancelNotifyMe);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+const express = require('express');
+const {
+  getSitemap
+} = require('../controllers/seoController');
+
+const router = express.Router();
+
+// Public routes
+router.get('/sitemap.xml', getSitemap);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const {
+  getSizeGuides,
+  getSizeGuide,
+  convertSize
+} = require('../controllers/sizeGuideController');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getSizeGuides);
+router.get('/convert', convertSize);
+router.get('/:id', getSizeGuide);
+
+module.exports = router;
@@ -4,6 +4,7 @@ dotenv.config();
 const app = require('./app');
 const connectDB = require('./configs/database');
 const { initializeSocket } = require('./sockets/orderSocket');
+const { startJobs, stopJobs } = require('./jobs');
 
 // Connect to database
 connectDB();
@@ -137,6 +138,9 @@ if (initializeSocket) {
   console.log('🔌 Socket.io initialized successfully');
 }
 
+// Start background jobs
+startJobs();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.log('\n❌ UNHANDLED REJECTION! 💥 Shutting down...');
@@ -156,6 +160,7 @@ process.on('uncaughtException', (err) => {
 // Handle SIGTERM
 process.on('SIGTERM', () => {
   console.log('\n👋 SIGTERM RECEIVED. Shutting down gracefully');
+  stopJobs();
   server.close(() => {
     console.log('💥 Process terminated!');
   });
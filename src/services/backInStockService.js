@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const BackInStockSubscription = require('../models/BackInStockSubscription');
+const ProductVariant = require('../models/ProductVariant');
+const Email = require('./emailService');
+const NotificationService = require('./notificationService');
+const SeoService = require('./seoService');
+
+class BackInStockService {
+  // Subscribe an email to a product or variant, reusing the waiting subscription if there is one.
+  // A guest's subscription stays pending with a new confirmation token, returned for emailing.
+  static async subscribe({ product, variant = null, user = null, email, name }) {
+    const filter = {
+      product: product._id,
+      variant: variant ? variant._id : null,
+      email: email.toLowerCase().trim()
+    };
+
+    const existing = await BackInStockSubscription.findOne({ ...filter, status: 'active' });
+    if (existing) {
+      return { subscription: existing, created: false };
+    }
+
+    if (user) {
+      const subscription = await BackInStockSubscription.create({
+        ...filter,
+        status: 'active',
+        user: user._id,
+        name
+      });
+      return { subscription, created: true };
+    }
+
+    const subscription = await BackInStockSubscription.findOne({ ...filter, status: 'pending' })
+      || new BackInStockSubscription({ ...filter, status: 'pending', name });
+    const created = subscription.isNew;
+    const token = subscription.createConfirmationToken();
+    await subscription.save();
+
+    subscription.confirmationToken = undefined;
+    return { subscription, created, token };
+  }
+
+  // Count the unconfirmed requests of an email whose links are still valid
+  static async countPending(email) {
+    return BackInStockSubscription.countDocuments({
+      email: email.toLowerCase().trim(),
+      status: 'pending',
+      confirmationExpires: { $gt: Date.now() }
+    });
+  }
+
+  // Email a guest the link that confirms their back in stock request
+  static async sendConfirmation(subscription, product, variant, url) {
+    await new Email({ email: subscription.email, firstName: subscription.name || 'there' }, url)
+      .sendBackInStockConfirmation(product, variant);
+  }
+
+  // Confirm a pending subscription from its emailed token. Returns the waiting subscription,
+  // or null when the token is unknown or has expired.
+  static async confirm(token) {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(token)
+      .digest('hex');
+
+    const subscription = await BackInStockSubscription.findOne({
+      confirmationToken: hashedToken,
+      confirmationExpires: { $gt: Date.now() },
+      status: 'pending'
+    });
+    if (!subscription) {
+      return null;
+    }
+
+    // The email may have started waiting another way (e.g. after signing up) in the meantime
+    const existing = await BackInStockSubscription.findOne({
+      product: subscription.product,
+      variant: subscription.variant,
+      email: subscription.email,
+      status: 'active'
+    });
+
+    subscription.status = existing ? 'cancelled' : 'active';
+    if (existing) subscription.cancelledAt = new Date();
+    subscription.confirmationToken = undefined;
+    subscription.confirmationExpires = undefined;
+    await subscription.save();
+
+    return existing || subscription;
+  }
+
+  // Email everyone waiting for a product or variant that has just come back in stock,
+  // then tell the waiting users and the admins over the socket. Returns the number notified.
+  static async notifySubscribers(product, variant = null) {
+    if (product.status !== 'published') {
+      return 0;
+    }
+
+    const subscriptions = await BackInStockSubscription.find({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      status: 'active'
+    });
+
+    const url = variant
+      ? `${SeoService.productUrl(product.slug)}?variant=${encodeURIComponent(variant.sku)}`
+      : SeoService.productUrl(product.slug);
+
+    const userIds = [];
+    let notified = 0;
+
+    for (const subscription of subscriptions) {
+      // Claim the subscription first so overlapping restocks do not email twice
+      const claimed = await BackInStockSubscription.findOneAndUpdate(
+        { _id: subscription._id, status: 'active' },
+        { $set: { status: 'notified', notifiedAt: new Date() } }
+      );
+      if (!claimed) continue;
+
+      try {
+        await new Email({ email: subscription.email, firstName: subscription.name || 'there' }, url)
+          .sendBackInStock(product, variant);
+      } catch (error) {
+        // Keep waiting so the next restock tries again
+        console.error('Back in stock email failed:', error.message);
+        await BackInStockSubscription.updateOne(
+          { _id: subscription._id },
+          { $set: { status: 'active' }, $unset: { notifiedAt: 1 } }
+        );
+        continue;
+      }
+
+      notified += 1;
+      if (subscription.user) userIds.push(subscription.user);
+    }
+
+    if (notified > 0) {
+      await NotificationService.backInStock(product, variant, userIds, notified);
+    }
+
+    return notified;
+  }
+
+  // Notify subscribers when a stock change took a product or variant out of 'out_of_stock'.
+  // Runs in the background; failures are logged and never affect the stock change.
+  static notifyIfRestocked(product, variant, previousStatus) {
+    const current = variant || product;
+    if (previousStatus !== 'out_of_stock' || current.stockStatus === 'out_of_stock') {
+      return;
+    }
+
+    this.notifySubscribers(product, variant).catch(error => {
+      console.error('Back in stock notification failed:', error);
+    });
+  }
+
+  // Notify subscribers of a product that has just been published, for the product
+  // and each of its variants that is in stock. Runs in the background like notifyIfRestocked.
+  static notifyIfPublished(product) {
+    const notifyAll = async () => {
+      const variantIds = await BackInStockSubscription.distinct('variant', {
+        product: product._id,
+        variant: { $ne: null },
+        status: 'active'
+      });
+      const variants = await ProductVariant.find({
+        _id: { $in: variantIds },
+        isActive: true,
+        stockStatus: { $ne: 'out_of_stock' }
+      });
+
+      if (product.stockStatus !== 'out_of_stock') {
+        await this.notifySubscribers(product);
+      }
+      for (const variant of variants) {
+        await this.notifySubscribers(product, variant);
+      }
+    };
+
+    notifyAll().catch(error => {
+      console.error('Back in stock notification failed:', error);
+    });
+  }
+}
+
+module.exports = BackInStockService;
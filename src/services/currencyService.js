@@ -0,0 +1,113 @@
+const Currency = require('../models/Currency');
+const { CURRENCIES } = require('../constants');
+
+const ROUNDERS = {
+  nearest: Math.round,
+  up: Math.ceil,
+  down: Math.floor
+};
+
+const CHARGED_FIELDS = ['subtotal', 'discount', 'shippingCharge', 'tax', 'grandTotal'];
+
+// Fields holding amounts that are not INR (order charges, Razorpay payments in paise)
+const UNCONVERTED_FIELDS = ['charged', 'payment', 'razorpayOrder'];
+
+// Active currencies by code, reused until they expire
+let currencyCache = null;
+
+class CurrencyService {
+  // Get the active currencies by code, loading them when the cached ones have expired
+  static async getCurrencies() {
+    if (currencyCache && currencyCache.expiresAt > Date.now()) {
+      return currencyCache.currencies;
+    }
+
+    const currencies = await Currency.find({ isActive: true })
+      .select('code name symbol rate rounding rateUpdatedAt')
+      .lean();
+
+    currencyCache = {
+      currencies: new Map(currencies.map(currency => [currency.code, currency])),
+      expiresAt: Date.now() + CURRENCIES.RATE_CACHE_TTL * 1000
+    };
+    return currencyCache.currencies;
+  }
+
+  // Forget the cached currencies after an admin changes them
+  static clearCache() {
+    currencyCache = null;
+  }
+
+  // Get an active currency by code, or null when it is unknown or inactive
+  static async getCurrency(code) {
+    const currencies = await this.getCurrencies();
+    return currencies.get(String(code).toUpperCase()) || null;
+  }
+
+  // Convert an INR amount with the currency's rate and rounding rule
+  static convert(amount, currency) {
+    const { increment = 0.01, mode = 'nearest' } = currency.rounding || {};
+    // Trim floating point noise so e.g. 100.0000000001 steps do not round up to 101
+    const steps = Number((amount / currency.rate / increment).toFixed(6));
+    const rounded = ROUNDERS[mode](steps) * increment;
+    return Math.round(rounded * 100) / 100;
+  }
+
+  // Convert the totals of an order into the amounts charged in the currency
+  static convertTotals(totals, currency) {
+    const charged = {};
+    CHARGED_FIELDS.forEach(field => {
+      charged[field] = this.convert(totals[field] || 0, currency);
+    });
+    return charged;
+  }
+
+  // Add displayPrices next to the INR money fields of every object in a value
+  static convertPrices(value, currency) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.convertPrices(item, currency));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    const converted = {};
+    const displayPrices = {};
+    Object.entries(value).forEach(([key, field]) => {
+      if (UNCONVERTED_FIELDS.includes(key)) {
+        converted[key] = field;
+        return;
+      }
+      converted[key] = this.convertPrices(field, currency);
+      if (CURRENCIES.PRICE_FIELDS.includes(key) && typeof field === 'number') {
+        displayPrices[key] = this.convert(field, currency);
+      }
+    });
+
+    if (Object.keys(displayPrices).length > 0) {
+      converted.displayPrices = displayPrices;
+    }
+    return converted;
+  }
+
+  // Convert a JSON response body: prices under data get display prices and the body
+  // says which currency and rate were used
+  static convertResponse(body, currency) {
+    if (!body || typeof body !== 'object' || !body.data) {
+      return body;
+    }
+
+    return {
+      ...body,
+      displayCurrency: {
+        code: currency.code,
+        symbol: currency.symbol,
+        rate: currency.rate,
+        rateUpdatedAt: currency.rateUpdatedAt
+      },
+      data: this.convertPrices(body.data, currency)
+    };
+  }
+}
+
+module.exports = CurrencyService;
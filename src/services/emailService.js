@@ -159,6 +159,32 @@ class Email {
     );
   }
 
+  // Send back in stock email
+  async sendBackInStock(product, variant) {
+    await this.send(
+      'backInStock',
+      `Back in stock: ${product.name}`,
+      {
+        type: 'backInStock',
+        product,
+        variantLabel: variant ? variant.label : ''
+      }
+    );
+  }
+
+  // Send the link a guest confirms a back in stock request with
+  async sendBackInStockConfirmation(product, variant) {
+    await this.send(
+      'backInStockConfirmation',
+      `Confirm your back in stock alert for ${product.name}`,
+      {
+        type: 'backInStockConfirmation',
+        product,
+        variantLabel: variant ? variant.label : ''
+      }
+    );
+  }
+
   // Send low stock alert email (to admin)
   async sendLowStockAlert(product, adminEmails) {
     const params = {
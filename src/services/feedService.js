@@ -0,0 +1,344 @@
+const { PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const s3 = require('../configs/s3');
+const Product = require('../models/Product');
+const ProductFeed = require('../models/ProductFeed');
+const PricingService = require('./pricingService');
+const SeoService = require('./seoService');
+const { PRODUCT_FEEDS, SEO } = require('../constants');
+
+const METALS = ['gold', 'silver', 'platinum'];
+
+const MATERIAL_LABELS = {
+  gold: 'Gold',
+  silver: 'Silver',
+  platinum: 'Platinum',
+  diamond: 'Diamond',
+  pearl: 'Pearl',
+  gemstone: 'Gemstone'
+};
+
+const PURITY_LABELS = {
+  '14k': '14K',
+  '18k': '18K',
+  '22k': '22K',
+  '24k': '24K',
+  925: '925 Sterling',
+  950: '950',
+  999: '999 Fine'
+};
+
+// Our gender values mapped to the feed's gender and age group
+const AUDIENCES = {
+  male: { gender: 'male', ageGroup: 'adult' },
+  female: { gender: 'female', ageGroup: 'adult' },
+  unisex: { gender: 'unisex', ageGroup: 'adult' },
+  kids: { gender: 'unisex', ageGroup: 'kids' }
+};
+
+const META_COLUMNS = [
+  ['id', 'id'],
+  ['item_group_id', 'itemGroupId'],
+  ['title', 'title'],
+  ['description', 'description'],
+  ['availability', 'availability'],
+  ['condition', 'condition'],
+  ['price', 'price'],
+  ['sale_price', 'salePrice'],
+  ['sale_price_effective_date', 'salePriceEffectiveDate'],
+  ['link', 'link'],
+  ['image_link', 'imageLink'],
+  ['additional_image_link', 'additionalImageLinks'],
+  ['brand', 'brand'],
+  ['google_product_category', 'googleProductCategory'],
+  ['product_type', 'productType'],
+  ['material', 'material'],
+  ['gender', 'gender'],
+  ['age_group', 'ageGroup'],
+  ['size', 'size'],
+  ['color', 'color']
+];
+
+const XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+const escapeXml = value => String(value).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+
+const escapeCsv = value => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatPrice = amount => `${Number(amount).toFixed(2)} ${SEO.CURRENCY}`;
+
+const truncate = (text, max) => {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1).trim()}…` : clean;
+};
+
+class FeedService {
+  // Describe a piece's material for the feed, e.g. "Diamond, 18K Gold" or "925 Sterling Silver"
+  static formatMaterial(product, purity = product.purity) {
+    const metal = METALS.includes(product.material) ? product.material : product.metal;
+    const metalLabel = metal
+      ? [PURITY_LABELS[purity], MATERIAL_LABELS[metal]].filter(Boolean).join(' ')
+      : '';
+    const stoneLabel = product.material !== metal ? MATERIAL_LABELS[product.material] : '';
+
+    return [stoneLabel, metalLabel].filter(Boolean).join(', ');
+  }
+
+  // Images of a product, primary first, then in display order
+  static sortImages(images) {
+    return [...images]
+      .sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary) || a.displayOrder - b.displayOrder);
+  }
+
+  // Width and height of the image a feed links to (the large rendition when there is one)
+  static getFeedImageSize(image) {
+    const large = image.renditions && image.renditions.large;
+    if (large && large.width && large.height) {
+      return large;
+    }
+    return image.dimensions && image.dimensions.width && image.dimensions.height ? image.dimensions : null;
+  }
+
+  // Reasons a published product cannot be listed on a channel; empty when it can
+  static getExclusionReasons(product, channel) {
+    const reasons = [];
+
+    if (!product.images || product.images.length === 0) {
+      reasons.push('No image');
+    } else {
+      // Images uploaded before their size was recorded are given the benefit of the doubt
+      const minSize = PRODUCT_FEEDS.MIN_IMAGE_SIZE[channel];
+      const size = this.getFeedImageSize(this.sortImages(product.images)[0]);
+      if (size && Math.min(size.width, size.height) < minSize) {
+        reasons.push(`Image smaller than ${minSize}x${minSize}`);
+      }
+    }
+    if (!product.description) {
+      reasons.push('No description');
+    }
+    if (!(PricingService.getProductPrice(product) > 0)) {
+      reasons.push('No price');
+    }
+    if (product.hasVariants && (!product.variants || product.variants.length === 0)) {
+      reasons.push('No active variants');
+    }
+    if (!product.brand && !PRODUCT_FEEDS.BRAND) {
+      reasons.push('No brand');
+    }
+
+    return reasons;
+  }
+
+  // Build the channel-neutral feed items of a product, one per active variant
+  static buildProductItems(product) {
+    const images = this.sortImages(product.images)
+      .map(image => (image.renditions && image.renditions.large && image.renditions.large.jpeg) || image.url);
+
+    const listProduct = { ...product.toObject(), isOnOffer: false };
+    const listPrice = PricingService.getProductPrice(listProduct);
+    const price = PricingService.getProductPrice(product);
+    const onSale = price < listPrice;
+    const audience = AUDIENCES[product.gender] || AUDIENCES.unisex;
+
+    const base = {
+      itemGroupId: product.hasVariants ? product.sku : '',
+      description: truncate(product.description, PRODUCT_FEEDS.DESCRIPTION_MAX),
+      condition: 'new',
+      link: SeoService.productUrl(product.slug),
+      imageLink: images[0],
+      additionalImageLinks: images.slice(1, PRODUCT_FEEDS.ADDITIONAL_IMAGES_MAX + 1),
+      brand: product.brand || PRODUCT_FEEDS.BRAND,
+      googleProductCategory: PRODUCT_FEEDS.GOOGLE_PRODUCT_CATEGORY,
+      productType: product.category && product.category.name ? product.category.name : '',
+      gender: audience.gender,
+      ageGroup: audience.ageGroup,
+      salePriceEffectiveDate: onSale && product.offerStartDate && product.offerEndDate
+        ? `${product.offerStartDate.toISOString()}/${product.offerEndDate.toISOString()}`
+        : ''
+    };
+
+    const makeItem = (variant) => {
+      const stockStatus = variant ? variant.stockStatus : product.stockStatus;
+      const productSize = product.size && product.size !== 'na' ? product.size : '';
+      const size = variant && variant.options ? variant.options.size || '' : productSize;
+
+      return {
+        ...base,
+        id: variant ? variant.sku : product.sku,
+        title: truncate(size && variant ? `${product.name} - Size ${size}` : product.name, PRODUCT_FEEDS.TITLE_MAX),
+        availability: stockStatus === 'out_of_stock' ? 'out_of_stock' : 'in_stock',
+        price: formatPrice(PricingService.getVariantPrice(listProduct, variant)),
+        salePrice: onSale ? formatPrice(PricingService.getVariantPrice(product, variant)) : '',
+        material: this.formatMaterial(product, variant && variant.options && variant.options.purity),
+        size,
+        color: variant && variant.options ? variant.options.metalColor || '' : ''
+      };
+    };
+
+    return product.variants && product.variants.length > 0
+      ? product.variants.map(makeItem)
+      : [makeItem(null)];
+  }
+
+  // Build the feed items of every channel from the published products,
+  // noting the products each channel leaves out
+  static async buildItems() {
+    const products = await Product.find(Product.publishedFilter())
+      .populate('category', 'name')
+      .populate('images')
+      .populate({
+        path: 'variants',
+        match: { isActive: true },
+        options: { sort: { displayOrder: 1 } }
+      });
+
+    const channels = {};
+    PRODUCT_FEEDS.CHANNELS.forEach(channel => {
+      channels[channel] = { items: [], excluded: [], productCount: 0 };
+    });
+
+    for (const product of products) {
+      let items = null;
+
+      for (const channel of PRODUCT_FEEDS.CHANNELS) {
+        const reasons = this.getExclusionReasons(product, channel);
+        if (reasons.length > 0) {
+          channels[channel].excluded.push({ product: product._id, sku: product.sku, name: product.name, reasons });
+          continue;
+        }
+
+        items = items || this.buildProductItems(product);
+        channels[channel].items.push(...items);
+        channels[channel].productCount++;
+      }
+    }
+
+    return channels;
+  }
+
+  // Render items as a Google Merchant RSS 2.0 feed
+  static toGoogleXml(items) {
+    const tag = (name, value) => (value === '' || value === undefined || value === null
+      ? null
+      : `      <g:${name}>${escapeXml(value)}</g:${name}>`);
+
+    const entries = items.map(item => [
+      '    <item>',
+      tag('id', item.id),
+      tag('item_group_id', item.itemGroupId),
+      tag('title', item.title),
+      tag('description', item.description),
+      tag('link', item.link),
+      tag('image_link', item.imageLink),
+      ...item.additionalImageLinks.map(link => tag('additional_image_link', link)),
+      tag('availability', item.availability),
+      tag('condition', item.condition),
+      tag('price', item.price),
+      tag('sale_price', item.salePrice),
+      tag('sale_price_effective_date', item.salePriceEffectiveDate),
+      tag('brand', item.brand),
+      tag('identifier_exists', 'no'),
+      tag('google_product_category', item.googleProductCategory),
+      tag('product_type', item.productType),
+      tag('material', item.material),
+      tag('gender', item.gender),
+      tag('age_group', item.ageGroup),
+      tag('size', item.size),
+      tag('color', item.color),
+      '    </item>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+      '  <channel>',
+      `    <title>${escapeXml(PRODUCT_FEEDS.BRAND || 'Product feed')}</title>`,
+      `    <link>${escapeXml(SEO.SITE_URL)}</link>`,
+      '    <description>Product feed</description>',
+      ...entries,
+      '  </channel>',
+      '</rss>',
+      ''
+    ].join('\n');
+  }
+
+  // Render items as a Meta catalog CSV (availability uses Meta's "in stock" wording)
+  static toMetaCsv(items) {
+    const rows = items.map(item => META_COLUMNS.map(([, key]) => {
+      let value = item[key];
+      if (key === 'availability') value = value.replace(/_/g, ' ');
+      if (key === 'additionalImageLinks') value = value.join(',');
+      return escapeCsv(value);
+    }).join(','));
+
+    return [META_COLUMNS.map(([column]) => column).join(','), ...rows, ''].join('\n');
+  }
+
+  // Regenerate the feeds of every channel, storing each file in S3
+  static async rebuildAll() {
+    const channels = await this.buildItems();
+    const renderers = {
+      google: { contentType: 'application/xml; charset=utf-8', extension: 'xml', render: items => this.toGoogleXml(items) },
+      meta: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: items => this.toMetaCsv(items) }
+    };
+
+    const feeds = [];
+    for (const channel of PRODUCT_FEEDS.CHANNELS) {
+      const { items, excluded, productCount } = channels[channel];
+      const renderer = renderers[channel];
+      const key = `${PRODUCT_FEEDS.STORAGE_PREFIX}/${channel}.${renderer.extension}`;
+      const content = Buffer.from(renderer.render(items), 'utf8');
+
+      await s3.send(new PutObjectCommand({
+        Bucket: process.env.AWS_S3_BUCKET_NAME,
+        Key: key,
+        Body: content,
+        ContentType: renderer.contentType
+      }));
+
+      const feed = await ProductFeed.findOneAndUpdate(
+        { channel },
+        {
+          $set: {
+            contentType: renderer.contentType,
+            key,
+            size: content.length,
+            itemCount: items.length,
+            productCount,
+            excluded,
+            generatedAt: new Date()
+          },
+          $unset: { content: 1 }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      feeds.push(feed);
+    }
+
+    return feeds;
+  }
+
+  // Get a channel's stored feed, or null until the feed job has generated it
+  static async getFeed(channel) {
+    return ProductFeed.findOne({ channel, key: { $exists: true } });
+  }
+
+  // Open the stored file of a feed as a readable stream
+  static async openFeed(feed) {
+    const object = await s3.send(new GetObjectCommand({
+      Bucket: process.env.AWS_S3_BUCKET_NAME,
+      Key: feed.key
+    }));
+    return object.Body;
+  }
+}
+
+module.exports = FeedService;
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { IMAGE_CONFIG } = require('../constants');
+
+const SIZES = {
+  thumbnail: IMAGE_CONFIG.THUMBNAIL_SIZE,
+  medium: IMAGE_CONFIG.MEDIUM_SIZE,
+  large: IMAGE_CONFIG.LARGE_SIZE
+};
+
+const CONTENT_TYPES = {
+  webp: 'image/webp',
+  jpeg: 'image/jpeg'
+};
+
+const EXTENSIONS = {
+  webp: 'webp',
+  jpeg: 'jpg'
+};
+
+// Formats an original is kept in (the upload filter accepts these)
+const ORIGINAL_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+// Watermark file contents, read on first use (false when none is configured)
+let watermarkSource = null;
+
+class ImageService {
+  // Get the configured watermark image, or null when there is none
+  static getWatermark() {
+    if (watermarkSource === null) {
+      const file = IMAGE_CONFIG.WATERMARK_PATH;
+      watermarkSource = file && fs.existsSync(file) ? fs.readFileSync(file) : false;
+    }
+    return watermarkSource || null;
+  }
+
+  // Scale the watermark for a rendition of the given width
+  static async buildWatermark(width) {
+    const source = this.getWatermark();
+    if (!source) return null;
+
+    return sharp(source)
+      .resize({ width: Math.max(1, Math.round(width * IMAGE_CONFIG.WATERMARK_WIDTH_RATIO)) })
+      .png()
+      .toBuffer();
+  }
+
+  // Re-encode an upload at full size in its own format, with EXIF orientation applied and
+  // all metadata (camera details, GPS position) removed
+  static async stripMetadata(buffer, format) {
+    if (!ORIGINAL_FORMATS.includes(format)) {
+      throw new Error(`Unsupported image format ${format}`);
+    }
+
+    const animated = format === 'gif';
+    let pipeline = sharp(buffer, { animated });
+    if (!animated) {
+      pipeline = pipeline.rotate();
+    }
+
+    const options = ['jpeg', 'webp'].includes(format) ? { quality: IMAGE_CONFIG.ORIGINAL_QUALITY } : {};
+    const data = await pipeline.toFormat(format, options).toBuffer();
+
+    return {
+      data,
+      contentType: `image/${format}`
+    };
+  }
+
+  // Make every size in every format from an uploaded image. Sizes fit inside their box and
+  // are never enlarged. EXIF orientation is applied and all metadata is stripped from the
+  // renditions and from the full-size original that is returned with them.
+  static async createRenditions(buffer, { watermark = false } = {}) {
+    const metadata = await sharp(buffer).metadata();
+    if (!metadata.width || !metadata.height) {
+      throw new Error('Unreadable image');
+    }
+
+    const original = await this.stripMetadata(buffer, metadata.format);
+
+    // Orientations 5-8 are rotated a quarter turn, so width and height swap
+    const turned = metadata.orientation >= 5;
+    const width = turned ? metadata.height : metadata.width;
+    const height = turned ? metadata.width : metadata.height;
+
+    const renditions = [];
+    for (const [name, box] of Object.entries(SIZES)) {
+      const scale = Math.min(1, box.width / width, box.height / height);
+      const size = {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+      };
+
+      const pipeline = sharp(buffer).rotate().resize(size.width, size.height);
+
+      const mark = watermark && size.width >= IMAGE_CONFIG.WATERMARK_MIN_WIDTH
+        ? await this.buildWatermark(size.width)
+        : null;
+      if (mark) {
+        pipeline.composite([{ input: mark, gravity: 'southeast' }]);
+      }
+
+      for (const format of IMAGE_CONFIG.RENDITION_FORMATS) {
+        let output = pipeline.clone();
+        // JPEG has no transparency; fill it with white rather than black
+        if (format === 'jpeg') {
+          output = output.flatten({ background: '#ffffff' });
+        }
+
+        const data = await output
+          .toFormat(format, { quality: IMAGE_CONFIG.QUALITY[format] })
+          .toBuffer();
+
+        renditions.push({
+          name,
+          format,
+          ...size,
+          data,
+          contentType: CONTENT_TYPES[format],
+          extension: EXTENSIONS[format]
+        });
+      }
+    }
+
+    return { width, height, original, renditions };
+  }
+
+  // Make a single WebP still (a spin frame or video poster) fitted inside the large size
+  static async createFrame(buffer) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize(IMAGE_CONFIG.LARGE_SIZE.width, IMAGE_CONFIG.LARGE_SIZE.height, {
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .webp({ quality: IMAGE_CONFIG.QUALITY.webp })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      data,
+      width: info.width,
+      height: info.height,
+      contentType: CONTENT_TYPES.webp,
+      extension: EXTENSIONS.webp
+    };
+  }
+}
+
+module.exports = ImageService;
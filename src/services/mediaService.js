@@ -0,0 +1,64 @@
+// Boxes whose children are searched on the way to the movie header
+const CONTAINER_BOXES = ['moov'];
+
+class MediaService {
+  // Read the duration in seconds of an MP4/MOV video from its movie header (mvhd).
+  // Returns null when the file is not an ISO media file or has no header.
+  static getVideoDuration(buffer) {
+    return this.findMovieDuration(buffer, 0, buffer.length);
+  }
+
+  // Walk the boxes between start and end looking for mvhd
+  static findMovieDuration(buffer, start, end) {
+    let offset = start;
+
+    while (offset + 8 <= end) {
+      let size = buffer.readUInt32BE(offset);
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      let headerSize = 8;
+
+      if (size === 1) {
+        // 64-bit size follows the type
+        if (offset + 16 > end) return null;
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = 16;
+      } else if (size === 0) {
+        // Box runs to the end of the file
+        size = end - offset;
+      }
+
+      if (size < headerSize || offset + size > end) return null;
+
+      const body = offset + headerSize;
+      if (type === 'mvhd') {
+        return this.readMovieHeader(buffer, body, offset + size);
+      }
+      if (CONTAINER_BOXES.includes(type)) {
+        return this.findMovieDuration(buffer, body, offset + size);
+      }
+
+      offset += size;
+    }
+
+    return null;
+  }
+
+  // Parse duration / timescale from an mvhd body (version 0 uses 32-bit times, version 1 64-bit)
+  static readMovieHeader(buffer, start, end) {
+    const version = buffer.readUInt8(start);
+    const needed = version === 1 ? 32 : 20;
+    if (start + needed > end) return null;
+
+    const timescale = version === 1
+      ? buffer.readUInt32BE(start + 20)
+      : buffer.readUInt32BE(start + 12);
+    const duration = version === 1
+      ? Number(buffer.readBigUInt64BE(start + 24))
+      : buffer.readUInt32BE(start + 16);
+
+    if (!timescale) return null;
+    return duration / timescale;
+  }
+}
+
+module.exports = MediaService;
@@ -0,0 +1,158 @@
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const ProductGemstone = require('../models/ProductGemstone');
+const MetalRate = require('../models/MetalRate');
+const PricingService = require('./pricingService');
+const { METAL_PURITIES } = require('../constants');
+
+class MetalRateService {
+  // Metal a product is priced by: its material, or the metal a stone piece is set in
+  static getPricingMetal(product) {
+    if (METAL_PURITIES[product.material]) {
+      return product.material;
+    }
+    return product.metal || null;
+  }
+
+  // Derive the price of a metal-rate product and set it on the (unsaved) document.
+  // Pass gemstones when they are about to be replaced, otherwise the stored ones are used.
+  static async applyMetalRatePrice(product, gemstones = null, rate = null) {
+    const metal = this.getPricingMetal(product);
+
+    if (!metal || !product.purity || product.purity === 'na' || !product.weight) {
+      throw new Error('Metal, purity and weight are required for metal-rate pricing');
+    }
+
+    const currentRate = rate || await MetalRate.getCurrentRate(metal, product.purity);
+    if (!currentRate) {
+      throw new Error(`No rate has been set for ${metal} ${product.purity}`);
+    }
+
+    const stones = gemstones || await ProductGemstone.find({ product: product._id });
+
+    const breakdown = PricingService.calculateMetalRatePrice({
+      weight: product.weight,
+      ratePerGram: currentRate.ratePerGram,
+      makingCharges: product.makingCharges,
+      wastagePercentage: product.wastagePercentage,
+      gemstones: stones
+    });
+
+    product.metalPricing = {
+      metal,
+      purity: product.purity,
+      ratePerGram: currentRate.ratePerGram,
+      ...breakdown,
+      calculatedAt: new Date()
+    };
+    product.basePrice = breakdown.total;
+    product.sellingPrice = breakdown.total;
+
+    return product;
+  }
+
+  // Derive the price of a metal-rate variant from its own weight and purity (the product's when
+  // unset) and set it on the (unsaved) variant. Making charges, wastage and stones are the product's.
+  static async applyVariantMetalRatePrice(product, variant, gemstones = null) {
+    const metal = this.getPricingMetal(product);
+    const purity = variant.options && variant.options.purity && variant.options.purity !== 'na'
+      ? variant.options.purity
+      : product.purity;
+    const weight = variant.weight || product.weight;
+
+    if (!metal || !purity || purity === 'na' || !weight) {
+      throw new Error(`Metal, purity and weight are required to price variant ${variant.sku}`);
+    }
+
+    const currentRate = await MetalRate.getCurrentRate(metal, purity);
+    if (!currentRate) {
+      throw new Error(`No rate has been set for ${metal} ${purity} (variant ${variant.sku})`);
+    }
+
+    const stones = gemstones || await ProductGemstone.find({ product: product._id });
+
+    const breakdown = PricingService.calculateMetalRatePrice({
+      weight,
+      ratePerGram: currentRate.ratePerGram,
+      makingCharges: product.makingCharges,
+      wastagePercentage: product.wastagePercentage,
+      gemstones: stones
+    });
+
+    variant.metalPricing = {
+      metal,
+      purity,
+      weight,
+      ratePerGram: currentRate.ratePerGram,
+      ...breakdown,
+      calculatedAt: new Date()
+    };
+
+    return variant;
+  }
+
+  // Price the active variants of a metal-rate product without saving them
+  static async priceVariants(product, gemstones = null) {
+    if (product.pricingMode !== 'metal_rate') {
+      return [];
+    }
+
+    const variants = await ProductVariant.find({ product: product._id, isActive: true });
+    const stones = gemstones || await ProductGemstone.find({ product: product._id });
+
+    for (const variant of variants) {
+      await this.applyVariantMetalRatePrice(product, variant, stones);
+    }
+
+    return variants;
+  }
+
+  // Price and save the active variants of a metal-rate product
+  static async repriceVariants(product, gemstones = null) {
+    const variants = await this.priceVariants(product, gemstones);
+    await Promise.all(variants.map(variant => variant.save()));
+    return variants;
+  }
+
+  // Recalculate and save the price of every metal-rate product using this metal and purity
+  static async repriceProducts(metal, purity) {
+    const query = { pricingMode: 'metal_rate' };
+
+    if (metal) {
+      query.$or = [
+        { material: metal },
+        { material: { $nin: Object.keys(METAL_PURITIES) }, metal }
+      ];
+    }
+    if (purity) {
+      // Products of another purity still reprice when one of their variants is in this purity
+      const variantProducts = await ProductVariant.distinct('product', { 'options.purity': purity, isActive: true });
+      query.$and = [{ $or: [{ purity }, { _id: { $in: variantProducts } }] }];
+    }
+
+    const products = await Product.find(query);
+    const results = {
+      updated: 0,
+      failed: []
+    };
+
+    for (const product of products) {
+      try {
+        await this.applyMetalRatePrice(product);
+        await product.save();
+        await this.repriceVariants(product);
+        results.updated++;
+      } catch (error) {
+        results.failed.push({
+          productId: product._id,
+          sku: product.sku,
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = MetalRateService;
@@ -1,4 +1,4 @@
-const { emitOrderNotification } = require('../sockets/orderSocket');
+const { emitOrderNotification, emitUserNotification } = require('../sockets/orderSocket');
 const User = require('../models/User');
 
 class NotificationService {
@@ -117,6 +117,27 @@ class NotificationService {
     });
   }
 
+  // Back in stock notification: each waiting user, and admins with the number notified
+  static async backInStock(product, variant, userIds, notifiedCount) {
+    const data = {
+      productId: product._id,
+      productName: product.name,
+      slug: product.slug,
+      variantId: variant ? variant._id : null,
+      sku: variant ? variant.sku : product.sku,
+      message: `${product.name} is back in stock`
+    };
+
+    userIds.forEach(userId => {
+      emitUserNotification(userId, 'back_in_stock', data);
+    });
+
+    await this.notifyAdmin('back_in_stock', {
+      ...data,
+      notifiedCount
+    });
+  }
+
   // New review notification
   static async newReview(review, product) {
     const user = await User.findById(review.user);
@@ -1,4 +1,4 @@
-const { TAX_RATES, SHIPPING } = require('../constants');
+const { TAX_RATES, COMPONENT_TAX_RATES, SHIPPING } = require('../constants');
 
 /**
  * Pricing Service
@@ -15,6 +15,24 @@ class PricingService {
         return amount * rate;
     }
 
+    /**
+     * Round an amount to paise
+     * @param {Number} amount - Amount
+     * @returns {Number} Rounded amount
+     */
+    static roundAmount(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    /**
+     * Get the tax rate of a price component
+     * @param {String} component - metal, making, wastage, stone or other
+     * @returns {Number} Tax rate
+     */
+    static getComponentTaxRate(component) {
+        return COMPONENT_TAX_RATES[component] ?? TAX_RATES.GST;
+    }
+
     /**
      * Calculate shipping charge based on pincode and order value
      * @param {String} pincode - Delivery pincode
@@ -62,15 +80,18 @@ class PricingService {
 
     /**
      * Calculate order totals
+     * Items carrying a price breakdown are taxed per component, otherwise GST applies to the whole amount
      * @param {Number} subtotal - Cart subtotal
      * @param {Number} discount - Discount amount
      * @param {String} pincode - Delivery pincode
+     * @param {Array} items - Items with priceBreakdown and quantity (optional)
      * @returns {Object} Order totals breakdown
      */
-    static calculateOrderTotals(subtotal, discount, pincode) {
+    static calculateOrderTotals(subtotal, discount, pincode, items = null) {
         const shippingCharge = this.calculateShipping(pincode, subtotal);
         const taxableAmount = subtotal - discount;
-        const tax = this.calculateTax(taxableAmount);
+        const taxBreakdown = items ? this.calculateTaxBreakdown(items, subtotal, discount) : null;
+        const tax = taxBreakdown ? taxBreakdown.tax : this.calculateTax(taxableAmount);
         const grandTotal = subtotal - discount + shippingCharge + tax;
 
         return {
@@ -78,13 +99,125 @@ class PricingService {
             discount,
             shippingCharge,
             tax,
+            taxBreakdown: taxBreakdown ? taxBreakdown.components : [],
             taxableAmount,
             grandTotal,
         };
     }
 
+    /**
+     * Build the per-unit price breakdown of a product or variant
+     * Metal-rate products are split into metal, making, wastage and stone lines,
+     * fixed-price products and variant deltas go on the "other" line.
+     * Bundles use the summed lines of their components.
+     * Lines are scaled so they add up to the price actually charged (after offers).
+     * @param {Object} product - Product object
+     * @param {Object} variant - ProductVariant object (optional)
+     * @returns {Object} { components, subtotal, tax, total }
+     */
+    static calculatePriceBreakdown(product, variant = null) {
+        const price = this.getVariantPrice(product, variant);
+        let pricing = product.pricingMode === 'metal_rate' && product.metalPricing && product.metalPricing.total
+            ? product.metalPricing
+            : null;
+        if (pricing && this.hasVariantMetalPricing(product, variant)) {
+            pricing = variant.metalPricing;
+        }
+        // Bundles carry the summed component amounts, scaled below to the bundle price
+        const bundleAmounts = product.productType === 'bundle' && product.bundlePricing
+            ? product.bundlePricing.components
+            : null;
+
+        let amounts = { other: price };
+        if (pricing) {
+            amounts = {
+                metal: pricing.metalValue || 0,
+                making: pricing.makingCharges || 0,
+                wastage: pricing.wastage || 0,
+                stone: pricing.gemstoneValue || 0,
+                other: variant ? variant.priceDelta || 0 : 0,
+            };
+        } else if (bundleAmounts && Object.values(bundleAmounts).some(amount => amount > 0)) {
+            amounts = {
+                metal: bundleAmounts.metal || 0,
+                making: bundleAmounts.making || 0,
+                wastage: bundleAmounts.wastage || 0,
+                stone: bundleAmounts.stone || 0,
+                other: bundleAmounts.other || 0,
+            };
+        }
+
+        const gross = Object.values(amounts).reduce((sum, amount) => sum + amount, 0);
+        const scale = gross > 0 ? price / gross : 0;
+
+        const components = Object.entries(amounts)
+            .filter(([, amount]) => amount !== 0)
+            .map(([component, amount]) => {
+                const taxRate = this.getComponentTaxRate(component);
+                const scaledAmount = this.roundAmount(amount * scale);
+                return {
+                    component,
+                    amount: scaledAmount,
+                    taxRate,
+                    tax: this.roundAmount(scaledAmount * taxRate),
+                };
+            });
+
+        const tax = this.roundAmount(components.reduce((sum, line) => sum + line.tax, 0));
+
+        return {
+            components,
+            subtotal: price,
+            tax,
+            total: this.roundAmount(price + tax),
+        };
+    }
+
+    /**
+     * Total the component taxes of a set of items
+     * An order-level discount reduces every component proportionally
+     * @param {Array} items - Items with priceBreakdown and quantity
+     * @param {Number} subtotal - Items subtotal
+     * @param {Number} discount - Order-level discount
+     * @returns {Object} { components: [{ component, taxRate, taxableAmount, tax }], tax }
+     */
+    static calculateTaxBreakdown(items, subtotal, discount = 0) {
+        const ratio = subtotal > 0 ? Math.max(0, subtotal - discount) / subtotal : 0;
+        const summary = {};
+
+        items.forEach(item => {
+            if (!item.priceBreakdown) {
+                return;
+            }
+            item.priceBreakdown.components.forEach(line => {
+                if (!summary[line.component]) {
+                    summary[line.component] = {
+                        component: line.component,
+                        taxRate: line.taxRate,
+                        taxableAmount: 0,
+                        tax: 0,
+                    };
+                }
+                summary[line.component].taxableAmount += line.amount * item.quantity * ratio;
+                summary[line.component].tax += line.tax * item.quantity * ratio;
+            });
+        });
+
+        const components = Object.values(summary).map(entry => ({
+            ...entry,
+            taxableAmount: this.roundAmount(entry.taxableAmount),
+            tax: this.roundAmount(entry.tax),
+        }));
+
+        return {
+            components,
+            tax: this.roundAmount(components.reduce((sum, entry) => sum + entry.tax, 0)),
+        };
+    }
+
     /**
      * Calculate product price (with offer if applicable)
+     * Metal-rate products use the price derived from the current metal rate
      * @param {Object} product - Product object
      * @returns {Number} Final price
      */
@@ -92,9 +225,108 @@ class PricingService {
         if (product.isOnOffer && product.offerPrice) {
             return product.offerPrice;
         }
+        if (product.pricingMode === 'metal_rate' && product.metalPricing && product.metalPricing.total) {
+            return product.metalPricing.total;
+        }
         return product.sellingPrice || product.basePrice;
     }
 
+    /**
+     * Calculate making charges for a piece
+     * @param {Number} metalValue - Value of the metal content
+     * @param {Number} weight - Metal weight in grams
+     * @param {Object} makingCharges - { type: 'per_gram' | 'percentage' | 'flat', value }
+     * @returns {Number} Making charges
+     */
+    static calculateMakingCharges(metalValue, weight, makingCharges) {
+        if (!makingCharges || !makingCharges.value) {
+            return 0;
+        }
+
+        if (makingCharges.type === 'percentage') {
+            return (metalValue * makingCharges.value) / 100;
+        }
+
+        if (makingCharges.type === 'flat') {
+            return makingCharges.value;
+        }
+
+        return weight * makingCharges.value;
+    }
+
+    /**
+     * Calculate the value of a product's gemstones
+     * @param {Array} gemstones - ProductGemstone objects
+     * @returns {Number} Gemstone value
+     */
+    static calculateGemstoneValue(gemstones = []) {
+        return gemstones.reduce((total, gemstone) => {
+            return total + (gemstone.carat || 0) * (gemstone.quantity || 1) * (gemstone.pricePerCarat || 0);
+        }, 0);
+    }
+
+    /**
+     * Derive a product price from the metal rate
+     * @param {Object} params - Pricing inputs
+     * @param {Number} params.weight - Metal weight in grams
+     * @param {Number} params.ratePerGram - Current rate for the metal and purity
+     * @param {Object} params.makingCharges - Product making charges
+     * @param {Number} params.wastagePercentage - Wastage as a percentage of the metal value
+     * @param {Array} params.gemstones - ProductGemstone objects
+     * @returns {Object} Price breakdown
+     */
+    static calculateMetalRatePrice({ weight, ratePerGram, makingCharges, wastagePercentage = 0, gemstones }) {
+        const metalValue = weight * ratePerGram;
+        const making = this.calculateMakingCharges(metalValue, weight, makingCharges);
+        const wastage = (metalValue * (wastagePercentage || 0)) / 100;
+        const gemstoneValue = this.calculateGemstoneValue(gemstones);
+
+        return {
+            metalValue: this.roundAmount(metalValue),
+            makingCharges: this.roundAmount(making),
+            wastage: this.roundAmount(wastage),
+            gemstoneValue: this.roundAmount(gemstoneValue),
+            total: Math.round(metalValue + making + wastage + gemstoneValue),
+        };
+    }
+
+    /**
+     * Check whether a variant of a metal-rate product carries its own derived metal price
+     * @param {Object} product - Product object
+     * @param {Object} variant - ProductVariant object (optional)
+     * @returns {Boolean}
+     */
+    static hasVariantMetalPricing(product, variant) {
+        return !!(
+            variant &&
+            variant.metalPricing &&
+            variant.metalPricing.total &&
+            product.pricingMode === 'metal_rate' &&
+            product.metalPricing &&
+            product.metalPricing.total
+        );
+    }
+
+    /**
+     * Calculate price of a product variant
+     * Metal-rate variants are priced from their own weight and purity, with the product's offer
+     * applied as the same share off; other variants are the product price plus the variant delta
+     * @param {Object} product - Product object
+     * @param {Object} variant - ProductVariant object (optional)
+     * @returns {Number} Final price
+     */
+    static getVariantPrice(product, variant) {
+        const price = this.getProductPrice(product);
+        if (!variant) {
+            return price;
+        }
+        if (this.hasVariantMetalPricing(product, variant)) {
+            const offerRatio = price / product.metalPricing.total;
+            return Math.max(0, Math.round(variant.metalPricing.total * offerRatio) + (variant.priceDelta || 0));
+        }
+        return Math.max(0, price + (variant.priceDelta || 0));
+    }
+
     /**
      * Calculate savings
      * @param {Number} originalPrice - Original price
@@ -0,0 +1,143 @@
+const Product = require('../models/Product');
+const ProductGemstone = require('../models/ProductGemstone');
+const PricingService = require('./pricingService');
+
+const BREAKDOWN_COMPONENTS = ['metal', 'making', 'wastage', 'stone', 'other'];
+
+// Rows of the comparison matrix: key, label, group and how to read the value from a product
+const ATTRIBUTES = [
+  { key: 'brand', label: 'Brand', group: 'general', value: product => product.brand },
+  { key: 'category', label: 'Category', group: 'general', value: product => product.category && product.category.name },
+  { key: 'gender', label: 'Gender', group: 'general', value: product => product.gender },
+  { key: 'material', label: 'Material', group: 'metal', value: product => product.material },
+  { key: 'metal', label: 'Metal', group: 'metal', value: product => product.metal },
+  { key: 'purity', label: 'Purity', group: 'metal', value: product => product.purity },
+  { key: 'weight', label: 'Weight (g)', group: 'metal', value: product => product.weight },
+  { key: 'size', label: 'Size', group: 'metal', value: product => product.size },
+  {
+    key: 'dimensions',
+    label: 'Dimensions (L x W x H)',
+    group: 'metal',
+    value: product => {
+      const { length, width, height } = product.dimensions || {};
+      return length || width || height ? { length, width, height } : null;
+    }
+  },
+  {
+    key: 'stoneCount',
+    label: 'Number of stones',
+    group: 'gemstones',
+    value: (product, gemstones) => gemstones.reduce((sum, stone) => sum + stone.quantity, 0)
+  },
+  {
+    key: 'totalCarat',
+    label: 'Total carat weight',
+    group: 'gemstones',
+    value: (product, gemstones) => PricingService.roundAmount(
+      gemstones.reduce((sum, stone) => sum + stone.carat * stone.quantity, 0)
+    )
+  },
+  {
+    key: 'stoneTypes',
+    label: 'Stone types',
+    group: 'gemstones',
+    value: (product, gemstones) => [...new Set(gemstones.map(stone => stone.type))].sort()
+  },
+  {
+    key: 'gemstones',
+    label: 'Gemstones',
+    group: 'gemstones',
+    value: (product, gemstones) => gemstones.map(stone => ({
+      name: stone.name,
+      type: stone.type,
+      color: stone.color,
+      clarity: stone.clarity,
+      cut: stone.cut,
+      shape: stone.shape,
+      carat: stone.carat,
+      quantity: stone.quantity,
+      certificationAuthority: stone.certificationAuthority,
+      certificationNumber: stone.certificationNumber
+    }))
+  },
+  { key: 'sellingPrice', label: 'Price', group: 'price', value: product => product.sellingPrice },
+  { key: 'finalPrice', label: 'Offer price', group: 'price', value: product => PricingService.getProductPrice(product) },
+  ...BREAKDOWN_COMPONENTS.map(component => ({
+    key: `breakdown.${component}`,
+    label: `${component.charAt(0).toUpperCase()}${component.slice(1)} value`,
+    group: 'price',
+    value: (product, gemstones, breakdown) => {
+      const line = breakdown.components.find(entry => entry.component === component);
+      return line ? line.amount : 0;
+    }
+  })),
+  { key: 'tax', label: 'Tax', group: 'price', value: (product, gemstones, breakdown) => breakdown.tax },
+  { key: 'totalPrice', label: 'Price incl. tax', group: 'price', value: (product, gemstones, breakdown) => breakdown.total },
+  { key: 'ratingAverage', label: 'Rating', group: 'reviews', value: product => product.ratingAverage },
+  { key: 'ratingCount', label: 'Reviews', group: 'reviews', value: product => product.ratingCount },
+  { key: 'stockStatus', label: 'Availability', group: 'stock', value: product => product.stockStatus }
+];
+
+const normalize = value => (value === undefined || value === '' ? null : value);
+
+class ProductCompareService {
+  // Published products in the requested order, with their gemstones
+  static async loadProducts(ids) {
+    const [products, gemstones] = await Promise.all([
+      Product.find({ _id: { $in: ids }, ...Product.publishedFilter() })
+        .populate('category', 'name slug translations')
+        .populate({ path: 'images', match: { isPrimary: true } }),
+      ProductGemstone.find({ product: { $in: ids } }).sort('_id').lean()
+    ]);
+
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+    return ids
+      .filter(id => byId.has(id.toString()))
+      .map(id => ({
+        product: byId.get(id.toString()),
+        gemstones: gemstones.filter(stone => stone.product.toString() === id.toString())
+      }));
+  }
+
+  // Attribute matrix for the given products; each row flags whether the products differ
+  static async compare(ids) {
+    const entries = await this.loadProducts(ids);
+
+    const columns = entries.map(({ product, gemstones }) => ({
+      product,
+      gemstones,
+      breakdown: PricingService.calculatePriceBreakdown(product)
+    }));
+
+    const attributes = ATTRIBUTES.map(attribute => {
+      const values = columns.map(({ product, gemstones, breakdown }) =>
+        normalize(attribute.value(product, gemstones, breakdown))
+      );
+      const distinct = new Set(values.map(value => JSON.stringify(value)));
+
+      return {
+        key: attribute.key,
+        label: attribute.label,
+        group: attribute.group,
+        values,
+        differs: distinct.size > 1
+      };
+    });
+
+    return {
+      products: columns.map(({ product, breakdown }) => ({
+        _id: product._id,
+        name: product.name,
+        slug: product.slug,
+        sku: product.sku,
+        image: product.images && product.images[0] ? product.images[0].url : null,
+        priceBreakdown: breakdown
+      })),
+      attributes,
+      differences: attributes.filter(attribute => attribute.differs).map(attribute => attribute.key)
+    };
+  }
+}
+
+module.exports = ProductCompareService;
@@ -0,0 +1,185 @@
+const Product = require('../models/Product');
+const ProductGemstone = require('../models/ProductGemstone');
+const ProductImage = require('../models/ProductImage');
+const ProductRevision = require('../models/ProductRevision');
+const MetalRateService = require('./metalRateService');
+
+// Fields left out of revisions: identifiers, audit fields, counters and values derived on save.
+// Stock is versioned separately through StockHistory; translations have their own endpoints.
+const EXCLUDED_FIELDS = [
+  '_id', 'id', '__v', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy',
+  'stockQuantity', 'stockStatus', 'hasVariants', 'offerPrice', 'metalPricing', 'searchGrams',
+  'bundlePricing.componentTotal', 'bundlePricing.components', 'bundlePricing.calculatedAt',
+  'translations', 'viewCount', 'purchaseCount', 'ratingAverage', 'ratingCount'
+];
+const CHILD_EXCLUDED_FIELDS = ['_id', 'id', '__v', 'product', 'createdAt', 'updatedAt', 'addedBy', 'uploadedBy'];
+
+// Copy of obj without the given fields (dot paths reach into nested objects)
+const omit = (obj, fields) => {
+  const result = { ...obj };
+  fields.forEach(field => {
+    const [key, ...rest] = field.split('.');
+    if (rest.length === 0) {
+      delete result[key];
+    } else if (result[key] && typeof result[key] === 'object') {
+      result[key] = omit(result[key], [rest.join('.')]);
+    }
+  });
+  return result;
+};
+
+// JSON round-trip so ObjectIds and dates compare and store as plain values
+const toPlain = value => JSON.parse(JSON.stringify(value));
+
+class ProductRevisionService {
+  // Current state of a product with its gemstones and images
+  static async buildSnapshot(productId) {
+    const [product, gemstones, images] = await Promise.all([
+      Product.findById(productId).lean(),
+      ProductGemstone.find({ product: productId }).sort('_id').lean(),
+      ProductImage.find({ product: productId }).sort('displayOrder _id').lean()
+    ]);
+
+    if (!product) return null;
+
+    return toPlain({
+      ...omit(product, EXCLUDED_FIELDS),
+      gemstones: gemstones.map(gemstone => omit(gemstone, CHILD_EXCLUDED_FIELDS)),
+      images: images.map(image => omit(image, CHILD_EXCLUDED_FIELDS))
+    });
+  }
+
+  // Flatten nested objects to dot paths; arrays are compared as a whole
+  static flatten(obj, prefix = '', result = {}) {
+    Object.entries(obj || {}).forEach(([key, value]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        this.flatten(value, path, result);
+      } else {
+        result[path] = value;
+      }
+    });
+    return result;
+  }
+
+  // Field-level differences between two snapshots
+  static diff(fromSnapshot, toSnapshot) {
+    // Revisions recorded before a field was excluded still hold it
+    const from = this.flatten(omit(fromSnapshot, EXCLUDED_FIELDS));
+    const to = this.flatten(omit(toSnapshot, EXCLUDED_FIELDS));
+    const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+
+    return [...fields]
+      .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+      .sort()
+      .map(field => ({
+        field,
+        from: from[field] === undefined ? null : from[field],
+        to: to[field] === undefined ? null : to[field]
+      }));
+  }
+
+  // Products edited before revisions existed get their current state recorded first,
+  // so the first change can still be rolled back
+  static async ensureBaseline(productId, userId) {
+    const exists = await ProductRevision.exists({ product: productId });
+    if (exists) return null;
+
+    const snapshot = await this.buildSnapshot(productId);
+    if (!snapshot) return null;
+
+    return ProductRevision.create({
+      product: productId,
+      revisionNumber: 1,
+      action: 'baseline',
+      snapshot,
+      changedFields: [],
+      createdBy: userId
+    });
+  }
+
+  // Record the current state of a product as a new revision (skipped when nothing changed)
+  static async record(productId, { action, userId, restoredFrom }) {
+    const snapshot = await this.buildSnapshot(productId);
+    if (!snapshot) return null;
+
+    const latest = await ProductRevision.findOne({ product: productId }).sort('-revisionNumber');
+    const changedFields = latest
+      ? this.diff(latest.snapshot, snapshot).map(change => change.field)
+      : [];
+
+    if (latest && changedFields.length === 0 && action !== 'rollback') {
+      return null;
+    }
+
+    return ProductRevision.create({
+      product: productId,
+      revisionNumber: latest ? latest.revisionNumber + 1 : 1,
+      action,
+      snapshot,
+      changedFields,
+      restoredFrom,
+      createdBy: userId
+    });
+  }
+
+  // Restore a product, its gemstones and images to a revision
+  static async rollback(productId, revisionNumber, userId) {
+    const revision = await ProductRevision.findOne({ product: productId, revisionNumber });
+    if (!revision) {
+      throw new Error('Revision not found');
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    await this.ensureBaseline(productId, userId);
+
+    const { gemstones = [], images = [], ...fields } = omit(revision.snapshot, EXCLUDED_FIELDS);
+
+    // Clear fields that were set after the revision was taken
+    const current = omit(product.toObject({ virtuals: false }), EXCLUDED_FIELDS);
+    Object.keys(current).forEach(field => {
+      if (!(field in fields)) {
+        product.set(field, undefined);
+      }
+    });
+
+    product.set(fields);
+    product.updatedBy = userId;
+
+    if (product.pricingMode === 'metal_rate') {
+      await MetalRateService.applyMetalRatePrice(product, gemstones);
+    }
+
+    await product.save();
+
+    await ProductGemstone.deleteMany({ product: productId });
+    if (gemstones.length > 0) {
+      await ProductGemstone.create(gemstones.map(gemstone => ({
+        ...gemstone,
+        product: productId,
+        addedBy: userId
+      })));
+    }
+
+    if (product.pricingMode === 'metal_rate') {
+      await MetalRateService.repriceVariants(product, gemstones);
+    }
+
+    await ProductImage.deleteMany({ product: productId });
+    if (images.length > 0) {
+      await ProductImage.create(images.map(image => ({
+        ...image,
+        product: productId,
+        uploadedBy: userId
+      })));
+    }
+
+    return this.record(productId, { action: 'rollback', userId, restoredFrom: revisionNumber });
+  }
+}
+
+module.exports = ProductRevisionService;
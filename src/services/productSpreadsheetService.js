@@ -0,0 +1,434 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const SubCategory = require('../models/SubCategory');
+const ProductImage = require('../models/ProductImage');
+const ProductGemstone = require('../models/ProductGemstone');
+const StockService = require('./stockService');
+const MetalRateService = require('./metalRateService');
+
+// Spreadsheet layout shared by import and export so a file can round-trip.
+// Image URLs are separated by "|" (the first one is the primary image).
+// Gemstones are separated by "|", each as name;type;color;clarity;carat;quantity;pricePerCarat
+// Status wins over Active when a row sets both; dates are ISO 8601 (e.g. 2025-01-31T09:00:00Z).
+const COLUMNS = [
+  { header: 'SKU', key: 'sku', width: 18 },
+  { header: 'Name', key: 'name', width: 40 },
+  { header: 'Description', key: 'description', width: 60 },
+  { header: 'Short Description', key: 'shortDescription', width: 40 },
+  { header: 'Category Slug', key: 'category', width: 22 },
+  { header: 'Subcategory Slug', key: 'subCategory', width: 22 },
+  { header: 'Brand', key: 'brand', width: 16 },
+  { header: 'Gender', key: 'gender', width: 10 },
+  { header: 'Material', key: 'material', width: 12 },
+  { header: 'Metal', key: 'metal', width: 12 },
+  { header: 'Purity', key: 'purity', width: 10 },
+  { header: 'Weight (g)', key: 'weight', width: 12, type: 'number' },
+  { header: 'Size', key: 'size', width: 8 },
+  { header: 'Pricing Mode', key: 'pricingMode', width: 14 },
+  { header: 'Base Price', key: 'basePrice', width: 12, type: 'number' },
+  { header: 'Selling Price', key: 'sellingPrice', width: 12, type: 'number' },
+  { header: 'Discount Type', key: 'discountType', width: 14 },
+  { header: 'Discount Value', key: 'discountValue', width: 14, type: 'number' },
+  { header: 'Making Charges Type', key: 'makingChargesType', width: 20 },
+  { header: 'Making Charges Value', key: 'makingChargesValue', width: 20, type: 'number' },
+  { header: 'Wastage %', key: 'wastagePercentage', width: 12, type: 'number' },
+  { header: 'Stock Quantity', key: 'stockQuantity', width: 14, type: 'number' },
+  { header: 'Low Stock Threshold', key: 'lowStockThreshold', width: 18, type: 'number' },
+  { header: 'Status', key: 'status', width: 12, values: Product.schema.path('status').enumValues },
+  { header: 'Publish At', key: 'publishAt', width: 22, type: 'date' },
+  { header: 'Unpublish At', key: 'unpublishAt', width: 22, type: 'date' },
+  { header: 'Active', key: 'isActive', width: 8, type: 'boolean' },
+  { header: 'Featured', key: 'isFeatured', width: 10, type: 'boolean' },
+  { header: 'New Arrival', key: 'isNewArrival', width: 12, type: 'boolean' },
+  { header: 'Best Seller', key: 'isBestSeller', width: 12, type: 'boolean' },
+  { header: 'Tags', key: 'tags', width: 30, type: 'list' },
+  { header: 'Meta Title', key: 'metaTitle', width: 30 },
+  { header: 'Meta Description', key: 'metaDescription', width: 40 },
+  { header: 'Image URLs', key: 'images', width: 60 },
+  { header: 'Gemstones', key: 'gemstones', width: 60 }
+];
+
+// Columns that are not plain Product fields
+const SPECIAL_KEYS = ['category', 'subCategory', 'makingChargesType', 'makingChargesValue', 'images', 'gemstones'];
+
+const MAX_IMPORT_ROWS = 5000;
+
+class ProductSpreadsheetService {
+  // Plain text of a cell value (rich text, hyperlinks and formulas included)
+  static cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+      if (value.richText) return value.richText.map(part => part.text).join('').trim();
+      if (value.text !== undefined) return String(value.text).trim();
+      if (value.result !== undefined) return String(value.result).trim();
+      return '';
+    }
+    return String(value).trim();
+  }
+
+  // Read an uploaded .xlsx or .csv file into [{ rowNumber, values: { key: text } }]
+  static async readRows(buffer, filename) {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    if (filename.toLowerCase().endsWith('.csv')) {
+      // Keep CSV cells as text so SKUs like "00123" are not turned into numbers
+      worksheet = await workbook.csv.read(Readable.from([buffer]), { map: value => value });
+    } else {
+      await workbook.xlsx.load(buffer);
+      worksheet = workbook.worksheets[0];
+    }
+
+    if (!worksheet || worksheet.rowCount < 2) {
+      throw new Error('The file has no product rows');
+    }
+
+    // Map header cells to column keys (by header text or key)
+    const columnKeys = {};
+    worksheet.getRow(1).eachCell((cell, colNumber) => {
+      const header = this.cellText(cell.value).toLowerCase();
+      const column = COLUMNS.find(col => col.header.toLowerCase() === header || col.key.toLowerCase() === header);
+      if (column) {
+        columnKeys[colNumber] = column.key;
+      }
+    });
+
+    if (!Object.values(columnKeys).includes('sku')) {
+      throw new Error('The file must have a SKU column');
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+
+      const values = {};
+      row.eachCell((cell, colNumber) => {
+        if (columnKeys[colNumber]) {
+          values[columnKeys[colNumber]] = this.cellText(cell.value);
+        }
+      });
+
+      if (Object.values(values).some(value => value !== '')) {
+        rows.push({ rowNumber, values });
+      }
+    });
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`A file can contain at most ${MAX_IMPORT_ROWS} products`);
+    }
+
+    return rows;
+  }
+
+  // Load categories and subcategories so rows can be resolved by slug
+  static async loadLookups() {
+    const [categories, subCategories] = await Promise.all([
+      Category.find().select('slug'),
+      SubCategory.find().select('slug category')
+    ]);
+
+    return {
+      categories: new Map(categories.map(category => [category.slug, category._id])),
+      subCategories: new Map(subCategories.map(sub => [`${sub.category}:${sub.slug}`, sub._id]))
+    };
+  }
+
+  // Convert a row into Product fields, images and gemstones, collecting errors
+  static parseRow(values, lookups) {
+    const errors = [];
+    const data = {};
+
+    for (const column of COLUMNS) {
+      const text = values[column.key];
+      if (text === undefined || text === '' || SPECIAL_KEYS.includes(column.key)) continue;
+
+      if (column.type === 'number') {
+        const number = Number(text);
+        if (Number.isNaN(number)) {
+          errors.push(`${column.header} must be a number`);
+        } else {
+          data[column.key] = number;
+        }
+      } else if (column.type === 'boolean') {
+        const normalized = text.toLowerCase();
+        if (['true', 'yes', 'y', '1'].includes(normalized)) {
+          data[column.key] = true;
+        } else if (['false', 'no', 'n', '0'].includes(normalized)) {
+          data[column.key] = false;
+        } else {
+          errors.push(`${column.header} must be yes or no`);
+        }
+      } else if (column.type === 'date') {
+        const date = new Date(text);
+        if (Number.isNaN(date.getTime())) {
+          errors.push(`${column.header} must be a date`);
+        } else {
+          data[column.key] = date;
+        }
+      } else if (column.type === 'list') {
+        data[column.key] = text.split(',').map(item => item.trim()).filter(Boolean);
+      } else if (column.values) {
+        const normalized = text.toLowerCase();
+        if (column.values.includes(normalized)) {
+          data[column.key] = normalized;
+        } else {
+          errors.push(`${column.header} must be one of: ${column.values.join(', ')}`);
+        }
+      } else {
+        data[column.key] = text;
+      }
+    }
+
+    if (data.sku) {
+      data.sku = data.sku.toUpperCase();
+    } else {
+      errors.push('SKU is required');
+    }
+
+    // Category and subcategory by slug
+    if (values.category) {
+      const categoryId = lookups.categories.get(values.category.toLowerCase());
+      if (categoryId) {
+        data.category = categoryId;
+      } else {
+        errors.push(`Category "${values.category}" not found`);
+      }
+    }
+    if (values.subCategory) {
+      const subCategoryId = data.category && lookups.subCategories.get(`${data.category}:${values.subCategory.toLowerCase()}`);
+      if (subCategoryId) {
+        data.subCategory = subCategoryId;
+      } else {
+        errors.push(`Subcategory "${values.subCategory}" not found in this category`);
+      }
+    }
+
+    // Making charges
+    if (values.makingChargesType || values.makingChargesValue) {
+      const value = Number(values.makingChargesValue || 0);
+      if (Number.isNaN(value)) {
+        errors.push('Making Charges Value must be a number');
+      } else {
+        data.makingCharges = {
+          type: values.makingChargesType || 'per_gram',
+          value
+        };
+      }
+    }
+
+    // Images - left unchanged when the cell is empty
+    let images;
+    if (values.images) {
+      images = values.images.split('|').map(url => url.trim()).filter(Boolean);
+      const invalid = images.filter(url => !/^https?:\/\//i.test(url));
+      if (invalid.length > 0) {
+        errors.push(`Invalid image URL: ${invalid.join(', ')}`);
+      }
+    }
+
+    // Gemstones - left unchanged when the cell is empty
+    let gemstones;
+    if (values.gemstones) {
+      gemstones = [];
+      values.gemstones.split('|').map(entry => entry.trim()).filter(Boolean).forEach((entry, index) => {
+        const [name, type, color, clarity, carat, quantity, pricePerCarat] = entry.split(';').map(part => part.trim());
+        const gemstone = {
+          name,
+          type,
+          color,
+          clarity,
+          carat: Number(carat),
+          quantity: quantity ? Number(quantity) : 1,
+          pricePerCarat: pricePerCarat ? Number(pricePerCarat) : 0
+        };
+
+        if (!name || !type || !color || !clarity || !carat) {
+          errors.push(`Gemstone ${index + 1} needs name;type;color;clarity;carat`);
+        } else if ([gemstone.carat, gemstone.quantity, gemstone.pricePerCarat].some(Number.isNaN)) {
+          errors.push(`Gemstone ${index + 1} has a non-numeric carat, quantity or price`);
+        } else {
+          gemstones.push(gemstone);
+        }
+      });
+    }
+
+    return { data, images, gemstones, errors };
+  }
+
+  // Human readable messages from a Mongoose or Mongo error
+  static errorMessages(error) {
+    if (error.errors) {
+      return Object.values(error.errors).map(err => err.message);
+    }
+    if (error.code === 11000) {
+      return [`Duplicate value for ${Object.keys(error.keyValue || {}).join(', ')}`];
+    }
+    return [error.message];
+  }
+
+  // Create or update one product by SKU. In dry-run mode the product is only validated.
+  static async upsertProduct({ data, images, gemstones }, { dryRun, userId }) {
+    const existing = await Product.findOne({ sku: data.sku });
+    let product;
+    let newStock;
+
+    if (existing) {
+      // Stock changes go through StockService so they are recorded in the stock history
+      const { stockQuantity, ...updates } = data;
+      newStock = stockQuantity;
+      Object.assign(existing, updates);
+      existing.updatedBy = userId;
+      product = existing;
+    } else {
+      product = new Product({ ...data, createdBy: userId });
+    }
+
+    let variants = [];
+    if (product.pricingMode === 'metal_rate') {
+      await MetalRateService.applyMetalRatePrice(product, existing ? gemstones || null : gemstones || []);
+      if (existing) {
+        variants = await MetalRateService.priceVariants(product, gemstones || null);
+      }
+    }
+
+    await product.validate();
+
+    if (gemstones) {
+      await Promise.all(gemstones.map(gemstone =>
+        new ProductGemstone({ ...gemstone, product: product._id, addedBy: userId }).validate()
+      ));
+    }
+
+    if (dryRun) {
+      return existing ? 'updated' : 'created';
+    }
+
+    await product.save();
+    await Promise.all(variants.map(variant => variant.save()));
+
+    if (existing && newStock !== undefined && newStock !== product.stockQuantity && !product.hasVariants) {
+      await StockService.updateStock(product._id, newStock, 'adjustment', userId, null, 'Bulk import', 'Imported from spreadsheet');
+    }
+
+    if (images) {
+      await ProductImage.deleteMany({ product: product._id });
+      await ProductImage.create(images.map((url, index) => ({
+        product: product._id,
+        url,
+        isPrimary: index === 0,
+        displayOrder: index,
+        uploadedBy: userId
+      })));
+    }
+
+    if (gemstones) {
+      await ProductGemstone.deleteMany({ product: product._id });
+      if (gemstones.length > 0) {
+        await ProductGemstone.create(gemstones.map(gemstone => ({
+          ...gemstone,
+          product: product._id,
+          addedBy: userId
+        })));
+      }
+    }
+
+    return existing ? 'updated' : 'created';
+  }
+
+  // Import parsed rows, returning a per-row report
+  static async importRows(rows, { dryRun = false, userId }) {
+    const lookups = await this.loadLookups();
+    const seenSkus = new Set();
+
+    const report = {
+      dryRun,
+      totalRows: rows.length,
+      created: 0,
+      updated: 0,
+      failed: 0,
+      errors: []
+    };
+
+    for (const { rowNumber, values } of rows) {
+      const parsed = this.parseRow(values, lookups);
+
+      if (parsed.data.sku && seenSkus.has(parsed.data.sku)) {
+        parsed.errors.push('SKU appears more than once in the file');
+      }
+      seenSkus.add(parsed.data.sku);
+
+      let errors = parsed.errors;
+      if (errors.length === 0) {
+        try {
+          const action = await this.upsertProduct(parsed, { dryRun, userId });
+          report[action]++;
+        } catch (error) {
+          errors = this.errorMessages(error);
+        }
+      }
+
+      if (errors.length > 0) {
+        report.failed++;
+        report.errors.push({
+          row: rowNumber,
+          sku: parsed.data.sku || null,
+          errors
+        });
+      }
+    }
+
+    return report;
+  }
+
+  // Build a workbook in the import format
+  static async buildWorkbook(products) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const worksheet = workbook.addWorksheet('Products');
+    worksheet.columns = COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+    worksheet.getRow(1).font = { bold: true };
+
+    products.forEach(product => {
+      const row = {};
+
+      COLUMNS.forEach(column => {
+        if (SPECIAL_KEYS.includes(column.key)) return;
+        const value = product[column.key];
+        if (value === undefined || value === null) return;
+
+        if (column.type === 'boolean') {
+          row[column.key] = value ? 'yes' : 'no';
+        } else if (column.type === 'date') {
+          row[column.key] = value.toISOString();
+        } else if (column.type === 'list') {
+          row[column.key] = value.join(', ');
+        } else {
+          row[column.key] = value;
+        }
+      });
+
+      row.category = product.category?.slug || '';
+      row.subCategory = product.subCategory?.slug || '';
+      row.makingChargesType = product.makingCharges?.type || '';
+      row.makingChargesValue = product.makingCharges?.value ?? '';
+      row.images = (product.images || [])
+        .slice()
+        .sort((a, b) => (b.isPrimary - a.isPrimary) || (a.displayOrder - b.displayOrder))
+        .map(image => image.url)
+        .join(' | ');
+      row.gemstones = (product.gemstones || [])
+        .map(gem => [gem.name, gem.type, gem.color, gem.clarity, gem.carat, gem.quantity, gem.pricePerCarat || 0].join(';'))
+        .join(' | ');
+
+      worksheet.addRow(row);
+    });
+
+    return workbook;
+  }
+}
+
+module.exports = ProductSpreadsheetService;
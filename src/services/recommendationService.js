@@ -0,0 +1,393 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const ProductAffinity = require('../models/ProductAffinity');
+const Analytics = require('../models/Analytics');
+const GuestUser = require('../models/GuestUser');
+const User = require('../models/User');
+const Wishlist = require('../models/Wishlist');
+const WishlistItem = require('../models/WishlistItem');
+const { RECOMMENDATIONS } = require('../constants');
+
+const PRODUCT_CARD_FIELDS = 'name slug sellingPrice offerPrice isOnOffer images ratingAverage stockStatus stockQuantity translations';
+
+// Products that can be recommended: published and in stock
+const recommendableFilter = () => ({
+  ...Product.publishedFilter(),
+  stockStatus: { $ne: 'out_of_stock' }
+});
+
+class RecommendationService {
+  // Products of the same category, material or tags
+  static async getSimilarProducts(product, limit = RECOMMENDATIONS.LIMIT, excludeIds = []) {
+    return Product.find({
+      _id: { $nin: [product._id, ...excludeIds] },
+      ...Product.publishedFilter(),
+      $or: [
+        { category: product.category },
+        { material: product.material },
+        { tags: { $in: product.tags } }
+      ]
+    })
+      .limit(limit)
+      .select(PRODUCT_CARD_FIELDS)
+      .populate('images');
+  }
+
+  // Rebuild co-purchase affinities from recent orders
+  static async computeAffinities() {
+    const since = new Date();
+    since.setDate(since.getDate() - RECOMMENDATIONS.AFFINITY_WINDOW_DAYS);
+
+    // Distinct products of every counted order
+    const orderProducts = [
+      { $match: { createdAt: { $gte: since } } },
+      {
+        $lookup: {
+          from: Order.collection.name,
+          localField: 'order',
+          foreignField: '_id',
+          as: 'orderDoc'
+        }
+      },
+      { $unwind: '$orderDoc' },
+      { $match: { 'orderDoc.status': { $nin: RECOMMENDATIONS.EXCLUDED_ORDER_STATUSES } } },
+      { $group: { _id: '$order', products: { $addToSet: '$product' } } }
+    ];
+
+    const [productOrders, pairs] = await Promise.all([
+      OrderItem.aggregate([
+        ...orderProducts,
+        { $unwind: '$products' },
+        { $group: { _id: '$products', orders: { $sum: 1 } } }
+      ]).allowDiskUse(true),
+      OrderItem.aggregate([
+        ...orderProducts,
+        { $match: { 'products.1': { $exists: true } } },
+        { $project: { product: '$products', related: '$products' } },
+        { $unwind: '$product' },
+        { $unwind: '$related' },
+        { $match: { $expr: { $ne: ['$product', '$related'] } } },
+        { $group: { _id: { product: '$product', related: '$related' }, count: { $sum: 1 } } },
+        { $match: { count: { $gte: RECOMMENDATIONS.MIN_CO_PURCHASES } } },
+        { $sort: { '_id.product': 1, count: -1 } },
+        {
+          $group: {
+            _id: '$_id.product',
+            related: { $push: { product: '$_id.related', count: '$count' } }
+          }
+        },
+        { $project: { related: { $slice: ['$related', RECOMMENDATIONS.MAX_RELATED] } } }
+      ]).allowDiskUse(true)
+    ]);
+
+    const ordersByProduct = new Map(productOrders.map(entry => [entry._id.toString(), entry.orders]));
+    const computedAt = new Date();
+
+    const affinities = pairs.flatMap(entry => entry.related.map(related => ({
+      product: entry._id,
+      relatedProduct: related.product,
+      coPurchaseCount: related.count,
+      score: Math.min(1, related.count / (ordersByProduct.get(entry._id.toString()) || related.count)),
+      computedAt
+    })));
+
+    // Build the new set in a staging collection and swap it in with a single rename, so readers
+    // see the old set or the new one but never both (which would double the summed scores)
+    const target = ProductAffinity.collection;
+    const staging = mongoose.connection.collection(`${target.collectionName}_staging`);
+    await staging.drop().catch(error => {
+      // Nothing left over from an interrupted run
+      if (error.codeName !== 'NamespaceNotFound') throw error;
+    });
+
+    if (affinities.length === 0) {
+      await ProductAffinity.deleteMany({});
+    } else {
+      for (let i = 0; i < affinities.length; i += 1000) {
+        const docs = affinities.slice(i, i + 1000).map(affinity => new ProductAffinity(affinity).toObject());
+        await staging.insertMany(docs, { ordered: false });
+      }
+      for (const [fields, options] of ProductAffinity.schema.indexes()) {
+        await staging.createIndex(fields, options);
+      }
+      await staging.rename(target.collectionName, { dropTarget: true });
+    }
+
+    return {
+      products: pairs.length,
+      affinities: affinities.length
+    };
+  }
+
+  // Load recommendable products by id, keeping the given order
+  static async findRecommendable(ids, limit, filter = recommendableFilter()) {
+    const products = await Product.find({ _id: { $in: ids }, ...filter })
+      .select(PRODUCT_CARD_FIELDS)
+      .populate('images');
+
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+    return ids
+      .map(id => byId.get(id.toString()))
+      .filter(Boolean)
+      .slice(0, limit);
+  }
+
+  // Top up co-purchase results with similar products when there is too little order data
+  static async withFallback(recommended, seedProduct, limit, excludeIds) {
+    if (recommended.length >= limit || !seedProduct) {
+      return { products: recommended, source: 'co_purchase' };
+    }
+
+    const similar = await this.getSimilarProducts(
+      seedProduct,
+      limit - recommended.length,
+      [...excludeIds, ...recommended.map(product => product._id)]
+    );
+
+    return {
+      products: [...recommended, ...similar],
+      source: recommended.length > 0 ? 'mixed' : 'similar'
+    };
+  }
+
+  // Products most often bought together with a product
+  static async getFrequentlyBoughtTogether(product, limit = RECOMMENDATIONS.LIMIT) {
+    const affinities = await ProductAffinity.find({ product: product._id })
+      .sort('-score -coPurchaseCount')
+      .limit(RECOMMENDATIONS.MAX_RELATED);
+
+    const ids = [...new Set(affinities.map(affinity => affinity.relatedProduct.toString()))];
+    const recommended = await this.findRecommendable(ids, limit);
+
+    return this.withFallback(recommended, product, limit, [product._id]);
+  }
+
+  // Products bought together with anything in the cart, excluding what is already in it
+  static async getCartSuggestions(productIds, limit = RECOMMENDATIONS.LIMIT) {
+    if (productIds.length === 0) {
+      return { products: [], source: 'co_purchase' };
+    }
+
+    const ranked = await ProductAffinity.aggregate([
+      { $match: { product: { $in: productIds }, relatedProduct: { $nin: productIds } } },
+      { $group: { _id: '$relatedProduct', score: { $sum: '$score' }, coPurchaseCount: { $sum: '$coPurchaseCount' } } },
+      { $sort: { score: -1, coPurchaseCount: -1 } },
+      { $limit: RECOMMENDATIONS.MAX_RELATED }
+    ]);
+
+    const recommended = await this.findRecommendable(ranked.map(entry => entry._id), limit);
+    const seedProduct = await Product.findById(productIds[productIds.length - 1]).select('category material tags');
+
+    return this.withFallback(recommended, seedProduct, limit, productIds);
+  }
+
+  // Products a user or guest has viewed (most recent first) and wishlisted
+  static async getShopperSignals({ user, guestId }) {
+    const [views, guest, wishlist] = await Promise.all([
+      user
+        ? Analytics.find({ type: 'product_view', entityType: 'Product', user: user._id })
+          .sort('-timestamp')
+          .limit(RECOMMENDATIONS.VIEW_HISTORY)
+          .select('entityId')
+          .lean()
+        : [],
+      user ? null : GuestUser.findOne({ guestId }).select('productsViewed').lean(),
+      Wishlist.findOne(user ? { user: user._id } : { guestId }).select('_id').lean()
+    ]);
+
+    // Guest views are recorded on the guest itself, oldest first
+    const guestViews = guest
+      ? guest.productsViewed.slice(-RECOMMENDATIONS.VIEW_HISTORY).reverse().map(view => view.productId)
+      : [];
+
+    const wishlisted = wishlist
+      ? await WishlistItem.find({ wishlist: wishlist._id }).distinct('product')
+      : [];
+
+    return {
+      viewed: [...views.map(view => view.entityId), ...guestViews].filter(Boolean),
+      wishlisted: [...wishlisted, ...((user && user.wishlist) || [])]
+    };
+  }
+
+  // Products in a user's orders that were not cancelled or returned
+  static async getPurchasedProductIds(userId) {
+    const orderIds = await Order.find({
+      user: userId,
+      status: { $nin: RECOMMENDATIONS.EXCLUDED_ORDER_STATUSES }
+    }).distinct('_id');
+
+    return orderIds.length > 0
+      ? OrderItem.find({ order: { $in: orderIds } }).distinct('product')
+      : [];
+  }
+
+  // Category and material shares and price band of the products a shopper engaged with
+  static async buildShopperProfile({ viewed, wishlisted }) {
+    const weights = new Map();
+    const addWeight = (id, weight) => {
+      const key = id.toString();
+      weights.set(key, (weights.get(key) || 0) + weight);
+    };
+    viewed.forEach(id => addWeight(id, 1));
+    wishlisted.forEach(id => addWeight(id, RECOMMENDATIONS.WISHLIST_WEIGHT));
+
+    if (weights.size === 0) return null;
+
+    const products = await Product.find({ _id: { $in: [...weights.keys()] } })
+      .select('category material sellingPrice offerPrice')
+      .lean();
+
+    const categories = {};
+    const materials = {};
+    let totalWeight = 0;
+    let priceTotal = 0;
+    let priceWeight = 0;
+
+    products.forEach(product => {
+      const weight = weights.get(product._id.toString());
+      totalWeight += weight;
+
+      if (product.category) {
+        const category = product.category.toString();
+        categories[category] = (categories[category] || 0) + weight;
+      }
+      if (product.material) {
+        materials[product.material] = (materials[product.material] || 0) + weight;
+      }
+
+      const price = product.offerPrice || product.sellingPrice;
+      if (price) {
+        priceTotal += price * weight;
+        priceWeight += weight;
+      }
+    });
+
+    if (totalWeight === 0) return null;
+
+    const toShares = counts => Object.fromEntries(
+      Object.entries(counts).map(([key, count]) => [key, count / totalWeight])
+    );
+    const averagePrice = priceWeight > 0 ? priceTotal / priceWeight : null;
+
+    return {
+      categories: toShares(categories),
+      materials: toShares(materials),
+      priceBand: averagePrice
+        ? {
+          min: Math.round(averagePrice * (1 - RECOMMENDATIONS.PRICE_BAND_MARGIN)),
+          max: Math.round(averagePrice * (1 + RECOMMENDATIONS.PRICE_BAND_MARGIN))
+        }
+        : null
+    };
+  }
+
+  // Stage scoring products by how well they match a shopper profile
+  static profileScoreStage(profile) {
+    const shareOf = (field, shares, toValue) => {
+      const branches = Object.entries(shares).map(([key, share]) => ({
+        case: { $eq: [field, toValue(key)] },
+        then: share
+      }));
+      return branches.length > 0 ? { $switch: { branches, default: 0 } } : 0;
+    };
+
+    const { priceBand } = profile;
+    const priceScore = priceBand
+      ? {
+        $cond: [
+          { $and: [{ $gte: ['$effectivePrice', priceBand.min] }, { $lte: ['$effectivePrice', priceBand.max] }] },
+          RECOMMENDATIONS.PRICE_BAND_WEIGHT,
+          0
+        ]
+      }
+      : 0;
+
+    return {
+      $addFields: {
+        score: {
+          $add: [
+            { $multiply: [RECOMMENDATIONS.CATEGORY_WEIGHT, shareOf('$category', profile.categories, id => new mongoose.Types.ObjectId(id))] },
+            { $multiply: [RECOMMENDATIONS.MATERIAL_WEIGHT, shareOf('$material', profile.materials, material => material)] },
+            priceScore
+          ]
+        }
+      }
+    };
+  }
+
+  // Products ranked for a user or guest from their views and wishlist, leaving out
+  // what they already bought and anything out of stock. Falls back to best sellers.
+  static async getForYouProducts({ user, guestId }, { skip = 0, limit = RECOMMENDATIONS.LIMIT } = {}) {
+    const [signals, purchased] = await Promise.all([
+      user || guestId ? this.getShopperSignals({ user, guestId }) : { viewed: [], wishlisted: [] },
+      user ? this.getPurchasedProductIds(user._id) : []
+    ]);
+
+    const profile = await this.buildShopperProfile(signals);
+    const match = { ...recommendableFilter(), _id: { $nin: purchased } };
+
+    if (!profile) {
+      const products = await Product.find(match)
+        .sort('-purchaseCount -ratingAverage')
+        .skip(skip)
+        .limit(limit)
+        .select(PRODUCT_CARD_FIELDS)
+        .populate('images');
+
+      return { products, source: 'popular' };
+    }
+
+    const interests = [
+      { category: { $in: Object.keys(profile.categories).map(id => new mongoose.Types.ObjectId(id)) } },
+      { material: { $in: Object.keys(profile.materials) } }
+    ];
+    if (profile.priceBand) {
+      interests.push({ sellingPrice: { $gte: profile.priceBand.min, $lte: profile.priceBand.max } });
+    }
+
+    const ranked = await Product.aggregate([
+      { $match: { ...match, $or: interests } },
+      { $addFields: { effectivePrice: { $ifNull: ['$offerPrice', '$sellingPrice'] } } },
+      this.profileScoreStage(profile),
+      { $sort: { score: -1, purchaseCount: -1, _id: 1 } },
+      { $skip: skip },
+      { $limit: limit },
+      { $project: { _id: 1 } }
+    ]);
+
+    const products = await this.findRecommendable(ranked.map(entry => entry._id), limit);
+
+    return { products, source: 'personalized' };
+  }
+
+  // Distinct products a user or guest viewed, most recent first
+  static async getRecentlyViewed({ user, guestId }, { limit = RECOMMENDATIONS.RECENTLY_VIEWED_MAX, excludeId } = {}) {
+    let views = [];
+
+    if (user) {
+      const account = await User.findById(user._id).select('+recentlyViewed').lean();
+      views = (account && account.recentlyViewed) || [];
+    } else if (guestId) {
+      const guest = await GuestUser.findOne({ guestId }).select('productsViewed').lean();
+      views = guest
+        ? guest.productsViewed
+          .map(view => ({ product: view.productId, viewedAt: view.timestamp }))
+          .reverse()
+        : [];
+    }
+
+    const ids = [...new Set(
+      views
+        .filter(view => view.product)
+        .map(view => view.product.toString())
+        .filter(id => id !== (excludeId && excludeId.toString()))
+    )];
+
+    return this.findRecommendable(ids, limit, Product.publishedFilter());
+  }
+}
+
+module.exports = RecommendationService;
@@ -0,0 +1,562 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const ProductGemstone = require('../models/ProductGemstone');
+const ProductImage = require('../models/ProductImage');
+const Analytics = require('../models/Analytics');
+const SearchSynonym = require('../models/SearchSynonym');
+const SearchBoost = require('../models/SearchBoost');
+const { getTrigrams, trigramSimilarity } = require('../utils/helpers');
+const { SEARCH } = require('../constants');
+
+// Multi-select filters: ?material=gold,silver matches either
+const LIST_FILTERS = {
+  material: 'material',
+  purity: 'purity',
+  gender: 'gender',
+  brand: 'brand',
+  gemstoneType: 'gemstoneTypes'
+};
+
+const SORT_STAGES = {
+  price_asc: { effectivePrice: 1 },
+  price_desc: { effectivePrice: -1 },
+  rating: { ratingAverage: -1 },
+  popular: { purchaseCount: -1 },
+  newest: { createdAt: -1 },
+  discount: { discountValue: -1 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toList = value => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+class SearchService {
+  // Category ids from a comma-separated list of ids or slugs
+  static async resolveCategories(value) {
+    const list = toList(value);
+    const ids = list
+      .filter(item => mongoose.Types.ObjectId.isValid(item))
+      .map(item => new mongoose.Types.ObjectId(item));
+    const slugs = list.filter(item => !mongoose.Types.ObjectId.isValid(item));
+
+    if (slugs.length > 0) {
+      const categories = await Category.find({ slug: { $in: slugs } }).select('_id');
+      ids.push(...categories.map(category => category._id));
+    }
+
+    return ids;
+  }
+
+  // Match clause per active filter, keyed by the facet it belongs to
+  static async buildFilters(query) {
+    const filters = {};
+
+    Object.entries(LIST_FILTERS).forEach(([param, field]) => {
+      const values = toList(query[param]);
+      if (values.length > 0) {
+        filters[param] = { [field]: { $in: values } };
+      }
+    });
+
+    if (query.category) {
+      filters.category = { category: { $in: await this.resolveCategories(query.category) } };
+    }
+
+    if (query.minPrice || query.maxPrice) {
+      const range = {};
+      if (query.minPrice) range.$gte = Number(query.minPrice);
+      if (query.maxPrice) range.$lte = Number(query.maxPrice);
+      filters.price = { effectivePrice: range };
+    }
+
+    if (query.minRating) {
+      filters.rating = { ratingAverage: { $gte: Number(query.minRating) } };
+    }
+
+    return filters;
+  }
+
+  // Combine every filter except the one a facet is counting
+  static matchExcept(filters, facet) {
+    const clauses = Object.entries(filters)
+      .filter(([key]) => key !== facet)
+      .map(([, clause]) => clause);
+
+    return { $match: clauses.length > 0 ? { $and: clauses } : {} };
+  }
+
+  static countBy(filters, facet, field) {
+    return [
+      this.matchExcept(filters, facet),
+      ...(field === '$gemstoneTypes' ? [{ $unwind: '$gemstoneTypes' }] : []),
+      { $match: { [field.slice(1)]: { $nin: [null, ''] } } },
+      { $group: { _id: field, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, value: '$_id', count: 1 } }
+    ];
+  }
+
+  // Expand a text query with synonyms and load the boost rules that apply to it
+  static async prepareTextSearch(q) {
+    const expansion = await SearchSynonym.expandQuery(q);
+    const boosts = await SearchBoost.getActiveBoosts(expansion.terms);
+
+    return { ...expansion, boosts };
+  }
+
+  // Stage setting score to the text score multiplied by any product and category boosts.
+  // Must directly follow the $match that holds the $text clause.
+  static boostStage(boosts = []) {
+    const weights = { product: {}, category: {} };
+    boosts.forEach(boost => {
+      const type = boost.product ? 'product' : 'category';
+      const id = boost[type].toString();
+      weights[type][id] = (weights[type][id] || 1) * boost.weight;
+    });
+
+    const weightOf = (field, map) => {
+      const branches = Object.entries(map).map(([id, weight]) => ({
+        case: { $eq: [field, new mongoose.Types.ObjectId(id)] },
+        then: weight
+      }));
+      return branches.length > 0 ? { $switch: { branches, default: 1 } } : 1;
+    };
+
+    return {
+      $addFields: {
+        score: {
+          $multiply: [
+            { $meta: 'textScore' },
+            weightOf('$_id', weights.product),
+            weightOf('$category', weights.category)
+          ]
+        }
+      }
+    };
+  }
+
+  // Load products by id, keeping the given order
+  static async findInOrder(ids) {
+    const products = await Product.find({ _id: { $in: ids } })
+      .populate('category', 'name slug translations')
+      .populate('images');
+
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+    return ids.map(id => byId.get(id.toString())).filter(Boolean);
+  }
+
+  // Page of a text search ordered by boosted relevance
+  static async findByRelevance(filter, boosts, skip, limit) {
+    const results = await Product.aggregate([
+      { $match: Product.find(filter).cast(Product) },
+      this.boostStage(boosts),
+      { $sort: { score: -1, _id: 1 } },
+      { $skip: skip },
+      { $limit: limit },
+      { $project: { _id: 1 } }
+    ]);
+
+    return this.findInOrder(results.map(result => result._id));
+  }
+
+  static getSortStage(sort, hasText) {
+    if (SORT_STAGES[sort]) {
+      return { ...SORT_STAGES[sort], _id: 1 };
+    }
+    return hasText ? { score: -1, _id: 1 } : { createdAt: -1, _id: 1 };
+  }
+
+  // Published products matching the query, with counts for each facet.
+  // Facet counts apply every active filter except their own, so selecting
+  // one material still shows how many products the other materials have.
+  static async facetedSearch(query) {
+    const page = Math.max(Number(query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(query.limit) || 20, 1), SEARCH.MAX_PAGE_SIZE);
+    const filters = await this.buildFilters(query);
+
+    const baseMatch = { ...Product.publishedFilter() };
+    let search = null;
+    if (query.q) {
+      search = await this.prepareTextSearch(query.q);
+      baseMatch.$text = { $search: search.query };
+    }
+
+    const buckets = SEARCH.PRICE_BUCKETS;
+
+    const [result] = await Product.aggregate([
+      { $match: baseMatch },
+      ...(search ? [this.boostStage(search.boosts)] : []),
+      {
+        $lookup: {
+          from: ProductGemstone.collection.name,
+          localField: '_id',
+          foreignField: 'product',
+          as: 'gemstones'
+        }
+      },
+      {
+        $addFields: {
+          gemstoneTypes: { $setUnion: ['$gemstones.type', []] },
+          effectivePrice: { $ifNull: ['$offerPrice', '$sellingPrice'] }
+        }
+      },
+      { $project: { gemstones: 0 } },
+      {
+        $facet: {
+          products: [
+            this.matchExcept(filters),
+            { $sort: this.getSortStage(query.sort, Boolean(query.q)) },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: { _id: 1 } }
+          ],
+          total: [
+            this.matchExcept(filters),
+            { $count: 'count' }
+          ],
+          material: this.countBy(filters, 'material', '$material'),
+          purity: this.countBy(filters, 'purity', '$purity'),
+          gender: this.countBy(filters, 'gender', '$gender'),
+          brand: this.countBy(filters, 'brand', '$brand'),
+          gemstoneType: this.countBy(filters, 'gemstoneType', '$gemstoneTypes'),
+          category: [
+            ...this.countBy(filters, 'category', '$category'),
+            {
+              $lookup: {
+                from: Category.collection.name,
+                localField: 'value',
+                foreignField: '_id',
+                as: 'category'
+              }
+            },
+            { $unwind: '$category' },
+            {
+              $project: {
+                value: 1,
+                count: 1,
+                name: '$category.name',
+                slug: '$category.slug'
+              }
+            }
+          ],
+          price: [
+            this.matchExcept(filters, 'price'),
+            {
+              $bucket: {
+                groupBy: '$effectivePrice',
+                boundaries: buckets,
+                default: 'above',
+                output: { count: { $sum: 1 } }
+              }
+            }
+          ],
+          rating: [
+            this.matchExcept(filters, 'rating'),
+            {
+              $group: SEARCH.RATING_THRESHOLDS.reduce((group, threshold) => ({
+                ...group,
+                [`min${threshold}`]: {
+                  $sum: { $cond: [{ $gte: ['$ratingAverage', threshold] }, 1, 0] }
+                }
+              }), { _id: null })
+            }
+          ]
+        }
+      }
+    ]);
+
+    const products = await this.findInOrder(result.products.map(product => product._id));
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    const ratingCounts = result.rating[0] || {};
+
+    return {
+      products,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      facets: {
+        material: result.material,
+        purity: result.purity,
+        gender: result.gender,
+        brand: result.brand,
+        category: result.category,
+        gemstoneType: result.gemstoneType,
+        price: result.price.map(bucket => {
+          if (bucket._id === 'above') {
+            return { min: buckets[buckets.length - 1], max: null, count: bucket.count };
+          }
+          return {
+            min: bucket._id,
+            max: buckets[buckets.indexOf(bucket._id) + 1],
+            count: bucket.count
+          };
+        }),
+        rating: SEARCH.RATING_THRESHOLDS.map(threshold => ({
+          min: threshold,
+          count: ratingCounts[`min${threshold}`] || 0
+        }))
+      }
+    };
+  }
+
+  // Products matching the typed text by trigram overlap, ranked by similarity and popularity
+  static async suggestProducts(q, limit) {
+    const grams = getTrigrams(q, true);
+    if (grams.length === 0) return [];
+
+    const popularity = {
+      $add: [
+        { $multiply: [{ $ifNull: ['$purchaseCount', 0] }, SEARCH.PURCHASE_WEIGHT] },
+        { $ifNull: ['$viewCount', 0] }
+      ]
+    };
+
+    const products = await Product.aggregate([
+      { $match: { ...Product.publishedFilter(), searchGrams: { $in: grams } } },
+      {
+        $addFields: {
+          similarity: {
+            $divide: [{ $size: { $setIntersection: ['$searchGrams', grams] } }, grams.length]
+          }
+        }
+      },
+      { $match: { similarity: { $gte: SEARCH.SUGGEST_MIN_SIMILARITY } } },
+      {
+        $addFields: {
+          score: { $multiply: ['$similarity', { $add: [1, { $log10: { $add: [1, popularity] } }] }] }
+        }
+      },
+      { $sort: { score: -1, _id: 1 } },
+      { $limit: limit },
+      {
+        $project: {
+          name: 1,
+          slug: 1,
+          sellingPrice: 1,
+          offerPrice: 1,
+          isOnOffer: 1,
+          similarity: 1,
+          score: 1
+        }
+      }
+    ]);
+
+    const images = await ProductImage.find({
+      product: { $in: products.map(product => product._id) },
+      isPrimary: true
+    }).select('product url altText');
+    const imageByProduct = new Map(images.map(image => [image.product.toString(), image]));
+
+    return products.map(product => ({
+      ...product,
+      image: imageByProduct.get(product._id.toString()) || null
+    }));
+  }
+
+  // Active categories whose name is close to the typed text
+  static async suggestCategories(q, limit) {
+    const categories = await Category.find({ isActive: true }).select('name slug').lean();
+
+    return categories
+      .map(category => ({ ...category, similarity: trigramSimilarity(q, category.name) }))
+      .filter(category => category.similarity >= SEARCH.SUGGEST_MIN_SIMILARITY)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  // Recent searches that returned results and resemble the typed text, most frequent first
+  static async suggestQueries(q, limit) {
+    const since = new Date(Date.now() - SEARCH.POPULAR_QUERY_DAYS * 24 * 60 * 60 * 1000);
+    const normalized = q.trim().toLowerCase();
+
+    const queries = await Analytics.aggregate([
+      {
+        $match: {
+          type: 'search',
+          date: { $gte: since },
+          'metadata.query': { $type: 'string' },
+          'metadata.resultCount': { $ne: 0 }
+        }
+      },
+      {
+        $group: {
+          _id: { $toLower: { $trim: { input: '$metadata.query' } } },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { count: -1 } },
+      { $limit: SEARCH.POPULAR_QUERY_POOL }
+    ]);
+
+    return queries
+      .filter(query => query._id && query._id !== normalized)
+      .filter(query => trigramSimilarity(q, query._id) >= SEARCH.SUGGEST_MIN_SIMILARITY)
+      .slice(0, limit)
+      .map(query => ({ query: query._id, count: query.count }));
+  }
+
+  // As-you-type suggestions: products, categories and popular queries
+  static async suggest(q, limit = SEARCH.SUGGEST_LIMIT) {
+    const text = String(q || '').trim();
+    if (text.length < SEARCH.SUGGEST_MIN_LENGTH) {
+      return { products: [], categories: [], queries: [] };
+    }
+
+    const [products, categories, queries] = await Promise.all([
+      this.suggestProducts(text, limit),
+      this.suggestCategories(text, limit),
+      this.suggestQueries(text, limit)
+    ]);
+
+    return { products, categories, queries };
+  }
+
+  // Top queries, zero-result queries and search-to-purchase conversion from search analytics
+  static async getSearchReport({ startDate, endDate, limit = SEARCH.REPORT_LIMIT } = {}) {
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * DAY_MS);
+    const windowMs = SEARCH.CONVERSION_WINDOW_DAYS * DAY_MS;
+
+    const searchMatch = {
+      type: 'search',
+      date: { $gte: start, $lte: end },
+      'metadata.query': { $type: 'string' }
+    };
+    const normalizedQuery = { $toLower: { $trim: { input: '$metadata.query' } } };
+
+    const [[report], conversion] = await Promise.all([
+      Analytics.aggregate([
+        { $match: searchMatch },
+        { $addFields: { normalizedQuery } },
+        {
+          $facet: {
+            summary: [
+              {
+                $group: {
+                  _id: null,
+                  searches: { $sum: 1 },
+                  zeroResultSearches: { $sum: { $cond: [{ $eq: ['$metadata.resultCount', 0] }, 1, 0] } },
+                  queries: { $addToSet: '$normalizedQuery' }
+                }
+              },
+              { $project: { _id: 0, searches: 1, zeroResultSearches: 1, uniqueQueries: { $size: '$queries' } } }
+            ],
+            topQueries: [
+              {
+                $group: {
+                  _id: '$normalizedQuery',
+                  searches: { $sum: 1 },
+                  zeroResultSearches: { $sum: { $cond: [{ $eq: ['$metadata.resultCount', 0] }, 1, 0] } },
+                  averageResults: { $avg: '$metadata.resultCount' },
+                  lastSearchedAt: { $max: '$date' }
+                }
+              },
+              { $sort: { searches: -1, _id: 1 } },
+              { $limit: limit },
+              {
+                $project: {
+                  _id: 0,
+                  query: '$_id',
+                  searches: 1,
+                  zeroResultSearches: 1,
+                  averageResults: { $round: ['$averageResults', 1] },
+                  lastSearchedAt: 1
+                }
+              }
+            ],
+            zeroResultQueries: [
+              { $match: { 'metadata.resultCount': 0 } },
+              {
+                $group: {
+                  _id: '$normalizedQuery',
+                  searches: { $sum: 1 },
+                  lastSearchedAt: { $max: '$date' }
+                }
+              },
+              { $sort: { searches: -1, _id: 1 } },
+              { $limit: limit },
+              { $project: { _id: 0, query: '$_id', searches: 1, lastSearchedAt: 1 } }
+            ]
+          }
+        }
+      ]),
+      // A search converts when the same user or session purchases within the conversion window.
+      // Anonymous searches without a session cannot be attributed and are left out.
+      Analytics.aggregate([
+        { $match: { ...searchMatch, $or: [{ user: { $ne: null } }, { sessionId: { $nin: [null, 'anonymous'] } }] } },
+        {
+          $lookup: {
+            from: Analytics.collection.name,
+            let: { user: '$user', sessionId: '$sessionId', searchedAt: '$date' },
+            pipeline: [
+              {
+                $match: {
+                  type: 'purchase',
+                  $expr: {
+                    $and: [
+                      { $gt: ['$date', '$$searchedAt'] },
+                      { $lte: ['$date', { $add: ['$$searchedAt', windowMs] }] },
+                      {
+                        $or: [
+                          { $and: [{ $ne: ['$$user', null] }, { $eq: ['$user', '$$user'] }] },
+                          { $and: [{ $ne: ['$$sessionId', 'anonymous'] }, { $eq: ['$sessionId', '$$sessionId'] }] }
+                        ]
+                      }
+                    ]
+                  }
+                }
+              },
+              { $limit: 1 },
+              { $project: { _id: 1 } }
+            ],
+            as: 'purchases'
+          }
+        },
+        {
+          $group: {
+            _id: normalizedQuery,
+            searches: { $sum: 1 },
+            conversions: { $sum: { $cond: [{ $gt: [{ $size: '$purchases' }, 0] }, 1, 0] } }
+          }
+        },
+        { $sort: { searches: -1, _id: 1 } }
+      ])
+    ]);
+
+    const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+    const trackedSearches = conversion.reduce((sum, query) => sum + query.searches, 0);
+    const convertedSearches = conversion.reduce((sum, query) => sum + query.conversions, 0);
+    const summary = report.summary[0] || { searches: 0, zeroResultSearches: 0, uniqueQueries: 0 };
+
+    return {
+      period: { startDate: start, endDate: end },
+      summary: {
+        ...summary,
+        zeroResultRate: rate(summary.zeroResultSearches, summary.searches)
+      },
+      topQueries: report.topQueries,
+      zeroResultQueries: report.zeroResultQueries,
+      conversion: {
+        windowDays: SEARCH.CONVERSION_WINDOW_DAYS,
+        trackedSearches,
+        convertedSearches,
+        conversionRate: rate(convertedSearches, trackedSearches),
+        byQuery: conversion.slice(0, limit).map(query => ({
+          query: query._id,
+          searches: query.searches,
+          conversions: query.conversions,
+          conversionRate: rate(query.conversions, query.searches)
+        }))
+      }
+    };
+  }
+}
+
+module.exports = SearchService;
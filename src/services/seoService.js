@@ -0,0 +1,190 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Collection = require('../models/Collection');
+const Review = require('../models/Review');
+const PricingService = require('./pricingService');
+const { SEO } = require('../constants');
+
+const AVAILABILITY = {
+  in_stock: 'https://schema.org/InStock',
+  low_stock: 'https://schema.org/LimitedAvailability',
+  out_of_stock: 'https://schema.org/OutOfStock'
+};
+
+const XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+const escapeXml = value => String(value).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+
+// Generated sitemap, reused until it expires
+let sitemapCache = null;
+
+class SeoService {
+  // Storefront URL of a product, category or collection
+  static productUrl(slug) {
+    return `${SEO.SITE_URL}${SEO.PRODUCT_PATH}/${slug}`;
+  }
+
+  static categoryUrl(slug) {
+    return `${SEO.SITE_URL}${SEO.CATEGORY_PATH}/${slug}`;
+  }
+
+  static collectionUrl(slug) {
+    return `${SEO.SITE_URL}${SEO.COLLECTION_PATH}/${slug}`;
+  }
+
+  // Get the sitemap, building it when the cached one has expired
+  static async getSitemap() {
+    if (sitemapCache && sitemapCache.expiresAt > Date.now()) {
+      return sitemapCache.xml;
+    }
+
+    const xml = await this.buildSitemap();
+    sitemapCache = { xml, expiresAt: Date.now() + SEO.SITEMAP_TTL * 1000 };
+    return xml;
+  }
+
+  // Build sitemap.xml for the home page, active categories and collections and published products
+  static async buildSitemap() {
+    const [categories, collections, products] = await Promise.all([
+      Category.find({ isActive: true }).select('slug updatedAt').sort('displayOrder').lean(),
+      Collection.find({ isActive: true }).select('slug updatedAt').sort('displayOrder').lean(),
+      Product.find(Product.publishedFilter()).select('slug updatedAt').sort('-updatedAt').lean()
+    ]);
+
+    const entries = [
+      { loc: `${SEO.SITE_URL}/`, changefreq: 'daily', priority: 1 },
+      ...categories.map(category => ({
+        loc: this.categoryUrl(category.slug),
+        lastmod: category.updatedAt,
+        changefreq: 'weekly',
+        priority: 0.8
+      })),
+      ...collections.map(collection => ({
+        loc: this.collectionUrl(collection.slug),
+        lastmod: collection.updatedAt,
+        changefreq: 'weekly',
+        priority: 0.7
+      })),
+      ...products.map(product => ({
+        loc: this.productUrl(product.slug),
+        lastmod: product.updatedAt,
+        changefreq: 'weekly',
+        priority: 0.6
+      }))
+    ];
+
+    const urls = entries.map(entry => [
+      '  <url>',
+      `    <loc>${escapeXml(entry.loc)}</loc>`,
+      entry.lastmod ? `    <lastmod>${new Date(entry.lastmod).toISOString()}</lastmod>` : null,
+      `    <changefreq>${entry.changefreq}</changefreq>`,
+      `    <priority>${entry.priority.toFixed(1)}</priority>`,
+      '  </url>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...urls,
+      '</urlset>',
+      ''
+    ].join('\n');
+  }
+
+  // Build the schema.org Product JSON-LD (with Offer and AggregateRating) for a product.
+  // Expects images, category and active variants to be populated.
+  static async getProductJsonLd(product) {
+    const url = this.productUrl(product.slug);
+
+    const images = [...(product.images || [])]
+      .sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary) || a.displayOrder - b.displayOrder)
+      .map(image => (image.renditions && image.renditions.large && image.renditions.large.jpeg) || image.url);
+
+    const variants = product.variants || [];
+    const prices = variants.length > 0
+      ? variants.map(variant => PricingService.getVariantPrice(product, variant))
+      : [PricingService.getProductPrice(product)];
+    const lowPrice = Math.min(...prices);
+    const highPrice = Math.max(...prices);
+
+    const offerDetails = {
+      priceCurrency: SEO.CURRENCY,
+      availability: AVAILABILITY[product.stockStatus] || AVAILABILITY.in_stock,
+      itemCondition: 'https://schema.org/NewCondition',
+      url
+    };
+
+    const offers = lowPrice !== highPrice
+      ? { '@type': 'AggregateOffer', lowPrice, highPrice, offerCount: prices.length, ...offerDetails }
+      : { '@type': 'Offer', price: lowPrice, ...offerDetails };
+
+    if (product.isOnOffer && product.offerEndDate) {
+      offers.priceValidUntil = new Date(product.offerEndDate).toISOString().slice(0, 10);
+    }
+
+    const jsonLd = {
+      '@context': 'https://schema.org',
+      '@type': 'Product',
+      name: product.name,
+      description: product.shortDescription || product.description,
+      sku: product.sku,
+      url,
+      image: images,
+      offers
+    };
+
+    if (product.brand) {
+      jsonLd.brand = { '@type': 'Brand', name: product.brand };
+    }
+    if (product.category && product.category.name) {
+      jsonLd.category = product.category.name;
+    }
+    if (product.material) {
+      jsonLd.material = product.material;
+    }
+
+    if (product.ratingCount > 0) {
+      jsonLd.aggregateRating = {
+        '@type': 'AggregateRating',
+        ratingValue: product.ratingAverage,
+        reviewCount: product.ratingCount,
+        bestRating: 5,
+        worstRating: 1
+      };
+
+      const reviews = await Review.find({ product: product._id, isApproved: true })
+        .populate('user', 'firstName lastName')
+        .sort('-createdAt')
+        .limit(SEO.JSON_LD_REVIEWS);
+
+      if (reviews.length > 0) {
+        jsonLd.review = reviews.map(review => ({
+          '@type': 'Review',
+          author: {
+            '@type': 'Person',
+            name: review.user ? `${review.user.firstName} ${review.user.lastName}`.trim() : 'Customer'
+          },
+          datePublished: review.createdAt.toISOString().slice(0, 10),
+          name: review.title,
+          reviewBody: review.comment,
+          reviewRating: {
+            '@type': 'Rating',
+            ratingValue: review.rating,
+            bestRating: 5,
+            worstRating: 1
+          }
+        }));
+      }
+    }
+
+    return jsonLd;
+  }
+}
+
+module.exports = SeoService;
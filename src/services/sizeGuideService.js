@@ -0,0 +1,108 @@
+const SizeGuide = require('../models/SizeGuide');
+const Category = require('../models/Category');
+const { SIZE_GUIDES } = require('../constants');
+
+// Compare sizes ignoring case and spacing, with "1/2" and "½" treated alike
+const normalizeSize = value => String(value)
+  .trim()
+  .toUpperCase()
+  .replace(/\s+/g, '')
+  .replace(/-?1\/2$/, '½');
+
+// Numeric value of a size, or null for letter sizes
+const toNumber = value => {
+  const text = String(value).trim();
+  return /^\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+};
+
+class SizeGuideService {
+  // Get the chart for a product: its own linked chart, else the chart of its category,
+  // else the general chart of its category's size guide type
+  static async getProductGuide(product) {
+    if (product.sizeGuide) {
+      const guide = await SizeGuide.findOne({ _id: product.sizeGuide, isActive: true });
+      if (guide) return guide;
+    }
+
+    const categoryId = product.category && product.category._id ? product.category._id : product.category;
+    const guide = await SizeGuide.findForCategory(categoryId);
+    if (guide) return guide;
+
+    const type = await this.getCategoryType(categoryId);
+    return type ? this.getGuide(type) : null;
+  }
+
+  // Get the size guide type of a category, or of its parent when it has none
+  static async getCategoryType(categoryId) {
+    if (!categoryId) return null;
+
+    const category = await Category.findById(categoryId)
+      .select('sizeGuideType parentCategory')
+      .populate('parentCategory', 'sizeGuideType');
+    if (!category) return null;
+
+    return category.sizeGuideType || (category.parentCategory && category.parentCategory.sizeGuideType) || null;
+  }
+
+  // Get the chart of a type for a category, falling back to the general chart of the type
+  static async getGuide(type, categoryId) {
+    const guide = await SizeGuide.findForCategory(categoryId, type);
+    if (guide) return guide;
+
+    return SizeGuide.findOne({ type, isActive: true, categories: { $size: 0 } }).sort('-updatedAt');
+  }
+
+  // Find the row of a size in one system of a chart. Numbers between two sizes of the chart
+  // match the nearest size, with exact false.
+  static findSize(guide, system, value) {
+    const sizes = guide.sizes.filter(size => size[system] != null && size[system] !== '');
+
+    const wanted = normalizeSize(value);
+    const match = sizes.find(size => normalizeSize(size[system]) === wanted);
+    if (match) {
+      return { size: match, exact: true };
+    }
+
+    const number = toNumber(value);
+    const numbered = sizes
+      .map(size => ({ size, value: toNumber(size[system]) }))
+      .filter(entry => entry.value !== null);
+    if (number === null || numbered.length === 0) {
+      return null;
+    }
+
+    const values = numbered.map(entry => entry.value);
+    if (number < Math.min(...values) || number > Math.max(...values)) {
+      return null;
+    }
+
+    const nearest = numbered.reduce((best, entry) => (
+      Math.abs(entry.value - number) < Math.abs(best.value - number) ? entry : best
+    ));
+    return { size: nearest.size, exact: nearest.value === number };
+  }
+
+  // Convert a size from one system of a chart to another (or to every system when to is omitted)
+  static convert(guide, from, value, to) {
+    const systems = SIZE_GUIDES.SYSTEMS[guide.type];
+    const invalid = [from, to].filter(system => system !== undefined && !systems.includes(system));
+    if (invalid.length > 0) {
+      throw new Error(`A ${guide.type} size must be one of: ${systems.join(', ')}`);
+    }
+
+    const found = this.findSize(guide, from, value);
+    if (!found) {
+      throw new Error(`${value} is not a ${from} ${guide.type} size in this guide`);
+    }
+
+    const size = found.size.toObject ? found.size.toObject() : found.size;
+    return {
+      from: { system: from, value },
+      to: to ? { system: to, value: size[to] } : undefined,
+      exact: found.exact,
+      size
+    };
+  }
+}
+
+module.exports = SizeGuideService;
@@ -1,10 +1,16 @@
 const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
 const StockHistory = require('../models/StockHistory');
+const InventoryUnit = require('../models/InventoryUnit');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
 const NotificationService = require('./notificationService');
+const BackInStockService = require('./backInStockService');
 
 class StockService {
   // Update stock with history tracking
-  static async updateStock(productId, quantity, type, userId, referenceId = null, reason = '', notes = '') {
+  // When variantId is given the variant stock is moved and the product total follows it
+  static async updateStock(productId, quantity, type, userId, referenceId = null, reason = '', notes = '', variantId = null) {
     try {
       const product = await Product.findById(productId);
       
@@ -12,7 +18,23 @@ class StockService {
         throw new Error('Product not found');
       }
       
-      const previousStock = product.stockQuantity;
+      // A bundle has no stock of its own; its components are moved instead
+      if (product.productType === 'bundle') {
+        await this.moveComponentStock(product.bundleItems, quantity, type, userId, referenceId, reason, `${notes} (bundle ${product.sku})`.trim());
+        return Product.findById(product._id);
+      }
+      
+      let variant = null;
+      if (variantId) {
+        variant = await ProductVariant.findOne({ _id: variantId, product: product._id });
+        if (!variant) {
+          throw new Error('Product variant not found');
+        }
+      }
+      
+      const previousStock = variant ? variant.stockQuantity : product.stockQuantity;
+      const previousStatus = product.stockStatus;
+      const previousVariantStatus = variant ? variant.stockStatus : null;
       let newStock;
       
       switch (type) {
@@ -46,13 +68,21 @@ class StockService {
           throw new Error('Invalid stock update type');
       }
       
-      // Update product stock
-      product.stockQuantity = newStock;
+      // Update variant stock
+      if (variant) {
+        variant.stockQuantity = newStock;
+        await variant.save();
+      }
+      
+      // Update product stock (the product total moves with its variants)
+      product.stockQuantity = variant
+        ? Math.max(0, product.stockQuantity + (newStock - previousStock))
+        : newStock;
       
       // Update stock status
-      if (newStock <= 0) {
+      if (product.stockQuantity <= 0) {
         product.stockStatus = 'out_of_stock';
-      } else if (newStock <= product.lowStockThreshold) {
+      } else if (product.stockQuantity <= product.lowStockThreshold) {
         product.stockStatus = 'low_stock';
       } else {
         product.stockStatus = 'in_stock';
@@ -63,7 +93,8 @@ class StockService {
       // Create stock history record
       await StockHistory.create({
         product: productId,
-        sku: product.sku,
+        variant: variant ? variant._id : null,
+        sku: variant ? variant.sku : product.sku,
         type,
         quantity: Math.abs(quantity),
         previousStock,
@@ -80,6 +111,12 @@ class StockService {
         await NotificationService.lowStockAlert(product);
       }
       
+      // Tell shoppers waiting for the product or variant that it is available again
+      BackInStockService.notifyIfRestocked(product, null, previousStatus);
+      if (variant) {
+        BackInStockService.notifyIfRestocked(product, variant, previousVariantStatus);
+      }
+      
       return product;
     } catch (error) {
       console.error('Stock update failed:', error);
@@ -87,6 +124,199 @@ class StockService {
     }
   }
 
+  // Move the stock of bundle components for a number of bundles.
+  // Components are checked up front so a short component leaves every stock untouched,
+  // and components already moved are put back if a later one still fails.
+  static async moveComponentStock(components, quantity, type, userId, referenceId = null, reason = '', notes = '') {
+    if (type === 'adjustment') {
+      throw new Error('Bundle stock is derived from its components and cannot be adjusted');
+    }
+    
+    if (['stock_out', 'damaged'].includes(type)) {
+      for (const component of components) {
+        const source = component.variant
+          ? await ProductVariant.findById(component.variant)
+          : await Product.findById(component.product);
+        
+        if (!source || source.stockQuantity < component.quantity * quantity) {
+          throw new Error(`Insufficient stock for bundle component ${component.sku || component.product}`);
+        }
+      }
+    }
+    
+    const moved = [];
+    try {
+      for (const component of components) {
+        await this.updateStock(
+          component.product,
+          component.quantity * quantity,
+          type,
+          userId,
+          referenceId,
+          reason,
+          notes,
+          component.variant || null
+        );
+        moved.push(component);
+      }
+    } catch (error) {
+      const undoType = ['stock_out', 'damaged'].includes(type) ? 'stock_in' : 'stock_out';
+      for (const component of moved) {
+        try {
+          await this.updateStock(
+            component.product,
+            component.quantity * quantity,
+            undoType,
+            userId,
+            referenceId,
+            'Bundle stock move undone',
+            notes,
+            component.variant || null
+          );
+        } catch (undoError) {
+          console.error(`Could not undo the stock move of bundle component ${component.sku || component.product}:`, undoError.message);
+        }
+      }
+      throw error;
+    }
+  }
+
+  // Move the stock of an order item, using the components recorded on the order for bundles
+  static async updateOrderItemStock(item, type, userId, referenceId = null, reason = '', notes = '') {
+    if (item.bundleComponents && item.bundleComponents.length > 0) {
+      return this.moveComponentStock(item.bundleComponents, item.quantity, type, userId, referenceId, reason, `${notes} (bundle ${item.sku})`.trim());
+    }
+    
+    return this.updateStock(item.product, item.quantity, type, userId, referenceId, reason, notes, item.variant);
+  }
+
+  // Undo an order that could not be placed: put back the stock taken for its items, release its
+  // reserved pieces and remove the order and its items. A Payment record is kept so a prepaid
+  // order can still be refunded.
+  static async rollbackOrder(order, stockTakenItems, userId) {
+    try {
+      for (const item of stockTakenItems) {
+        await this.updateOrderItemStock(
+          item,
+          'stock_in',
+          userId,
+          order._id,
+          'Order rolled back',
+          `Order ${order.orderId} could not be placed`
+        );
+      }
+      await InventoryUnit.release({ order: order._id });
+      await OrderItem.deleteMany({ order: order._id });
+      await Order.deleteOne({ _id: order._id });
+    } catch (error) {
+      console.error(`Rollback of order ${order.orderId} failed:`, error.message);
+    }
+
+    if (order.paymentStatus === 'paid' && order.razorpayPaymentId) {
+      console.error(`Order ${order.orderId} was rolled back after payment ${order.razorpayPaymentId}; it needs a refund`);
+    }
+  }
+
+  // Products and variants an order item takes pieces from (each component of a bundle)
+  static getUnitSources(item, huids = []) {
+    if (item.bundleComponents && item.bundleComponents.length > 0) {
+      return item.bundleComponents.map(component => ({
+        product: component.product,
+        variant: component.variant,
+        quantity: component.quantity * item.quantity
+      }));
+    }
+    return [{ product: item.product, variant: item.variant, quantity: item.quantity, huids }];
+  }
+  
+  // Ids (as strings) of the serialized products among a set of product ids
+  static async getSerializedProductIds(productIds) {
+    const ids = await Product.find({ _id: { $in: productIds }, isSerialized: true }).distinct('_id');
+    return ids.map(id => id.toString());
+  }
+  
+  // Check that enough serialized pieces are available for a set of items before an order
+  // takes any stock. Items for the same product and variant are added together.
+  static async checkUnitAvailability(items) {
+    const sources = items.flatMap(item => this.getUnitSources(item));
+    const serializedIds = await this.getSerializedProductIds(sources.map(source => source.product));
+    
+    const needed = new Map();
+    sources
+      .filter(source => serializedIds.includes(source.product.toString()))
+      .forEach(source => {
+        const key = `${source.product}:${source.variant || ''}`;
+        const entry = needed.get(key) || { product: source.product, variant: source.variant || null, quantity: 0 };
+        entry.quantity += source.quantity;
+        needed.set(key, entry);
+      });
+    
+    for (const entry of needed.values()) {
+      const available = await InventoryUnit.countDocuments({
+        product: entry.product,
+        variant: entry.variant,
+        status: 'available'
+      });
+      if (available < entry.quantity) {
+        const source = entry.variant
+          ? await ProductVariant.findById(entry.variant).select('sku')
+          : await Product.findById(entry.product).select('name');
+        throw new Error(`Not enough hallmarked pieces of ${source ? source.sku || source.name : 'a product'} in stock. Available: ${available}`);
+      }
+    }
+  }
+  
+  // Reserve the serialized pieces of an order item and record them on it.
+  // huids picks specific pieces of a single product; otherwise the oldest pieces are taken.
+  static async allocateOrderItemUnits(item, orderId, huids = []) {
+    const isBundle = item.bundleComponents && item.bundleComponents.length > 0;
+    const sources = this.getUnitSources(item, huids);
+    const serializedIds = await this.getSerializedProductIds(sources.map(source => source.product));
+    
+    if (huids.length > 0 && (isBundle || !serializedIds.includes(item.product.toString()))) {
+      throw new Error(`${item.productName || item.sku} is not tracked by piece`);
+    }
+    
+    const units = [];
+    try {
+      for (const source of sources.filter(entry => serializedIds.includes(entry.product.toString()))) {
+        units.push(...await InventoryUnit.allocate({ ...source, order: orderId, orderItem: item._id }));
+      }
+    } catch (error) {
+      await InventoryUnit.release({ orderItem: item._id });
+      throw error;
+    }
+    
+    item.units = units.map(unit => ({
+      unit: unit._id,
+      product: unit.product,
+      huid: unit.huid,
+      grossWeight: unit.grossWeight,
+      netWeight: unit.netWeight
+    }));
+    if (units.length > 0 || item.isModified('units')) {
+      await item.save();
+    }
+    
+    return units;
+  }
+
+  // Swap the pieces reserved for an order item for specific ones.
+  // The previous pieces are reserved again if the new ones cannot be.
+  static async reallocateOrderItemUnits(item, huids) {
+    const previousHuids = (item.units || []).map(unit => unit.huid).filter(Boolean);
+    
+    await InventoryUnit.release({ orderItem: item._id });
+    item.units = [];
+    
+    try {
+      return await this.allocateOrderItemUnits(item, item.order, huids);
+    } catch (error) {
+      await this.allocateOrderItemUnits(item, item.order, previousHuids.length === item.quantity ? previousHuids : []);
+      throw error;
+    }
+  }
+
   // Bulk stock update
   static async bulkUpdateStock(updates, userId) {
     const results = [];
@@ -94,7 +324,7 @@ class StockService {
     
     for (const update of updates) {
       try {
-        const { productId, quantity, type, reason, notes } = update;
+        const { productId, variantId, quantity, type, reason, notes } = update;
         
         const product = await this.updateStock(
           productId,
@@ -103,7 +333,8 @@ class StockService {
           userId,
           null,
           reason,
-          notes
+          notes,
+          variantId
         );
         
         results.push({
@@ -216,12 +447,22 @@ class StockService {
           productId: item.productId,
           reason: 'Product not found or inactive'
         });
-      } else if (product.stockQuantity < item.quantity) {
+        continue;
+      }
+      
+      let available = product.stockQuantity;
+      if (item.variantId) {
+        const variant = await ProductVariant.findOne({ _id: item.variantId, product: product._id, isActive: true });
+        available = variant ? variant.stockQuantity : 0;
+      }
+      
+      if (available < item.quantity) {
         unavailable.push({
           productId: item.productId,
+          variantId: item.variantId,
           productName: product.name,
           requested: item.quantity,
-          available: product.stockQuantity,
+          available,
           reason: 'Insufficient stock'
         });
       }
@@ -0,0 +1,61 @@
+const { LOCALES } = require('../constants');
+
+class TranslationService {
+  // Check that a locale can hold translations (English is the base text, not a translation)
+  static isTranslationLocale(locale) {
+    return LOCALES.SUPPORTED.includes(locale) && locale !== LOCALES.DEFAULT;
+  }
+
+  // Replace the text of every object carrying translations (at any depth) with its locale's
+  // version, falling back to the base text for untranslated fields. Translations are dropped
+  // from the result. Expects plain JSON data.
+  static localize(value, locale) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.localize(item, locale));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      if (key !== 'translations') {
+        result[key] = this.localize(item, locale);
+      }
+    });
+
+    const translation = value.translations && value.translations[locale];
+    if (translation && typeof translation === 'object') {
+      Object.entries(translation).forEach(([field, text]) => {
+        if (typeof text === 'string' && text.trim()) {
+          result[field] = text;
+        }
+      });
+    }
+
+    return result;
+  }
+
+  // Fields of a document with base text but no translation in the locale
+  static getMissingFields(doc, modelName, locale) {
+    const translation = (doc.translations && (doc.translations instanceof Map
+      ? doc.translations.get(locale)
+      : doc.translations[locale])) || {};
+
+    return LOCALES.TRANSLATABLE_FIELDS[modelName].filter(field =>
+      doc[field] && String(doc[field]).trim() && !(translation[field] && String(translation[field]).trim())
+    );
+  }
+
+  // Query for documents missing at least one translated field in the locale
+  static missingFilter(modelName, locale) {
+    return {
+      $or: LOCALES.TRANSLATABLE_FIELDS[modelName].map(field => ({
+        [field]: { $nin: [null, ''] },
+        [`translations.${locale}.${field}`]: { $in: [null, ''] }
+      }))
+    };
+  }
+}
+
+module.exports = TranslationService;
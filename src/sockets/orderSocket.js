@@ -94,6 +94,16 @@ exports.emitOrderNotification = (event, data) => {
   }
 };
 
+// Emit a notification to one user only
+exports.emitUserNotification = (userId, event, data) => {
+  if (io) {
+    io.to(`user-${userId}`).emit(event, {
+      ...data,
+      timestamp: new Date()
+    });
+  }
+};
+
 // Get socket instance
 exports.getIO = () => {
   if (!io) {
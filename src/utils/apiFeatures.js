@@ -8,7 +8,7 @@ class APIFeatures {
 
   filter() {
     const queryObj = { ...this.queryString };
-    const excludedFields = ['page', 'sort', 'limit', 'fields', 'search'];
+    const excludedFields = ['page', 'sort', 'limit', 'fields', 'search', 'lang', 'currency'];
     excludedFields.forEach(el => delete queryObj[el]);
 
     // 1) Advanced cleaning and nested object expansion (handles field[op]=val)
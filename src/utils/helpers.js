@@ -133,4 +133,35 @@ exports.formatFileSize = (bytes) => {
   const i = Math.floor(Math.log(bytes) / Math.log(k));
   
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-};
\ No newline at end of file
+};
+
+// Character trigrams of a text, used for typo-tolerant matching.
+// With partial set, the last word is treated as still being typed (no trailing gram).
+exports.getTrigrams = (text, partial = false) => {
+  const words = String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  const grams = new Set();
+  
+  words.forEach((word, index) => {
+    const typing = partial && index === words.length - 1;
+    const padded = `  ${word}${typing ? '' : ' '}`;
+    for (let i = 0; i <= padded.length - 3; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  });
+  
+  return [...grams];
+};
+
+// Share of the query's trigrams found in the text (0-1)
+exports.trigramSimilarity = (query, text) => {
+  const queryGrams = exports.getTrigrams(query, true);
+  if (queryGrams.length === 0) return 0;
+  
+  const textGrams = new Set(exports.getTrigrams(text));
+  return queryGrams.filter(gram => textGrams.has(gram)).length / queryGrams.length;
+};